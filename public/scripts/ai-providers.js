@@ -0,0 +1,806 @@
+/**
+ * AI Provider Adapters
+ * Common interface over the chat-completion backends AIService can talk to
+ */
+
+/**
+ * Failure talking to an AI backend, classified by kind so callers can decide
+ * whether to retry and what to tell the user
+ */
+class AIError extends Error {
+    constructor(kind, message, { status = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfter = retryAfter; // seconds, from a Retry-After header
+    }
+
+    /**
+     * Whether the same request may succeed if sent again
+     */
+    get retryable() {
+        return AIError.RETRYABLE.includes(this.kind);
+    }
+
+    /**
+     * Classify a non-OK HTTP response
+     */
+    static fromResponse(response, message) {
+        const status = response.status;
+        const retryAfter = Number(response.headers.get('Retry-After')) || null;
+
+        let kind = AIError.KINDS.INVALID_REQUEST;
+        if (status === 401 || status === 403) {
+            kind = AIError.KINDS.AUTH;
+        } else if (status === 429) {
+            kind = AIError.KINDS.RATE_LIMITED;
+        } else if (status === 408 || status === 504) {
+            kind = AIError.KINDS.TIMEOUT;
+        } else if (status >= 500) {
+            kind = AIError.KINDS.SERVER;
+        }
+
+        return new AIError(kind, message || `API request failed: ${status} ${response.statusText}`, { status, retryAfter });
+    }
+
+    /**
+     * Classify anything thrown while talking to a backend. Aborts pass through
+     * untouched so the caller can tell its own timeout from a cancellation.
+     */
+    static from(error) {
+        if (error instanceof AIError || error.name === 'AbortError') {
+            return error;
+        }
+
+        // fetch rejects with a TypeError when the request never got a response
+        if (error.name === 'TypeError' && /fetch|network|load failed/i.test(error.message)) {
+            return new AIError(
+                AIError.KINDS.NETWORK,
+                navigator.onLine === false ? 'You appear to be offline' : 'Could not reach the AI service'
+            );
+        }
+
+        return new AIError(AIError.KINDS.SERVER, error.message || 'Unexpected response from the AI service');
+    }
+}
+
+AIError.KINDS = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    AUTH: 'auth',
+    RATE_LIMITED: 'rate_limited',
+    SERVER: 'server',
+    INVALID_REQUEST: 'invalid_request',
+    UNPARSEABLE: 'unparseable',
+    NOT_A_PLANT: 'not_a_plant',
+    CIRCUIT_OPEN: 'circuit_open'
+};
+
+AIError.RETRYABLE = [
+    AIError.KINDS.NETWORK,
+    AIError.KINDS.TIMEOUT,
+    AIError.KINDS.RATE_LIMITED,
+    AIError.KINDS.SERVER
+];
+
+/**
+ * Stops sending requests to a backend after repeated transient failures,
+ * then lets a trial request through once the cooldown has passed
+ */
+class CircuitBreaker {
+    constructor({ failureThreshold = 3, cooldownMs = 30000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * 'closed' (normal), 'open' (blocking) or 'half-open' (trial allowed)
+     */
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    /**
+     * Throw an AIError if requests are currently blocked
+     */
+    check() {
+        if (this.state !== 'open') return;
+
+        const seconds = Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000);
+        throw new AIError(
+            AIError.KINDS.CIRCUIT_OPEN,
+            `The AI service has failed several times in a row. Requests are paused for ${seconds}s.`,
+            { retryAfter: seconds }
+        );
+    }
+
+    recordSuccess() {
+        this.reset();
+    }
+
+    recordFailure() {
+        this.failures++;
+        // A failed trial request reopens immediately
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+        }
+    }
+
+    reset() {
+        this.failures = 0;
+        this.openedAt = null;
+    }
+}
+
+class AIProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.model = options.model || '';
+    }
+
+    /**
+     * Run a chat completion. request is { task, prompt, messages,
+     * temperature, maxTokens, ... } as built by AIService.buildRequest, task
+     * being the prompt library task it is for.
+     * Returns { content, usage, model } where content is the raw assistant text.
+     * onResponse() is called once the backend has received the request and
+     * started answering.
+     */
+    async complete(request, { signal, onResponse } = {}) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    /**
+     * Run a streamed chat completion, calling onDelta(delta, contentSoFar) as
+     * text arrives. Resolves with the same shape as complete().
+     * Adapters without native streaming deliver the whole answer as one delta.
+     */
+    async stream(request, { signal, onDelta, onResponse } = {}) {
+        const completion = await this.complete(request, { signal, onResponse });
+        if (onDelta) {
+            onDelta(completion.content, completion.content);
+        }
+        return completion;
+    }
+
+    /**
+     * Check that the backend is reachable
+     */
+    async healthCheck() {
+        throw new Error(`${this.constructor.name} does not implement healthCheck()`);
+    }
+
+    /**
+     * Read a fetch response body line by line
+     */
+    async readLines(response, onLine) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => onLine(line.replace(/\r$/, '')));
+        }
+
+        buffer += decoder.decode();
+        if (buffer) {
+            onLine(buffer);
+        }
+    }
+
+    /**
+     * Accumulate an OpenAI-style server-sent event stream of chat completion chunks
+     */
+    async readChatCompletionStream(response, onDelta) {
+        let content = '';
+        let usage = null;
+        let model = this.model;
+
+        await this.readLines(response, line => {
+            if (!line.startsWith('data:')) return;
+
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(payload);
+            } catch (error) {
+                return;
+            }
+
+            if (chunk.model) model = chunk.model;
+            if (chunk.usage) usage = chunk.usage;
+
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                content += delta.content;
+                if (onDelta) {
+                    onDelta(delta.content, content);
+                }
+            }
+        });
+
+        return { content, usage, model };
+    }
+}
+
+/**
+ * Generic OpenAI-compatible /chat/completions endpoint
+ */
+class OpenAICompatibleProvider extends AIProvider {
+    constructor(options = {}) {
+        super(options);
+        this.endpoint = options.endpoint || 'https://api.openai.com/v1/chat/completions';
+        this.model = options.model || 'gpt-4o-mini';
+        this.headers = {
+            'Content-Type': 'application/json',
+            ...(options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {}),
+            ...(options.headers || {})
+        };
+    }
+
+    async complete(request, { signal, onResponse } = {}) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: request.messages,
+                temperature: request.temperature,
+                max_tokens: request.maxTokens
+            }),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        if (!response.ok) {
+            throw AIError.fromResponse(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new AIError(AIError.KINDS.SERVER, 'Invalid API response structure');
+        }
+
+        return {
+            content: data.choices[0].message.content,
+            usage: data.usage || null,
+            model: data.model || this.model
+        };
+    }
+
+    async stream(request, { signal, onDelta, onResponse } = {}) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: request.messages,
+                temperature: request.temperature,
+                max_tokens: request.maxTokens,
+                stream: true,
+                // Ask for a final chunk with token counts for the usage ledger
+                stream_options: { include_usage: true }
+            }),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        if (!response.ok) {
+            throw AIError.fromResponse(response);
+        }
+
+        return this.readChatCompletionStream(response, onDelta);
+    }
+
+    async healthCheck() {
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: this.headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    messages: [
+                        {
+                            role: 'user',
+                            content: 'Test connection - respond with "connected"'
+                        }
+                    ],
+                    max_tokens: 10
+                })
+            });
+
+            return response.ok;
+        } catch (error) {
+            console.error('API connection test failed:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * The app's own /api/identify route, which holds the upstream credentials
+ * server-side and answers with a { success, data, error } envelope. It is
+ * sent the task and its inputs rather than messages, and builds the same
+ * prompt from its copy of the templates.
+ */
+class ProxyProvider extends AIProvider {
+    constructor(options = {}) {
+        super(options);
+        this.endpoint = options.endpoint || '/api/identify';
+        this.model = options.model || 'server-default';
+    }
+
+    async complete(request, { signal, onResponse } = {}) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.toRequestBody(request)),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        const envelope = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            throw AIError.fromResponse(response, envelope && envelope.error);
+        }
+
+        if (!envelope || !envelope.success) {
+            throw new AIError(AIError.KINDS.SERVER, (envelope && envelope.error) || 'Invalid API response structure');
+        }
+
+        return envelope.data;
+    }
+
+    async stream(request, { signal, onDelta, onResponse } = {}) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...this.toRequestBody(request), stream: true }),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        const contentType = response.headers.get('Content-Type') || '';
+
+        if (!response.ok || !contentType.includes('text/event-stream')) {
+            const envelope = await response.json().catch(() => null);
+            const message = envelope && envelope.error;
+            throw response.ok
+                ? new AIError(AIError.KINDS.SERVER, message || 'Invalid API response structure')
+                : AIError.fromResponse(response, message);
+        }
+
+        return this.readChatCompletionStream(response, onDelta);
+    }
+
+    /**
+     * The fields of a request the route accepts
+     */
+    toRequestBody({ task, prompt, language, units, images, context, analysis, turns }) {
+        return { task, prompt, language, units, images, context, analysis, turns };
+    }
+
+    async healthCheck() {
+        try {
+            const response = await fetch(this.endpoint);
+            return response.ok;
+        } catch (error) {
+            console.error('API connection test failed:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Local Ollama-style server (POST /api/chat, GET /api/tags)
+ */
+class OllamaProvider extends AIProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+        this.model = options.model || 'llava';
+    }
+
+    async complete(request, { signal, onResponse } = {}) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages: request.messages.map(message => this.toOllamaMessage(message)),
+                stream: false,
+                options: {
+                    temperature: request.temperature,
+                    num_predict: request.maxTokens
+                }
+            }),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        if (!response.ok) {
+            throw AIError.fromResponse(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.message || typeof data.message.content !== 'string') {
+            throw new AIError(AIError.KINDS.SERVER, 'Invalid API response structure');
+        }
+
+        return {
+            content: data.message.content,
+            usage: {
+                prompt_tokens: data.prompt_eval_count || 0,
+                completion_tokens: data.eval_count || 0,
+                total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+            },
+            model: data.model || this.model
+        };
+    }
+
+    async stream(request, { signal, onDelta, onResponse } = {}) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages: request.messages.map(message => this.toOllamaMessage(message)),
+                stream: true,
+                options: {
+                    temperature: request.temperature,
+                    num_predict: request.maxTokens
+                }
+            }),
+            signal
+        });
+
+        if (onResponse) onResponse();
+
+        if (!response.ok) {
+            throw AIError.fromResponse(response);
+        }
+
+        let content = '';
+        let usage = null;
+        let model = this.model;
+
+        // Ollama streams newline-delimited JSON objects rather than SSE
+        await this.readLines(response, line => {
+            if (!line.trim()) return;
+
+            const chunk = JSON.parse(line);
+            if (chunk.model) model = chunk.model;
+
+            if (chunk.message && chunk.message.content) {
+                content += chunk.message.content;
+                if (onDelta) {
+                    onDelta(chunk.message.content, content);
+                }
+            }
+
+            if (chunk.done) {
+                usage = {
+                    prompt_tokens: chunk.prompt_eval_count || 0,
+                    completion_tokens: chunk.eval_count || 0,
+                    total_tokens: (chunk.prompt_eval_count || 0) + (chunk.eval_count || 0)
+                };
+            }
+        });
+
+        return { content, usage, model };
+    }
+
+    /**
+     * Convert OpenAI-style multimodal content parts into Ollama's text + images form
+     */
+    toOllamaMessage(message) {
+        if (typeof message.content === 'string') {
+            return { role: message.role, content: message.content };
+        }
+
+        const text = [];
+        const images = [];
+
+        message.content.forEach(part => {
+            if (part.type === 'text') {
+                text.push(part.text);
+            } else if (part.type === 'image_url' && part.image_url) {
+                images.push(part.image_url.url.split(',')[1]);
+            }
+        });
+
+        return { role: message.role, content: text.join('\n'), images };
+    }
+
+    async healthCheck() {
+        try {
+            const response = await fetch(`${this.baseUrl}/api/tags`);
+            return response.ok;
+        } catch (error) {
+            console.error('API connection test failed:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Deterministic offline provider for development and demos
+ */
+class MockProvider extends AIProvider {
+    constructor(options = {}) {
+        super(options);
+        this.model = options.model || 'mock-botanist';
+        this.latency = options.latency ?? 300;
+    }
+
+    async complete(request, { signal, onResponse } = {}) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
+        if (onResponse) onResponse();
+
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.latency);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+
+        const response = this.getMockResponse(request);
+        const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+        return {
+            content,
+            usage: {
+                prompt_tokens: 0,
+                completion_tokens: 0,
+                total_tokens: 0
+            },
+            model: this.model
+        };
+    }
+
+    async stream(request, { signal, onDelta, onResponse } = {}) {
+        const completion = await this.complete(request, { signal, onResponse });
+        const chunkSize = 40;
+        let content = '';
+
+        for (let i = 0; i < completion.content.length; i += chunkSize) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Aborted', 'AbortError');
+            }
+
+            const delta = completion.content.slice(i, i + chunkSize);
+            content += delta;
+            if (onDelta) {
+                onDelta(delta, content);
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        return completion;
+    }
+
+    /**
+     * Pick a fixture for the request's task, using the request contents so
+     * the same image always gets the same answer. Follow-up questions get a
+     * prose answer instead of JSON.
+     */
+    getMockResponse(request) {
+        if (request.task === 'follow-up') {
+            const question = request.messages[request.messages.length - 1].content;
+            return `This is a mock answer to "${question}". Switch to a real provider for plant-specific advice.`;
+        }
+
+        const fixtures = request.task === 'diagnosis' ? MockProvider.DIAGNOSES : MockProvider.PLANTS;
+        const seed = JSON.stringify(request.messages).length;
+        return fixtures[seed % fixtures.length];
+    }
+
+    async healthCheck() {
+        return true;
+    }
+}
+
+MockProvider.PLANTS = [
+    {
+        plantName: 'Snake Plant',
+        scientificName: 'Dracaena trifasciata',
+        family: 'Asparagaceae',
+        confidence: 92,
+        description: 'Stiff, upright sword-shaped leaves with grey-green horizontal banding and yellow margins.',
+        careInstructions: {
+            light: 'Tolerates low light; thrives in bright, indirect light',
+            water: 'Water every 2-3 weeks, letting soil dry out completely',
+            soil: 'Fast-draining cactus or succulent mix',
+            temperature: '60-85°F (15-29°C)',
+            humidity: 'Average household humidity is fine',
+            fertilizer: 'Diluted balanced fertilizer once in spring and summer',
+            propagation: 'Leaf cuttings or rhizome division',
+            commonIssues: 'Root rot from overwatering'
+        },
+        careParameters: {
+            temperatureC: { min: 15, max: 29 },
+            humidityPercent: { min: 30, max: 50 },
+            wateringIntervalDays: { min: 14, max: 21 },
+            lightLevel: 'bright_indirect',
+            fertilizingIntervalDays: { min: 60, max: 90 }
+        },
+        characteristics: {
+            size: '2-4 ft tall indoors',
+            growth: 'Slow',
+            blooming: 'Rarely blooms indoors',
+            toxicity: 'Mildly toxic to cats and dogs',
+            difficulty: 'Beginner'
+        },
+        seasonalCare: {
+            spring: 'Resume light feeding',
+            summer: 'Water when soil is fully dry',
+            fall: 'Stop fertilizing',
+            winter: 'Water monthly at most'
+        },
+        tips: [
+            'Err on the side of underwatering',
+            'Use a heavy pot to stop tall plants tipping',
+            'Wipe dust from leaves to keep them photosynthesizing'
+        ],
+        alternatives: []
+    },
+    {
+        plantName: 'Monstera',
+        scientificName: 'Monstera deliciosa',
+        family: 'Araceae',
+        confidence: 88,
+        description: 'Large glossy heart-shaped leaves with characteristic splits and holes (fenestrations).',
+        careInstructions: {
+            light: 'Bright, indirect light',
+            water: 'Water when the top 2 inches of soil are dry',
+            soil: 'Chunky aroid mix with bark and perlite',
+            temperature: '65-85°F (18-29°C)',
+            humidity: '60% or higher preferred',
+            fertilizer: 'Monthly balanced fertilizer in the growing season',
+            propagation: 'Stem cuttings with at least one node',
+            commonIssues: 'Yellow leaves from overwatering, brown edges from low humidity'
+        },
+        careParameters: {
+            temperatureC: { min: 18, max: 29 },
+            humidityPercent: { min: 60, max: 80 },
+            wateringIntervalDays: { min: 7, max: 10 },
+            lightLevel: 'bright_indirect',
+            fertilizingIntervalDays: { min: 28, max: 31 }
+        },
+        characteristics: {
+            size: '6-8 ft indoors with support',
+            growth: 'Fast in good light',
+            blooming: 'Rarely flowers indoors',
+            toxicity: 'Toxic to pets if ingested',
+            difficulty: 'Beginner'
+        },
+        seasonalCare: {
+            spring: 'Repot if rootbound',
+            summer: 'Water and feed regularly',
+            fall: 'Reduce feeding',
+            winter: 'Keep away from cold drafts'
+        },
+        tips: [
+            'Give it a moss pole to climb',
+            'Rotate regularly for even growth',
+            'Mature leaves fenestrate more in brighter light'
+        ],
+        alternatives: [
+            {
+                plantName: 'Split-leaf Philodendron',
+                scientificName: 'Thaumatophyllum bipinnatifidum',
+                family: 'Araceae',
+                confidence: 35,
+                distinguishingFeatures: 'Deeply lobed leaves without holes; grows as a self-heading shrub rather than a climber'
+            },
+            {
+                plantName: 'Mini Monstera',
+                scientificName: 'Rhaphidophora tetrasperma',
+                family: 'Araceae',
+                confidence: 20,
+                distinguishingFeatures: 'Much smaller leaves (under 30 cm) with splits reaching nearly to the midrib'
+            }
+        ]
+    }
+];
+
+MockProvider.DIAGNOSES = [
+    {
+        plantName: 'Monstera',
+        summary: 'Yellowing lower leaves with fine webbing on the undersides point to a spider mite infestation in its early stages.',
+        severity: 'moderate',
+        symptoms: [
+            { symptom: 'Fine stippling and yellowing', location: 'Lower leaves' },
+            { symptom: 'Thin webbing', location: 'Leaf undersides and petioles' }
+        ],
+        causes: [
+            {
+                name: 'Spider mites',
+                type: 'pest',
+                probability: 75,
+                evidence: 'Webbing combined with pale stippling is characteristic of mite feeding'
+            },
+            {
+                name: 'Low humidity stress',
+                type: 'environmental',
+                probability: 30,
+                evidence: 'Dry air favours mites and can cause similar yellowing'
+            }
+        ],
+        treatment: [
+            'Isolate the plant from other houseplants',
+            'Rinse leaves thoroughly, especially the undersides',
+            'Apply insecticidal soap every 5-7 days for three weeks'
+        ],
+        prevention: [
+            'Keep humidity above 50%',
+            'Check leaf undersides weekly'
+        ]
+    }
+];
+
+/**
+ * Registry of provider adapters selectable at runtime by name
+ */
+const AIProviders = {
+    registry: {
+        proxy: ProxyProvider,
+        openai: OpenAICompatibleProvider,
+        ollama: OllamaProvider,
+        mock: MockProvider
+    },
+
+    /**
+     * Register an additional adapter class under a name
+     */
+    register(name, ProviderClass) {
+        this.registry[name] = ProviderClass;
+    },
+
+    /**
+     * Create a provider instance from a { provider, ...options } config
+     */
+    create(config = {}) {
+        const ProviderClass = this.registry[config.provider];
+        if (!ProviderClass) {
+            throw new Error(`Unknown AI provider: ${config.provider}`);
+        }
+        return new ProviderClass(config);
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.AIProviders = AIProviders;
+    window.AIError = AIError;
+    window.CircuitBreaker = CircuitBreaker;
+}
\ No newline at end of file
@@ -4,14 +4,123 @@
  */
 class AIService {
     constructor() {
-        this.apiEndpoint = 'https://oi-server.onrender.com/chat/completions';
-        this.headers = {
-            'CustomerId': 'omramanuj2@gmail.com',
-            'Content-Type': 'application/json',
-            'Authorization': 'Bearer xxx'
+        this.configStorageKey = 'plantid-ai-provider';
+        this.defaultProviderConfig = {
+            provider: 'proxy',
+            endpoint: '/api/identify'
         };
-        this.model = 'openrouter/claude-sonnet-4';
         this.timeout = 300000; // 5 minutes for plant analysis
+        this.liveTimeout = 20000; // live camera guesses are stale long before this
+        this.validationEndpoint = '/api/validate';
+        this.diagnosisSeverities = ['healthy', 'mild', 'moderate', 'severe', 'critical'];
+        this.lightLevels = ['low', 'medium', 'bright_indirect', 'direct'];
+        // Fields to surface early while each response type is streaming
+        this.partialFields = {
+            identification: {
+                strings: ['plantName', 'scientificName', 'family', 'description'],
+                numbers: ['confidence'],
+                sections: ['careInstructions', 'careParameters', 'characteristics', 'seasonalCare', 'tips', 'alternatives']
+            },
+            diagnosis: {
+                strings: ['plantName', 'summary', 'severity'],
+                numbers: [],
+                sections: ['symptoms', 'causes', 'treatment', 'prevention']
+            }
+        };
+        this.maxRepairAttempts = 2;
+        // Transient failures (network, timeout, rate limit, 5xx) are retried
+        this.retry = {
+            maxRetries: 2,
+            baseDelayMs: 1000,
+            maxDelayMs: 8000,
+            maxRetryAfterMs: 30000 // give up rather than wait longer than this
+        };
+        this.breaker = new window.CircuitBreaker({ failureThreshold: 3, cooldownMs: 30000 });
+        // Live frames trip their own breaker, so failing background frames can't pause Analyze
+        this.liveBreaker = new window.CircuitBreaker({ failureThreshold: 3, cooldownMs: 30000 });
+        this.maxImages = 5;
+        // Conversation turns per request, as /api/identify accepts them
+        this.maxTurns = 40;
+        // Progress stages reported to options.onProgress, in order
+        this.analysisStages = ['preparing', 'uploading', 'waiting', 'parsing'];
+        this.imageLabels = window.promptLibrary.imageLabels;
+        this.provider = this.createProvider(this.loadProviderConfig());
+    }
+
+    /**
+     * Resolve provider config: localStorage override, then page-level
+     * window.PLANTID_AI_CONFIG, then the built-in default. Configs that
+     * don't pass isValidProviderConfig are skipped.
+     */
+    loadProviderConfig() {
+        try {
+            const stored = localStorage.getItem(this.configStorageKey);
+            if (stored) {
+                const config = JSON.parse(stored);
+                if (this.isValidProviderConfig(config)) {
+                    return config;
+                }
+                console.warn('Ignoring invalid stored AI provider config:', config);
+            }
+        } catch (error) {
+            console.error('Error loading AI provider config:', error);
+        }
+
+        if (this.isValidProviderConfig(window.PLANTID_AI_CONFIG)) {
+            return window.PLANTID_AI_CONFIG;
+        }
+
+        return this.defaultProviderConfig;
+    }
+
+    /**
+     * Whether a config names a registered provider and its options have the
+     * types the adapters expect
+     */
+    isValidProviderConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) return false;
+
+        const isString = value => value === undefined || typeof value === 'string';
+        const headers = config.headers;
+
+        return Object.prototype.hasOwnProperty.call(window.AIProviders.registry, config.provider) &&
+            ['endpoint', 'baseUrl', 'model', 'apiKey'].every(key => isString(config[key])) &&
+            (config.latency === undefined || Number.isFinite(config.latency)) &&
+            (headers === undefined || (typeof headers === 'object' && headers !== null &&
+                Object.values(headers).every(value => typeof value === 'string')));
+    }
+
+    /**
+     * Provider adapter for a config, or the default one if the adapter
+     * rejects it
+     */
+    createProvider(config) {
+        try {
+            return window.AIProviders.create(config);
+        } catch (error) {
+            console.error('Error creating AI provider, using the default:', error);
+            return window.AIProviders.create(this.defaultProviderConfig);
+        }
+    }
+
+    /**
+     * Switch to another provider adapter and remember the choice
+     */
+    setProvider(config) {
+        this.provider = window.AIProviders.create(config);
+        this.breaker.reset();
+        this.liveBreaker.reset();
+        localStorage.setItem(this.configStorageKey, JSON.stringify(config));
+    }
+
+    /**
+     * Forget any stored provider override and return to the default
+     */
+    resetProvider() {
+        localStorage.removeItem(this.configStorageKey);
+        this.provider = this.createProvider(this.loadProviderConfig());
+        this.breaker.reset();
+        this.liveBreaker.reset();
     }
 
     /**
@@ -35,208 +144,819 @@ class AIService {
     }
 
     /**
-     * Identify plant from image
+     * Identify plant from one image, or from several photos of the same plant
+     * given as [{ file, label }] where label is a key of imageLabels.
+     * A cropped photo can carry its uncropped original as fullFile; it is
+     * kept on the result as fullImageData, and also sent as context when
+     * fullAsContext is set.
+     * Pass options.onPartial to stream the completion; it is called with the
+     * fields parsed so far each time a new field or section completes.
+     * Repeat photos are answered from the result cache (result.cached is set)
+     * unless options.forceRefresh is true; result.cacheId names the entry.
+     * Pass options.signal to let the user cancel; a cancelled request resolves
+     * with { success: false, cancelled: true }. options.onProgress is called
+     * with each stage as the request moves through analysisStages.
+     * The prompt is the active 'identification' template; result.prompt
+     * records its { id, version }.
      */
-    async identifyPlant(imageFile, additionalContext = '') {
-        try {
-            const base64Image = await this.imageToBase64(imageFile);
-            
-            const systemPrompt = `You are PlantID AI, an expert botanical identification assistant with extensive knowledge of plant taxonomy, morphology, and care requirements. Your role is to:
-
-1. IDENTIFY the plant species with high accuracy using visual characteristics
-2. PROVIDE comprehensive botanical information including scientific classification
-3. GENERATE detailed care instructions tailored to the specific species
-4. ASSESS confidence level in your identification
-5. SUGGEST alternative possibilities if identification is uncertain
-
-RESPONSE FORMAT: Respond with a valid JSON object containing these exact fields:
-{
-  "plantName": "Common name of the plant",
-  "scientificName": "Genus species",
-  "family": "Plant family",
-  "confidence": 85,
-  "description": "Detailed description of the plant and identifying characteristics",
-  "careInstructions": {
-    "light": "Light requirements and specifics",
-    "water": "Watering frequency and method",
-    "soil": "Soil type and drainage requirements", 
-    "temperature": "Temperature range and seasonal considerations",
-    "humidity": "Humidity preferences",
-    "fertilizer": "Feeding schedule and fertilizer types",
-    "propagation": "How to propagate this plant",
-    "commonIssues": "Common problems and solutions"
-  },
-  "characteristics": {
-    "size": "Mature size information",
-    "growth": "Growth rate and pattern", 
-    "blooming": "Flowering information if applicable",
-    "toxicity": "Safety information for pets/humans",
-    "difficulty": "Care difficulty level (Beginner/Intermediate/Advanced)"
-  },
-  "seasonalCare": {
-    "spring": "Spring care specifics",
-    "summer": "Summer care specifics", 
-    "fall": "Fall/autumn care specifics",
-    "winter": "Winter care specifics"
-  },
-  "tips": [
-    "Helpful growing tip 1",
-    "Helpful growing tip 2", 
-    "Helpful growing tip 3"
-  ]
-}
+    async identifyPlant(images, additionalContext = '', options = {}) {
+        const result = await this.analyzeImages({
+            type: 'identification',
+            parseText: content => {
+                const scraped = this.parseTextResponse(content);
+                return scraped.plantName ? scraped : null;
+            },
+            enhance: data => this.validateAndEnhanceResponse(data)
+        }, images, additionalContext, options);
 
-IDENTIFICATION GUIDELINES:
-- Analyze leaf shape, size, arrangement, and venation patterns
-- Examine stem characteristics, bark, and growth pattern
-- Look for flowers, fruits, or distinctive features
-- Consider overall plant structure and growth habit
-- Use botanical terminology appropriately
-- Be honest about uncertainty - better to give alternatives than wrong ID
-- Provide confidence score based on visual clarity and distinctive features
-
-If the image is unclear, contains multiple plants, or shows a non-plant object, explain the issue and provide general plant care guidance if possible.`;
-
-            const userMessage = `Please identify this plant and provide comprehensive care information. ${additionalContext ? `Additional context: ${additionalContext}` : ''}`;
-
-            const requestBody = {
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: userMessage
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: `data:${imageFile.type};base64,${base64Image}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 2000
-            };
+        if (!result.success && !result.cancelled) {
+            result.fallback = this.getFallbackResponse();
+        }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        return result;
+    }
 
-            const response = await fetch(this.apiEndpoint, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
+    /**
+     * Diagnose health problems (pests, diseases, deficiencies, environmental
+     * stress) from photos of a plant. Takes the same arguments as identifyPlant.
+     */
+    async diagnosePlant(images, additionalContext = '', options = {}) {
+        return this.analyzeImages({
+            type: 'diagnosis',
+            parseText: content => (content.trim() ? { summary: content.trim() } : null),
+            enhance: data => this.normalizeDiagnosis(data)
+        }, images, additionalContext, options);
+    }
+
+    /**
+     * Quick best guess for one live camera frame: a short 'live' prompt, no
+     * streaming, cache or repair retries. result.data is
+     * { plantName, scientificName, confidence }, or null when the frame shows
+     * no plant. Pass options.signal to cancel; a cancelled request resolves
+     * with { success: false, cancelled: true }.
+     */
+    async identifyLive(file, options = {}) {
+        const language = window.i18n.language;
+        const template = window.promptLibrary.getActive('live');
+        const prompt = { id: template.id, version: template.version };
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.liveTimeout);
+        const cancel = () => controller.abort();
+        if (options.signal) {
+            options.signal.addEventListener('abort', cancel, { once: true });
+        }
+
+        try {
+            const imageData = `data:${file.type};base64,${await this.imageToBase64(file)}`;
+            const usageLog = [];
+            const request = this.buildRequest(template, { language, images: [{ label: 'habit', imageData }] }, [], {
+                temperature: 0.2,
+                maxTokens: 150
+            });
+
+            const completion = await this.callProvider(request, {
+                signal: controller.signal,
+                purpose: 'live',
+                usageLog,
+                breaker: this.liveBreaker
             });
 
+            const parsed = this.extractJsonObject(completion.content);
+            let data = null;
+
+            if (!parsed || parsed.notAPlant !== true) {
+                const validation = parsed === null
+                    ? { valid: false }
+                    : await this.validateStructure('live', parsed, controller.signal);
+
+                if (!validation.valid) {
+                    throw new window.AIError(
+                        window.AIError.KINDS.UNPARSEABLE,
+                        'The AI response could not be understood'
+                    );
+                }
+                data = validation.value;
+            }
+
+            return {
+                success: true,
+                type: 'live',
+                data,
+                timestamp: new Date().toISOString(),
+                imageData,
+                images: [{ label: 'habit', imageData }],
+                language,
+                prompt,
+                usage: this.summarizeUsage(usageLog)
+            };
+        } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                return { success: false, type: 'live', cancelled: true };
+            }
+
+            console.error('Live identification error:', error);
+
+            return {
+                success: false,
+                type: 'live',
+                ...this.describeFailure(error, 'Request timeout - live identification took too long')
+            };
+        } finally {
             clearTimeout(timeoutId);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Shared pipeline for image analysis tasks: encode photos, call the
+     * provider (streamed when options.onPartial is set), validate against the
+     * task's schema with repair retries, then fill defaults via task.enhance.
+     * Photos already analyzed with the same context and prompt come from the
+     * result cache.
+     */
+    async analyzeImages(task, images, additionalContext = '', options = {}) {
+        const language = window.i18n.language;
+        const template = window.promptLibrary.getActive(task.type);
+        const prompt = { id: template.id, version: template.version };
+        const reportProgress = stage => {
+            if (options.onProgress) options.onProgress(stage);
+        };
 
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        try {
+            reportProgress('preparing');
+
+            const photos = (Array.isArray(images) ? images : [{ file: images, label: 'habit' }])
+                .slice(0, this.maxImages);
+            // Uncropped originals count against maxImages too: every photo goes first,
+            // then originals in photo order while there is room
+            let spareSlots = this.maxImages - photos.length;
+            const imageList = photos.map(image => (image.fullAsContext && image.fullFile && spareSlots-- <= 0
+                ? { ...image, fullAsContext: false }
+                : image));
+
+            if (imageList.length === 0) {
+                throw new Error('No image provided');
             }
 
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Invalid API response structure');
+            const encodedImages = await Promise.all(imageList.map(async ({ file, label, fullFile }) => ({
+                label: label || 'habit',
+                imageData: `data:${file.type};base64,${await this.imageToBase64(file)}`,
+                ...(fullFile ? { fullImageData: `data:${fullFile.type};base64,${await this.imageToBase64(fullFile)}` } : {})
+            })));
+            // Photos as sent: each one followed by its uncropped original when that goes along
+            const requestImages = encodedImages.flatMap((image, index) => (imageList[index].fullAsContext && image.fullImageData
+                ? [image, { label: image.label, imageData: image.fullImageData, originalOf: index }]
+                : [image]));
+
+            const fingerprints = await this.fingerprintImages(imageList);
+            const cacheKey = {
+                type: task.type,
+                prompt: window.promptLibrary.getRef(template),
+                language,
+                // Only templates that mention units answer differently per system
+                units: window.promptLibrary.usesVariable(template, 'units') ? this.getUnitSystem() : null,
+                context: additionalContext
+            };
+            const cached = options.forceRefresh ? null : this.lookupCachedResult(cacheKey, fingerprints);
+
+            // Encoding and fingerprinting can't be interrupted, so check once they finish
+            this.throwIfAborted(options.signal);
+
+            if (cached) {
+                return {
+                    success: true,
+                    type: task.type,
+                    data: cached.data,
+                    timestamp: new Date().toISOString(),
+                    imageData: encodedImages[0].imageData,
+                    images: encodedImages,
+                    repairAttempts: 0,
+                    language,
+                    prompt,
+                    cached: true,
+                    cachedAt: new Date(cached.createdAt).toISOString(),
+                    cacheId: cached.id || null
+                };
             }
 
-            const content = data.choices[0].message.content;
-            
-            // Parse JSON response
-            let plantData;
+            const request = this.buildRequest(template, { language, images: requestImages, context: additionalContext }, [], {
+                temperature: 0.3,
+                maxTokens: 2000
+            });
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            const cancel = () => controller.abort();
+            if (options.signal) {
+                options.signal.addEventListener('abort', cancel, { once: true });
+            }
+            const usageLog = [];
+
+            let data;
+            let repairAttempts;
             try {
-                // Extract JSON from response if wrapped in text
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                const jsonString = jsonMatch ? jsonMatch[0] : content;
-                plantData = JSON.parse(jsonString);
-            } catch (parseError) {
-                console.error('JSON parse error:', parseError);
-                // Fallback: create structured response from text
-                plantData = this.parseTextResponse(content);
+                let lastPartial = '';
+                const completion = await this.callProvider(request, {
+                    signal: controller.signal,
+                    purpose: task.type,
+                    usageLog,
+                    onProgress: reportProgress,
+                    onDelta: options.onPartial && ((delta, contentSoFar) => {
+                        const partial = this.extractPartialResponse(contentSoFar, this.partialFields[task.type]);
+                        const serialized = JSON.stringify(partial);
+                        if (serialized !== lastPartial) {
+                            lastPartial = serialized;
+                            options.onPartial(partial);
+                        }
+                    })
+                });
+
+                // Validate against the response schema, re-prompting on failure
+                reportProgress('parsing');
+                ({ data, repairAttempts } = await this.resolveStructuredResponse(
+                    task.type, completion.content, request, controller.signal, task.parseText, usageLog
+                ));
+            } finally {
+                clearTimeout(timeoutId);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', cancel);
+                }
             }
 
-            // Validate and enhance response
-            plantData = this.validateAndEnhanceResponse(plantData);
+            // Fill anything still missing with defaults, recording which fields
+            data = task.enhance(data);
+
+            const cacheId = window.resultCache ? window.resultCache.store(cacheKey, fingerprints, data) : null;
             
             return {
                 success: true,
-                data: plantData,
+                type: task.type,
+                data,
                 timestamp: new Date().toISOString(),
-                imageData: `data:${imageFile.type};base64,${base64Image}`
+                imageData: encodedImages[0].imageData,
+                images: encodedImages,
+                repairAttempts,
+                language,
+                prompt,
+                usage: this.summarizeUsage(usageLog),
+                cacheId
             };
 
         } catch (error) {
-            console.error('Plant identification error:', error);
-            
-            if (error.name === 'AbortError') {
-                return {
-                    success: false,
-                    error: 'Request timeout - plant analysis took too long',
-                    fallback: this.getFallbackResponse()
-                };
+            if (options.signal && options.signal.aborted) {
+                return { success: false, type: task.type, cancelled: true };
             }
 
+            console.error(`Plant ${task.type} error:`, error);
+
             return {
                 success: false,
-                error: error.message || 'Failed to identify plant',
-                fallback: this.getFallbackResponse()
+                type: task.type,
+                ...this.describeFailure(error, 'Request timeout - plant analysis took too long')
             };
         }
     }
 
     /**
-     * Parse text response when JSON parsing fails
+     * Fingerprint each photo for the result cache, and each uncropped
+     * original sent as context; empty when there is no cache
+     */
+    async fingerprintImages(imageList) {
+        if (!window.resultCache) return [];
+
+        const sent = imageList.flatMap(({ file, label = 'habit', fullFile, fullAsContext }) => (fullFile && fullAsContext
+            ? [{ file, label }, { file: fullFile, label: `${label}:original` }]
+            : [{ file, label }]));
+
+        return Promise.all(sent.map(async ({ file, label }) => ({
+            label,
+            ...(await window.resultCache.fingerprint(file))
+        })));
+    }
+
+    /**
+     * Cached entry for these photos, or null. key is
+     * { type, prompt, language, units, context }.
+     */
+    lookupCachedResult(key, fingerprints) {
+        if (!window.resultCache || fingerprints.length === 0) return null;
+        return window.resultCache.lookup(key, fingerprints);
+    }
+
+    /**
+     * Provider request for a prompt template. task, prompt, language, units,
+     * images, context, analysis and turns describe it for the proxy route,
+     * which builds the prompt itself; messages hold the same prompt for
+     * adapters that talk to a model directly. input is { language, images,
+     * context, analysis } with images as [{ label, imageData, originalOf }];
+     * turns is the [{ role, content }] exchange after the opening message.
+     */
+    buildRequest(template, input, turns, { temperature, maxTokens }) {
+        const fields = {
+            task: template.task,
+            prompt: { id: template.id, version: template.version },
+            language: input.language,
+            units: this.getUnitSystem(),
+            images: (input.images || []).map(({ label = 'habit', imageData, originalOf }) => (originalOf === undefined
+                ? { label, imageData }
+                : { label, imageData, originalOf })),
+            context: input.context || '',
+            analysis: input.analysis || null,
+            turns
+        };
+
+        return {
+            ...fields,
+            messages: window.promptLibrary.buildMessages(template, {
+                ...fields,
+                language: window.i18n.getLanguageName(input.language)
+            }, turns),
+            temperature,
+            maxTokens
+        };
+    }
+
+    /**
+     * Preferred unit system, metric when there is no units setting
+     */
+    getUnitSystem() {
+        return window.unitsService ? window.unitsService.system : 'metric';
+    }
+
+    /**
+     * Call the provider through a circuit breaker (this.breaker unless one
+     * is given), retrying transient failures with exponential backoff and
+     * full jitter. A request that still fails after its retries counts as one
+     * failure. A streamed call is only retried if no text has arrived yet, so
+     * partial results never mix two different answers.
+     * Each completed call is written to the usage ledger under purpose and
+     * request.prompt, and its record is also pushed onto usageLog when one
+     * is given. onProgress hears 'uploading' as each attempt is sent and
+     * 'waiting' once the backend starts answering.
+     */
+    async callProvider(request, { signal, onDelta, onProgress, purpose = 'other', usageLog, breaker = this.breaker } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            breaker.check();
+
+            let received = false;
+            const startedAt = Date.now();
+            const onResponse = onProgress && (() => onProgress('waiting'));
+            try {
+                if (onProgress) onProgress('uploading');
+
+                const completion = onDelta
+                    ? await this.provider.stream(request, {
+                        signal,
+                        onResponse,
+                        onDelta: (delta, contentSoFar) => {
+                            received = true;
+                            onDelta(delta, contentSoFar);
+                        }
+                    })
+                    : await this.provider.complete(request, { signal, onResponse });
+
+                breaker.recordSuccess();
+                this.recordUsage(purpose, request.prompt, completion, Date.now() - startedAt, usageLog);
+                return completion;
+            } catch (rawError) {
+                const error = window.AIError.from(rawError);
+                if (error.name === 'AbortError') throw error;
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (!error.retryable || received || delay === null) {
+                    if (error.retryable) {
+                        breaker.recordFailure();
+                    }
+                    throw error;
+                }
+
+                console.warn(`AI request failed (${error.kind}), retrying in ${Math.round(delay)}ms:`, error.message);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Write one completed call to the usage ledger, if there is one
+     */
+    recordUsage(purpose, prompt, completion, latencyMs, usageLog) {
+        if (!window.usageService) return;
+
+        const entry = window.usageService.record({
+            purpose,
+            prompt,
+            model: completion.model,
+            usage: completion.usage,
+            latencyMs
+        });
+
+        if (usageLog) {
+            usageLog.push(entry);
+        }
+    }
+
+    /**
+     * Token, latency and cost totals for the calls behind one result
+     */
+    summarizeUsage(usageLog) {
+        return window.usageService ? window.usageService.summarize(usageLog) : null;
+    }
+
+    /**
+     * Backoff before retry number attempt + 1, or null once retries are used up.
+     * A server-provided Retry-After wins over the computed delay.
+     */
+    getRetryDelay(error, attempt) {
+        if (attempt >= this.retry.maxRetries) return null;
+
+        if (error.retryAfter) {
+            const delay = error.retryAfter * 1000;
+            return delay <= this.retry.maxRetryAfterMs ? delay : null;
+        }
+
+        const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+        return Math.random() * ceiling;
+    }
+
+    /**
+     * Wait ms milliseconds, rejecting early if signal aborts
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Throw an AbortError if the signal has already fired
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
+    }
+
+    /**
+     * Failure fields for a { success: false } result: the message to show,
+     * the AIError kind ('unknown' for anything unclassified) and, when known,
+     * how many seconds to wait before trying again
+     */
+    describeFailure(error, timeoutMessage) {
+        if (error.name === 'AbortError') {
+            return { error: timeoutMessage, errorKind: window.AIError.KINDS.TIMEOUT, retryAfter: null };
+        }
+
+        return {
+            error: error.message || 'Failed to analyze plant',
+            errorKind: error.kind || 'unknown',
+            retryAfter: error.retryAfter || null
+        };
+    }
+
+    /**
+     * Answer a follow-up question about an earlier identification or diagnosis.
+     * context is { type, data, images } from the original result; thread is the
+     * earlier [{ role, content }] exchange. The original photos and answer are
+     * resent so the model keeps the full picture; of a long thread only the
+     * newest exchanges that fit under maxTurns go along.
+     * Pass options.onDelta to stream; it receives the answer text so far.
+     * The answer's prompt field records which 'follow-up' template was used.
+     */
+    async askFollowUp(context, thread, question, options = {}) {
+        try {
+            const { defaultedFields, ...analysis } = context.data;
+            const images = (context.images || []).slice(0, this.maxImages);
+            // Room for the thread next to the analysis and the question, starting on a question
+            const earlier = thread.slice(-(this.maxTurns - 2));
+            const recentThread = earlier.length > 0 && earlier[0].role === 'assistant' ? earlier.slice(1) : earlier;
+
+            const template = window.promptLibrary.getActive('follow-up');
+            const prompt = { id: template.id, version: template.version };
+            const request = this.buildRequest(template, { language: window.i18n.language, images, analysis: context.type }, [
+                {
+                    role: 'assistant',
+                    content: JSON.stringify(analysis)
+                },
+                ...recentThread.map(message => ({ role: message.role, content: message.content })),
+                {
+                    role: 'user',
+                    content: question
+                }
+            ], {
+                temperature: 0.5,
+                maxTokens: 800
+            });
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            const usageLog = [];
+
+            let completion;
+            try {
+                completion = await this.callProvider(request, {
+                    signal: controller.signal,
+                    purpose: 'follow-up',
+                    usageLog,
+                    onDelta: options.onDelta && ((delta, contentSoFar) => options.onDelta(contentSoFar))
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            return {
+                success: true,
+                answer: completion.content.trim(),
+                timestamp: new Date().toISOString(),
+                prompt,
+                usage: this.summarizeUsage(usageLog)
+            };
+        } catch (error) {
+            console.error('Follow-up question error:', error);
+
+            return {
+                success: false,
+                ...this.describeFailure(error, 'Request timeout - the answer took too long')
+            };
+        }
+    }
+
+    /**
+     * Turn raw model output into an object that satisfies the named response
+     * schema. Each failed validation is sent back to the model as a repair
+     * prompt, up to maxRepairAttempts times; after that the best effort is
+     * returned (the last parseable object, or whatever parseText scrapes
+     * from the prose, or null if it finds nothing). Throws an AIError if the model says the photos show
+     * no plant, if the validation route is unavailable, or if nothing usable
+     * can be recovered at all. Repair calls are recorded in usageLog.
+     */
+    async resolveStructuredResponse(schema, content, request, signal, parseText, usageLog) {
+        let currentRequest = request;
+        let currentContent = content;
+        let lastParsed = null;
+
+        for (let attempt = 0; ; attempt++) {
+            const parsed = this.extractJsonObject(currentContent);
+
+            if (parsed && parsed.notAPlant === true) {
+                throw new window.AIError(
+                    window.AIError.KINDS.NOT_A_PLANT,
+                    parsed.reason ? `No plant found: ${parsed.reason}` : 'No plant found in the photos'
+                );
+            }
+
+            const validation = parsed === null
+                ? { valid: false, issues: ['Response did not contain a JSON object'] }
+                : await this.validateStructure(schema, parsed, signal);
+
+            if (validation.valid) {
+                return { data: validation.value, repairAttempts: attempt };
+            }
+
+            if (parsed !== null) {
+                lastParsed = parsed;
+            }
+
+            if (attempt >= this.maxRepairAttempts) {
+                console.warn(`AI response failed ${schema} validation:`, validation.issues);
+                const data = lastParsed || parseText(currentContent);
+
+                if (!data) {
+                    throw new window.AIError(
+                        window.AIError.KINDS.UNPARSEABLE,
+                        'The AI response could not be understood'
+                    );
+                }
+
+                return { data, repairAttempts: attempt };
+            }
+
+            const repair = [
+                { role: 'assistant', content: currentContent },
+                { role: 'user', content: this.buildRepairPrompt(validation.issues) }
+            ];
+            currentRequest = {
+                ...currentRequest,
+                turns: [...currentRequest.turns, ...repair],
+                messages: [...currentRequest.messages, ...repair]
+            };
+
+            const completion = await this.callProvider(currentRequest, { signal, purpose: 'repair', usageLog });
+            currentContent = completion.content;
+        }
+    }
+
+    /**
+     * Check a parsed object against a named zod schema via the validation
+     * route. Throws an AIError when the route can't be reached or answers
+     * with an error: output that was never checked is not accepted. Aborting
+     * signal stops the check like a provider call.
+     */
+    async validateStructure(schema, value, signal) {
+        let envelope;
+
+        try {
+            const response = await fetch(this.validationEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ schema, value }),
+                signal
+            });
+            envelope = await response.json();
+        } catch (error) {
+            throw window.AIError.from(error);
+        }
+
+        if (!envelope || !envelope.success) {
+            throw new window.AIError(
+                window.AIError.KINDS.SERVER,
+                `Schema validation failed: ${(envelope && envelope.error) || 'no response'}`
+            );
+        }
+
+        return envelope.data;
+    }
+
+    /**
+     * Follow-up message asking the model to fix its previous answer
+     */
+    buildRepairPrompt(issues) {
+        return `Your previous reply did not match the required JSON format. Problems found:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object, with every required field present and no text before or after it.`;
+    }
+
+    /**
+     * Find the first complete top-level JSON object in model output, ignoring
+     * code fences and any prose around it. Returns null if there is none.
+     */
+    extractJsonObject(text) {
+        if (typeof text !== 'string') return null;
+
+        let searchFrom = 0;
+        while (true) {
+            const start = text.indexOf('{', searchFrom);
+            if (start === -1) return null;
+
+            const end = this.findClosingBracket(text, start);
+            if (end === -1) return null;
+
+            try {
+                return JSON.parse(text.slice(start, end + 1));
+            } catch (error) {
+                searchFrom = start + 1;
+            }
+        }
+    }
+
+    /**
+     * Pull whatever is already complete out of a partially streamed JSON answer:
+     * finished string/number fields, and object/array sections whose closing
+     * bracket has arrived
+     */
+    extractPartialResponse(text, fields = this.partialFields.identification) {
+        const partial = {};
+
+        fields.strings.forEach(key => {
+            const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+            if (match) {
+                try {
+                    partial[key] = JSON.parse(`"${match[1]}"`);
+                } catch (error) {
+                    // Incomplete escape sequence; wait for more text
+                }
+            }
+        });
+
+        fields.numbers.forEach(key => {
+            const match = text.match(new RegExp(`"${key}"\\s*:\\s*(\\d+(?:\\.\\d+)?)\\s*[,}\\n]`));
+            if (match) {
+                partial[key] = Number(match[1]);
+            }
+        });
+
+        fields.sections.forEach(key => {
+            const section = this.extractCompleteSection(text, key);
+            if (section !== undefined) {
+                partial[key] = section;
+            }
+        });
+
+        return partial;
+    }
+
+    /**
+     * Return the parsed value of a "key": {...} or "key": [...] section once its
+     * brackets balance, or undefined while it is still streaming
+     */
+    extractCompleteSection(text, key) {
+        const match = new RegExp(`"${key}"\\s*:\\s*([\\[{])`).exec(text);
+        if (!match) return undefined;
+
+        const start = match.index + match[0].length - 1;
+        const end = this.findClosingBracket(text, start);
+        if (end === -1) return undefined;
+
+        try {
+            return JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Index of the bracket closing the one at start, skipping over strings,
+     * or -1 if the text ends first
+     */
+    findClosingBracket(text, start) {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Parse text response when JSON parsing fails.
+     * Only fields actually found in the text are filled in; the rest are left
+     * for validateAndEnhanceResponse to default and mark as such. A JSON
+     * answer that was cut off keeps whichever fields arrived whole.
      */
     parseTextResponse(content) {
+        if (/^\s*(```(json)?\s*)?\{/.test(content)) {
+            return this.extractPartialResponse(content);
+        }
+
         return {
-            plantName: this.extractValue(content, ['plant name', 'common name', 'name']) || 'Unknown Plant',
-            scientificName: this.extractValue(content, ['scientific name', 'binomial', 'latin name']) || 'Species unknown',
-            family: this.extractValue(content, ['family', 'plant family']) || 'Family unknown',
-            confidence: this.extractConfidence(content) || 50,
-            description: this.extractDescription(content) || 'Plant identification analysis completed.',
+            plantName: this.extractValue(content, ['plant name', 'common name', 'name']),
+            scientificName: this.extractValue(content, ['scientific name', 'binomial', 'latin name']),
+            family: this.extractValue(content, ['family', 'plant family']),
+            confidence: this.extractConfidence(content),
+            description: this.extractDescription(content),
             careInstructions: {
-                light: this.extractCareValue(content, 'light') || 'Bright, indirect light',
-                water: this.extractCareValue(content, 'water') || 'Water when top soil is dry',
-                soil: this.extractCareValue(content, 'soil') || 'Well-draining potting mix',
-                temperature: this.extractCareValue(content, 'temperature') || '65-75°F (18-24°C)',
-                humidity: this.extractCareValue(content, 'humidity') || 'Moderate humidity 40-60%',
-                fertilizer: this.extractCareValue(content, 'fertilizer') || 'Monthly during growing season',
-                propagation: this.extractCareValue(content, 'propagation') || 'Varies by species',
-                commonIssues: this.extractCareValue(content, 'issues') || 'Monitor for pests and diseases'
-            },
-            characteristics: {
-                size: 'Varies by species',
-                growth: 'Moderate growth rate',
-                blooming: 'Seasonal flowering if applicable',
-                toxicity: 'Check plant toxicity before handling',
-                difficulty: 'Intermediate'
-            },
-            seasonalCare: {
-                spring: 'Increase watering and fertilizing',
-                summer: 'Provide adequate water and protection from extreme heat',
-                fall: 'Reduce fertilizing and prepare for dormancy',
-                winter: 'Reduce watering and maintain appropriate temperature'
-            },
-            tips: [
-                'Monitor plant regularly for signs of stress',
-                'Adjust care based on environmental conditions',
-                'Research specific species requirements for optimal care'
-            ]
+                light: this.extractCareValue(content, 'light'),
+                water: this.extractCareValue(content, 'water'),
+                soil: this.extractCareValue(content, 'soil'),
+                temperature: this.extractCareValue(content, 'temperature'),
+                humidity: this.extractCareValue(content, 'humidity'),
+                fertilizer: this.extractCareValue(content, 'fertilizer'),
+                propagation: this.extractCareValue(content, 'propagation'),
+                commonIssues: this.extractCareValue(content, 'issues')
+            }
         };
     }
 
     /**
-     * Extract values from text using keywords
+     * Extract values from text using keywords. A "Keyword: value" line wins
+     * over the keyword merely appearing in a sentence.
      */
     extractValue(text, keywords) {
+        for (const keyword of keywords) {
+            const labeled = this.extractLabeledValue(text, keyword);
+            if (labeled) {
+                return labeled;
+            }
+        }
+
         for (const keyword of keywords) {
             const regex = new RegExp(`${keyword}:?\\s*([^\\n\\r\\.]+)`, 'i');
             const match = text.match(regex);
@@ -247,6 +967,15 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
         return null;
     }
 
+    /**
+     * Value of a "Keyword: value" line, allowing list and heading markers
+     * before the keyword, or null
+     */
+    extractLabeledValue(text, keyword) {
+        const match = text.match(new RegExp(`^[\\s>*#-]*${keyword}\\**\\s*:\\**\\s*(.+)$`, 'im'));
+        return match ? match[1].trim() : null;
+    }
+
     /**
      * Extract confidence score from text
      */
@@ -270,13 +999,13 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
      */
     extractDescription(text) {
         // Look for description section
-        const descMatch = text.match(/description:?\s*([^\\n\\r]+(?:\\n[^\\n\\r]+)*)/i);
+        const descMatch = text.match(/description:?\s*([^\n\r]+(?:\n[^\n\r]+)*)/i);
         if (descMatch) {
             return descMatch[1].trim();
         }
         
         // Return first substantial paragraph
-        const paragraphs = text.split(/\\n\\n|\\.\\s+/);
+        const paragraphs = text.split(/\n\n|\.\s+/);
         for (const para of paragraphs) {
             if (para.length > 50 && !para.toLowerCase().includes('json')) {
                 return para.trim();
@@ -290,6 +1019,11 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
      * Extract care instructions
      */
     extractCareValue(text, careType) {
+        const labeled = this.extractLabeledValue(text, careType);
+        if (labeled) {
+            return labeled;
+        }
+
         const regex = new RegExp(`${careType}:?\\s*([^\\n\\r\\.]+)`, 'i');
         const match = text.match(regex);
         return match ? match[1].trim() : null;
@@ -299,40 +1033,14 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
      * Validate and enhance AI response
      */
     validateAndEnhanceResponse(data) {
+        const t = (key) => window.i18n.t(key);
         const defaults = {
-            plantName: 'Unknown Plant',
-            scientificName: 'Species unknown',
-            family: 'Family unknown',
+            plantName: t('defaults.plantName'),
+            scientificName: t('defaults.scientificName'),
+            family: t('defaults.family'),
             confidence: 50,
-            description: 'Plant identification completed with available information.',
-            careInstructions: {
-                light: 'Bright, indirect light',
-                water: 'Water when top soil feels dry',
-                soil: 'Well-draining potting mix',
-                temperature: '65-75°F (18-24°C)',
-                humidity: 'Moderate humidity 40-60%',
-                fertilizer: 'Monthly liquid fertilizer during growing season',
-                propagation: 'Methods vary by species',
-                commonIssues: 'Monitor for pests, diseases, and environmental stress'
-            },
-            characteristics: {
-                size: 'Size varies by species and growing conditions',
-                growth: 'Moderate growth rate',
-                blooming: 'Flowering depends on species and care',
-                toxicity: 'Verify toxicity before handling - assume potentially harmful',
-                difficulty: 'Intermediate care level'
-            },
-            seasonalCare: {
-                spring: 'Increase watering frequency and begin fertilizing',
-                summer: 'Maintain consistent moisture and protect from extreme heat',
-                fall: 'Reduce fertilizing and gradually decrease watering',
-                winter: 'Minimal watering and maintain stable temperatures'
-            },
-            tips: [
-                'Observe plant regularly for signs of health or stress',
-                'Adjust watering based on seasonal changes and plant response',
-                'Research specific species needs for optimal care'
-            ]
+            description: t('defaults.description'),
+            ...this.getLocalizedCareGuide('defaults')
         };
 
         // Deep merge with defaults
@@ -348,50 +1056,197 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
             }
         });
 
+        // Record every field the model did not provide, so the UI can flag
+        // generic defaults instead of presenting them as part of the answer
+        const defaultedFields = [];
+        const isMissing = value => value === null || value === undefined ||
+            (typeof value === 'string' && value.trim() === '');
+
+        Object.keys(defaults).forEach(key => {
+            const value = data[key];
+
+            if (Array.isArray(defaults[key])) {
+                if (!Array.isArray(value) || value.length === 0) {
+                    enhanced[key] = defaults[key];
+                    defaultedFields.push(key);
+                }
+            } else if (typeof defaults[key] === 'object') {
+                Object.keys(defaults[key]).forEach(subKey => {
+                    if (!value || typeof value !== 'object' || isMissing(value[subKey])) {
+                        enhanced[key][subKey] = defaults[key][subKey];
+                        defaultedFields.push(`${key}.${subKey}`);
+                    }
+                });
+            } else if (isMissing(value)) {
+                enhanced[key] = defaults[key];
+                defaultedFields.push(key);
+            }
+        });
+
         // Ensure confidence is within valid range
-        enhanced.confidence = Math.max(0, Math.min(100, enhanced.confidence || 50));
+        const confidence = Number(enhanced.confidence);
+        if (!Number.isFinite(confidence)) {
+            enhanced.confidence = defaults.confidence;
+            if (!defaultedFields.includes('confidence')) {
+                defaultedFields.push('confidence');
+            }
+        } else {
+            enhanced.confidence = Math.max(0, Math.min(100, confidence));
+        }
+
+        enhanced.careParameters = this.normalizeCareParameters(data.careParameters);
+        enhanced.alternatives = this.normalizeAlternatives(data.alternatives);
+        enhanced.defaultedFields = defaultedFields;
 
         return enhanced;
     }
 
+    /**
+     * Keep the well-formed numeric care parameters. Unlike the prose fields
+     * these are never filled with generic defaults, so a missing value is
+     * simply left out rather than shown as if it were specific to the plant.
+     */
+    normalizeCareParameters(parameters) {
+        if (!parameters || typeof parameters !== 'object') return {};
+
+        const limits = {
+            temperatureC: [-50, 60],
+            humidityPercent: [0, 100],
+            wateringIntervalDays: [1, 365],
+            fertilizingIntervalDays: [1, 365]
+        };
+        const normalized = {};
+
+        Object.entries(limits).forEach(([key, [lowest, highest]]) => {
+            const range = parameters[key];
+            if (!range || typeof range !== 'object') return;
+
+            const ends = [Number(range.min), Number(range.max)];
+            if (!ends.every(Number.isFinite)) return;
+
+            const [min, max] = ends
+                .map(value => Math.max(lowest, Math.min(highest, value)))
+                .sort((a, b) => a - b);
+            normalized[key] = { min, max };
+        });
+
+        const lightLevel = typeof parameters.lightLevel === 'string' ? parameters.lightLevel.trim().toLowerCase() : '';
+        if (this.lightLevels.includes(lightLevel)) {
+            normalized.lightLevel = lightLevel;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Keep well-formed alternative candidates, ranked by confidence
+     */
+    normalizeAlternatives(alternatives) {
+        if (!Array.isArray(alternatives)) return [];
+
+        return alternatives
+            .filter(candidate => candidate && typeof candidate.plantName === 'string' && candidate.plantName.trim())
+            .map(candidate => ({
+                plantName: candidate.plantName,
+                scientificName: candidate.scientificName || window.i18n.t('defaults.scientificName'),
+                family: candidate.family || window.i18n.t('defaults.family'),
+                confidence: Math.max(0, Math.min(100, Number(candidate.confidence) || 0)),
+                distinguishingFeatures: candidate.distinguishingFeatures || ''
+            }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Normalize a diagnosis response, defaulting and marking missing fields
+     */
+    normalizeDiagnosis(data) {
+        const t = (key) => window.i18n.t(key);
+        const defaultedFields = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const textList = (value, key, fallback) => {
+            const items = Array.isArray(value) ? value.filter(isText) : [];
+            if (items.length === 0 && fallback.length > 0) {
+                defaultedFields.push(key);
+                return fallback;
+            }
+            return items;
+        };
+
+        const severity = isText(data.severity) ? data.severity.trim().toLowerCase() : '';
+        if (!this.diagnosisSeverities.includes(severity)) {
+            defaultedFields.push('severity');
+        }
+
+        if (!isText(data.plantName)) defaultedFields.push('plantName');
+        if (!isText(data.summary)) defaultedFields.push('summary');
+
+        const symptoms = Array.isArray(data.symptoms) ? data.symptoms : [];
+        const causes = Array.isArray(data.causes) ? data.causes : [];
+
+        return {
+            plantName: isText(data.plantName) ? data.plantName : t('defaults.diagnosis.plantName'),
+            summary: isText(data.summary) ? data.summary : t('defaults.diagnosis.summary'),
+            severity: this.diagnosisSeverities.includes(severity) ? severity : 'unknown',
+            symptoms: symptoms
+                .map(item => (typeof item === 'string' ? { symptom: item } : item))
+                .filter(item => item && isText(item.symptom))
+                .map(item => ({ symptom: item.symptom, location: isText(item.location) ? item.location : '' })),
+            causes: causes
+                .filter(cause => cause && isText(cause.name))
+                .map(cause => ({
+                    name: cause.name,
+                    type: isText(cause.type) ? cause.type.toLowerCase() : 'other',
+                    probability: Math.max(0, Math.min(100, Number(cause.probability) || 0)),
+                    evidence: isText(cause.evidence) ? cause.evidence : ''
+                }))
+                .sort((a, b) => b.probability - a.probability),
+            treatment: textList(data.treatment, 'treatment', severity === 'healthy' ? [] : [
+                t('defaults.treatment.1'),
+                t('defaults.treatment.2'),
+                t('defaults.treatment.3')
+            ]),
+            prevention: textList(data.prevention, 'prevention', [
+                t('defaults.prevention.1'),
+                t('defaults.prevention.2'),
+                t('defaults.prevention.3')
+            ]),
+            defaultedFields
+        };
+    }
+
     /**
      * Provide fallback response for failed identifications
      */
     getFallbackResponse() {
+        const t = (key) => window.i18n.t(key);
+
         return {
-            plantName: 'Plant Identification Unavailable',
-            scientificName: 'Analysis required',
-            family: 'Unknown family',
+            plantName: t('fallback.plantName'),
+            scientificName: t('fallback.scientificName'),
+            family: t('fallback.family'),
             confidence: 0,
-            description: 'Unable to complete plant identification. Please try again with a clearer image showing the plant\'s leaves, stems, and any distinctive features.',
-            careInstructions: {
-                light: 'Most plants prefer bright, indirect light',
-                water: 'Water when the top inch of soil feels dry',
-                soil: 'Use well-draining potting soil',
-                temperature: 'Keep between 65-75°F (18-24°C)',
-                humidity: 'Maintain 40-60% humidity if possible',
-                fertilizer: 'Feed monthly during spring and summer',
-                propagation: 'Research specific methods for your plant type',
-                commonIssues: 'Watch for yellowing leaves, pests, or wilting'
-            },
-            characteristics: {
-                size: 'Varies significantly by species',
-                growth: 'Growth rate depends on species and care',
-                blooming: 'Flowering varies by plant type',
-                toxicity: 'Always research plant safety before handling',
-                difficulty: 'Care difficulty varies by species'
-            },
-            seasonalCare: {
-                spring: 'Resume regular feeding and increase watering',
-                summer: 'Maintain consistent care and monitor for heat stress',
-                fall: 'Begin reducing fertilizer and watering frequency',
-                winter: 'Reduce watering and maintain stable environment'
-            },
-            tips: [
-                'Take clear, well-lit photos for better identification',
-                'Include multiple angles showing leaves, stems, and growth pattern',
-                'Note the plant\'s current growing conditions and any issues'
-            ]
+            description: t('fallback.description'),
+            ...this.getLocalizedCareGuide('fallback')
+        };
+    }
+
+    /**
+     * Generic care sections in the current language, read from the
+     * '<prefix>.care.*', '.characteristics.*', '.seasons.*' and '.tips.*'
+     * catalog keys
+     */
+    getLocalizedCareGuide(prefix) {
+        const section = (name, keys) => Object.fromEntries(
+            keys.map(key => [key, window.i18n.t(`${prefix}.${name}.${key}`)])
+        );
+
+        return {
+            careInstructions: section('care', [
+                'light', 'water', 'soil', 'temperature', 'humidity', 'fertilizer', 'propagation', 'commonIssues'
+            ]),
+            characteristics: section('characteristics', ['size', 'growth', 'blooming', 'toxicity', 'difficulty']),
+            seasonalCare: section('seasons', ['spring', 'summer', 'fall', 'winter']),
+            tips: [1, 2, 3].map(number => window.i18n.t(`${prefix}.tips.${number}`))
         };
     }
 
@@ -399,27 +1254,7 @@ If the image is unclear, contains multiple plants, or shows a non-plant object,
      * Test API connection
      */
     async testConnection() {
-        try {
-            const response = await fetch(this.apiEndpoint, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: 'Test connection - respond with "connected"'
-                        }
-                    ],
-                    max_tokens: 10
-                })
-            });
-
-            return response.ok;
-        } catch (error) {
-            console.error('API connection test failed:', error);
-            return false;
-        }
+        return this.provider.healthCheck();
     }
 }
 
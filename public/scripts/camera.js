@@ -16,6 +16,89 @@ class CameraService {
             },
             audio: false
         };
+        this.storageKey = 'plantid-camera';
+        this.deviceId = this.loadDeviceId(); // camera chosen in the picker, if any
+        this.activeDeviceId = null;
+        this.cameras = [];
+        this.track = null; // video track of the running stream
+        this.torchOn = false;
+        // Capture heights offered in the resolution picker, besides the sensor maximum
+        this.resolutions = [720, 1080, 1440, 2160];
+        this.resolutionKey = 'plantid-camera-resolution';
+        this.resolution = this.loadResolution(); // a height from this.resolutions, 'max' or null for the default
+        // Burst mode: frames taken over burstDuration ms, the best scoring one is kept
+        this.burstFrameCount = 6;
+        this.burstDuration = 1000;
+        this.isBursting = false;
+        // Live mode: identify preview frames continuously
+        this.liveIntervals = [2000, 3000, 5000, 10000]; // ms, offered in the interval picker
+        this.liveIntervalKey = 'plantid-live-interval';
+        this.live = {
+            active: false,
+            intervalMs: this.loadLiveInterval(),
+            minChange: 8, // dHash bits a frame must differ by from the last one sent
+            frameSize: 512, // longest side of frames sent and saved, in px
+            timerId: null,
+            controller: null,
+            lastHash: null,
+            guess: null, // last identifyLive result with data, plus the frame's hash
+            status: 'looking', // 'looking', 'guess', 'noPlant', 'offline' or 'failed'
+            saving: false
+        };
+    }
+
+    /**
+     * Camera the user picked in an earlier session
+     */
+    loadDeviceId() {
+        try {
+            return localStorage.getItem(this.storageKey) || null;
+        } catch (error) {
+            console.error('Error loading camera setting:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Capture resolution picked in an earlier session
+     */
+    loadResolution() {
+        try {
+            const stored = localStorage.getItem(this.resolutionKey);
+            if (stored === 'max') return stored;
+            return this.resolutions.includes(Number(stored)) ? Number(stored) : null;
+        } catch (error) {
+            console.error('Error loading camera resolution:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Live mode interval: stored choice, then page-level
+     * window.PLANTID_LIVE_INTERVAL_MS, then 3 seconds
+     */
+    loadLiveInterval() {
+        try {
+            const stored = Number(localStorage.getItem(this.liveIntervalKey));
+            if (stored > 0) return stored;
+        } catch (error) {
+            console.error('Error loading live mode interval:', error);
+        }
+
+        return Number(window.PLANTID_LIVE_INTERVAL_MS) > 0 ? Number(window.PLANTID_LIVE_INTERVAL_MS) : 3000;
+    }
+
+    /**
+     * Remember the chosen camera, or forget it when null
+     */
+    saveDeviceId(deviceId) {
+        this.deviceId = deviceId;
+
+        if (deviceId) {
+            localStorage.setItem(this.storageKey, deviceId);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
     }
 
     /**
@@ -32,7 +115,15 @@ class CameraService {
     setupEventListeners() {
         const cameraBtn = document.getElementById('cameraBtn');
         const captureBtn = document.getElementById('captureBtn');
+        const burstBtn = document.getElementById('burstBtn');
         const closeCameraBtn = document.getElementById('closeCameraBtn');
+        const cameraSelect = document.getElementById('cameraSelect');
+        const switchCameraBtn = document.getElementById('switchCameraBtn');
+        const torchBtn = document.getElementById('torchBtn');
+        const zoomSlider = document.getElementById('zoomSlider');
+        const resolutionSelect = document.getElementById('resolutionSelect');
+        const liveBtn = document.getElementById('liveBtn');
+        const liveIntervalSelect = document.getElementById('liveIntervalSelect');
 
         if (cameraBtn) {
             cameraBtn.addEventListener('click', () => this.startCamera());
@@ -42,9 +133,69 @@ class CameraService {
             captureBtn.addEventListener('click', () => this.capturePhoto());
         }
 
+        if (burstBtn) {
+            burstBtn.addEventListener('click', () => this.captureBurst());
+        }
+
         if (closeCameraBtn) {
             closeCameraBtn.addEventListener('click', () => this.stopCamera());
         }
+
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', () => this.selectCamera(cameraSelect.value));
+        }
+
+        if (switchCameraBtn) {
+            switchCameraBtn.addEventListener('click', () => this.switchCamera());
+        }
+
+        if (torchBtn) {
+            torchBtn.addEventListener('click', () => this.setTorch(!this.torchOn));
+        }
+
+        if (zoomSlider) {
+            zoomSlider.addEventListener('input', () => this.setZoom(Number(zoomSlider.value)));
+        }
+
+        if (resolutionSelect) {
+            resolutionSelect.addEventListener('change', () => this.setResolution(resolutionSelect.value));
+        }
+
+        if (this.videoElement) {
+            // In live mode a tap saves the frame; otherwise it sets the focus
+            this.videoElement.addEventListener('click', (e) => {
+                if (this.live.active) {
+                    this.saveLiveFrame();
+                } else {
+                    this.focusAt(e);
+                }
+            });
+        }
+
+        if (liveBtn) {
+            liveBtn.addEventListener('click', () => {
+                if (this.live.active) {
+                    this.stopLive();
+                } else {
+                    this.startLive();
+                }
+            });
+        }
+
+        if (liveIntervalSelect) {
+            liveIntervalSelect.addEventListener('change', () => this.setLiveInterval(Number(liveIntervalSelect.value)));
+        }
+
+        if (this.isSupported() && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+
+        document.addEventListener('languagechanged', () => {
+            this.renderCameraOptions();
+            this.renderTrackControls();
+            this.renderBurstButton();
+            this.renderLive();
+        });
     }
 
     /**
@@ -59,20 +210,34 @@ class CameraService {
      */
     async startCamera() {
         if (!this.isSupported()) {
-            this.showError('Camera not supported in this browser');
+            this.showError(this.t('camera.notSupported'));
             return false;
         }
 
+        // Restarting on another camera keeps live mode running
+        const resumeLive = this.live.active;
+
         try {
             // Stop any existing stream first
             await this.stopCamera();
 
             // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            this.stream = await this.openStream();
             
             if (this.videoElement && this.videoElement instanceof HTMLVideoElement) {
                 this.videoElement.srcObject = this.stream;
                 this.isActive = true;
+
+                const [track] = this.stream.getVideoTracks();
+                this.track = track || null;
+                this.activeDeviceId = track && track.getSettings ? track.getSettings().deviceId || null : null;
+                // Device labels are only readable once camera access is granted
+                await this.refreshCameras();
+                await this.applyResolution();
+                this.renderTrackControls();
+                if (resumeLive) {
+                    this.startLive();
+                }
                 
                 // Show camera container
                 const cameraContainer = document.getElementById('cameraContainer');
@@ -96,10 +261,34 @@ class CameraService {
         }
     }
 
+    /**
+     * Request the chosen camera, falling back to the facing mode when it
+     * has been unplugged or is otherwise unavailable
+     */
+    async openStream() {
+        if (this.deviceId) {
+            const { facingMode, ...video } = this.constraints.video;
+
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    ...this.constraints,
+                    video: { ...video, deviceId: { exact: this.deviceId } }
+                });
+            } catch (error) {
+                if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+                console.warn('Chosen camera unavailable, using the default:', error);
+            }
+        }
+
+        return navigator.mediaDevices.getUserMedia(this.constraints);
+    }
+
     /**
      * Stop camera stream
      */
     async stopCamera() {
+        this.stopLive();
+
         if (this.stream) {
             this.stream.getTracks().forEach(track => {
                 track.stop();
@@ -112,16 +301,21 @@ class CameraService {
         }
 
         this.isActive = false;
+        this.activeDeviceId = null;
+        this.track = null;
+        this.torchOn = false;
+        this.renderTrackControls();
 
-        // Hide camera container and show upload area
+        // Hide camera container and show upload area, unless photos are already attached
         const cameraContainer = document.getElementById('cameraContainer');
         const uploadArea = document.getElementById('uploadArea');
+        const hasImages = typeof window !== 'undefined' && window.plantApp && window.plantApp.currentImages.length > 0;
 
         if (cameraContainer) {
             cameraContainer.style.display = 'none';
         }
 
-        if (uploadArea) {
+        if (uploadArea && !hasImages) {
             uploadArea.style.display = 'block';
         }
     }
@@ -131,21 +325,15 @@ class CameraService {
      */
     capturePhoto() {
         if (!this.isActive || !this.videoElement || !(this.videoElement instanceof HTMLVideoElement)) {
-            this.showError('Camera not active');
+            this.showError(this.t('camera.notActive'));
             return null;
         }
 
         try {
-            // Create canvas to capture frame
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-
-            // Set canvas size to video dimensions
-            canvas.width = this.videoElement.videoWidth;
-            canvas.height = this.videoElement.videoHeight;
+            const canvas = this.drawFrame();
 
-            // Draw current video frame to canvas
-            context.drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+            // Run the pre-flight quality checks on the frame while it's on the canvas
+            const quality = window.imageQuality ? window.imageQuality.checkCanvas(canvas) : undefined;
 
             // Convert canvas to blob
             canvas.toBlob(
@@ -158,12 +346,12 @@ class CameraService {
                         });
 
                         // Process captured image
-                        this.processCapturedImage(file);
+                        this.processCapturedImage(file, quality);
                         
                         // Stop camera after capture
                         this.stopCamera();
                     } else {
-                        this.showError('Failed to capture image');
+                        this.showError(this.t('camera.captureFailed'));
                     }
                 },
                 'image/jpeg',
@@ -172,34 +360,122 @@ class CameraService {
 
         } catch (error) {
             console.error('Photo capture error:', error);
-            this.showError('Failed to capture photo');
+            this.showError(this.t('camera.photoFailed'));
         }
     }
 
     /**
-     * Process captured image file
+     * Copy the current video frame onto a new canvas
      */
-    processCapturedImage(file) {
-        const previewArea = document.getElementById('previewArea');
-        const previewImage = document.getElementById('previewImage');
+    drawFrame() {
+        // Create canvas to capture frame
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
 
-        if (previewImage && previewArea && previewImage instanceof HTMLImageElement) {
-            // Create object URL for preview
-            const imageUrl = URL.createObjectURL(file);
-            previewImage.src = imageUrl;
-            
-            // Store file reference for analysis
-            previewImage.dataset.imageFile = 'captured';
-            if (typeof window !== 'undefined') {
-                window.currentImageFile = file;
+        // Set canvas size to video dimensions
+        canvas.width = this.videoElement.videoWidth;
+        canvas.height = this.videoElement.videoHeight;
+
+        // Draw current video frame to canvas
+        context.drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Take burstFrameCount frames over about burstDuration ms, score each
+     * for sharpness and exposure and hand over the best one. All frames go
+     * along so another can be picked in the preview before analysis.
+     */
+    async captureBurst() {
+        if (!this.isActive || !this.videoElement || !(this.videoElement instanceof HTMLVideoElement)) {
+            this.showError(this.t('camera.notActive'));
+            return;
+        }
+        if (this.isBursting) return;
+
+        this.isBursting = true;
+        this.renderBurstButton();
+
+        try {
+            const interval = this.burstDuration / (this.burstFrameCount - 1);
+            const imageQuality = window.imageQuality;
+            const frames = [];
+
+            for (let i = 0; i < this.burstFrameCount; i++) {
+                if (i > 0) {
+                    await new Promise(resolve => setTimeout(resolve, interval));
+                }
+                // The camera may have been closed mid-burst
+                if (!this.isActive) return;
+
+                const canvas = this.drawFrame();
+                const quality = imageQuality ? imageQuality.checkCanvas(canvas) : null;
+
+                frames.push({
+                    // Encode right away so only one full-size canvas is held at a time
+                    file: this.canvasToFile(canvas, `camera-burst-${i + 1}.jpg`),
+                    quality,
+                    score: imageQuality ? imageQuality.score(quality) : 0
+                });
+            }
+
+            for (const frame of frames) {
+                frame.file = await frame.file;
             }
 
-            // Show preview area
-            previewArea.style.display = 'block';
-            previewArea.scrollIntoView({ behavior: 'smooth' });
+            const best = frames.reduce((bestIndex, frame, index) =>
+                frame.score > frames[bestIndex].score ? index : bestIndex, 0);
+
+            this.processCapturedImage(frames[best].file, frames[best].quality, { frames, best, selected: best });
+            this.stopCamera();
+        } catch (error) {
+            console.error('Burst capture error:', error);
+            this.showError(this.t('camera.photoFailed'));
+        } finally {
+            this.isBursting = false;
+            this.renderBurstButton();
+        }
+    }
+
+    /**
+     * Disable the capture buttons and show progress while a burst runs
+     */
+    renderBurstButton() {
+        const burstBtn = document.getElementById('burstBtn');
+        const captureBtn = document.getElementById('captureBtn');
+
+        if (burstBtn) {
+            burstBtn.disabled = this.isBursting;
+            burstBtn.textContent = this.t(this.isBursting ? 'camera.bursting' : 'identify.burst');
+        }
+        if (captureBtn) {
+            captureBtn.disabled = this.isBursting;
+        }
+    }
+
+    /**
+     * Encode a canvas as a JPEG file
+     */
+    canvasToFile(canvas, name) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error(this.t('camera.captureFailed')));
+                    return;
+                }
+                resolve(new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() }));
+            }, 'image/jpeg', 0.9);
+        });
+    }
 
-            // Show success message
-            this.showSuccess('Photo captured successfully! Click "Analyze Plant" to identify.');
+    /**
+     * Process captured image file, with its quality metrics if measured and
+     * the burst it was picked from, if any
+     */
+    processCapturedImage(file, quality, burst) {
+        // Hand the capture to the app so it joins the photos for this identification
+        if (typeof window !== 'undefined' && window.plantApp) {
+            window.plantApp.processImageFile(file, quality, burst);
         }
     }
 
@@ -207,34 +483,50 @@ class CameraService {
      * Handle camera errors with user-friendly messages
      */
     handleCameraError(error) {
-        let message = 'Camera access failed';
+        let message = this.t('camera.accessFailed');
         
         switch (error.name) {
             case 'NotAllowedError':
-                message = 'Camera access denied. Please allow camera permissions and try again.';
+                message = this.t('camera.denied');
                 break;
             case 'NotFoundError':
-                message = 'No camera found. Please connect a camera and try again.';
+                message = this.t('camera.notFound');
                 break;
             case 'NotSupportedError':
-                message = 'Camera not supported in this browser.';
+                message = this.t('camera.unsupported');
                 break;
             case 'NotReadableError':
-                message = 'Camera is being used by another application.';
+                message = this.t('camera.inUse');
                 break;
             case 'OverconstrainedError':
-                message = 'Camera constraints cannot be satisfied.';
+                message = this.t('camera.overconstrained');
                 break;
             case 'SecurityError':
-                message = 'Camera access blocked for security reasons.';
+                message = this.t('camera.security');
                 break;
             default:
-                message = `Camera error: ${error.message}`;
+                message = this.t('camera.error', { message: error.message });
         }
 
         this.showError(message);
     }
 
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
     /**
      * Show error message
      */
@@ -295,11 +587,510 @@ class CameraService {
             this.constraints.video.facingMode.ideal = 
                 currentFacingMode === 'environment' ? 'user' : 'environment';
 
-            // Restart camera with new constraints
-            await this.startCamera();
+            // Let the facing mode pick the camera, then keep whichever it picked
+            this.deviceId = null;
+            if (await this.startCamera()) {
+                this.saveDeviceId(this.activeDeviceId);
+                this.renderCameraOptions();
+            }
         } catch (error) {
             console.error('Camera switch error:', error);
-            this.showError('Failed to switch camera');
+            this.showError(this.t('camera.switchFailed'));
+        }
+    }
+
+    /**
+     * Use the camera picked in the selector, now and in later sessions
+     */
+    async selectCamera(deviceId) {
+        if (!deviceId || deviceId === this.activeDeviceId) return;
+
+        this.saveDeviceId(deviceId);
+
+        if (this.isActive && !(await this.startCamera())) {
+            this.showError(this.t('camera.switchFailed'));
+        }
+    }
+
+    /**
+     * Reload the camera list and update the picker
+     */
+    async refreshCameras() {
+        this.cameras = await this.getAvailableCameras();
+        this.renderCameraOptions();
+    }
+
+    /**
+     * Fill the camera selector with device labels; the picker and the
+     * front/back toggle only show when there is more than one camera
+     */
+    renderCameraOptions() {
+        const cameraSelect = document.getElementById('cameraSelect');
+        const switchCameraBtn = document.getElementById('switchCameraBtn');
+        const hasChoice = this.cameras.length > 1;
+
+        if (cameraSelect) {
+            const selected = this.activeDeviceId || this.deviceId;
+
+            // Labels come from the device, so set them as text rather than markup
+            cameraSelect.innerHTML = '';
+            this.cameras.forEach((camera, index) => {
+                const option = document.createElement('option');
+                option.value = camera.deviceId;
+                option.textContent = camera.label || this.t('camera.unnamed', { number: index + 1 });
+                option.selected = camera.deviceId === selected;
+                cameraSelect.appendChild(option);
+            });
+            cameraSelect.style.display = hasChoice ? '' : 'none';
+        }
+
+        if (switchCameraBtn) {
+            switchCameraBtn.style.display = hasChoice ? '' : 'none';
+        }
+    }
+
+    /**
+     * What the running camera can adjust, from MediaStreamTrack.getCapabilities();
+     * empty in browsers that don't report capabilities
+     */
+    getCapabilities() {
+        if (!this.track || typeof this.track.getCapabilities !== 'function') return {};
+
+        try {
+            return this.track.getCapabilities() || {};
+        } catch (error) {
+            console.warn('Camera capabilities unavailable:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Whether tapping the preview can set the focus point
+     */
+    canFocusAt(capabilities) {
+        const supported = navigator.mediaDevices.getSupportedConstraints
+            ? navigator.mediaDevices.getSupportedConstraints()
+            : {};
+        return Boolean(supported.pointsOfInterest) ||
+            (Array.isArray(capabilities.focusMode) && capabilities.focusMode.includes('single-shot'));
+    }
+
+    /**
+     * Capture heights the sensor can deliver at 16:9, in either orientation
+     */
+    getAvailableResolutions(capabilities) {
+        if (!capabilities.width || !capabilities.height) return [];
+
+        const longSide = Math.max(capabilities.width.max, capabilities.height.max);
+        const shortSide = Math.min(capabilities.width.max, capabilities.height.max);
+
+        return this.resolutions.filter(height => shortSide >= height && longSide >= Math.round(height * 16 / 9));
+    }
+
+    /**
+     * Show the torch, zoom, focus and resolution controls the running camera
+     * supports and hide the rest
+     */
+    renderTrackControls() {
+        const capabilities = this.getCapabilities();
+        const settings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        const torchBtn = document.getElementById('torchBtn');
+        const zoomControl = document.getElementById('zoomControl');
+        const zoomSlider = document.getElementById('zoomSlider');
+        const focusHint = document.getElementById('focusHint');
+        const resolutionSelect = document.getElementById('resolutionSelect');
+        const show = (element, visible) => {
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        show(torchBtn, capabilities.torch === true);
+        if (torchBtn) {
+            torchBtn.setAttribute('aria-pressed', String(this.torchOn));
+            torchBtn.classList.toggle('active', this.torchOn);
+        }
+
+        const zoom = capabilities.zoom;
+        show(zoomControl, Boolean(zoom && zoom.max > zoom.min));
+        if (zoom && zoomSlider) {
+            zoomSlider.min = zoom.min;
+            zoomSlider.max = zoom.max;
+            zoomSlider.step = zoom.step || 0.1;
+            zoomSlider.value = settings.zoom !== undefined ? settings.zoom : zoom.min;
+        }
+
+        show(focusHint, Boolean(this.track) && !this.live.active && this.canFocusAt(capabilities));
+
+        const hasResolutions = Boolean(capabilities.width && capabilities.height);
+        show(resolutionSelect, hasResolutions);
+        if (resolutionSelect && hasResolutions) {
+            const options = this.getAvailableResolutions(capabilities).map(height => ({
+                value: String(height),
+                label: this.t('camera.resolutionHeight', { height })
+            }));
+            options.push({
+                value: 'max',
+                label: this.t('camera.resolutionMax', { width: capabilities.width.max, height: capabilities.height.max })
+            });
+
+            const current = String(this.resolution === null ? this.resolutions[0] : this.resolution);
+            resolutionSelect.innerHTML = options.map(option => `
+                <option value="${option.value}" ${option.value === current ? 'selected' : ''}>${option.label}</option>
+            `).join('');
+        }
+    }
+
+    /**
+     * Apply constraints to the running track; returns whether it worked
+     */
+    async applyTrackConstraints(constraints) {
+        if (!this.track || typeof this.track.applyConstraints !== 'function') return false;
+
+        try {
+            await this.track.applyConstraints(constraints);
+            return true;
+        } catch (error) {
+            console.error('Camera control error:', error);
+            this.showError(this.t('camera.controlFailed'));
+            return false;
+        }
+    }
+
+    /**
+     * Turn the torch (the flash kept lit) on or off
+     */
+    async setTorch(on) {
+        if (await this.applyTrackConstraints({ advanced: [{ torch: on }] })) {
+            this.torchOn = on;
+            this.renderTrackControls();
+        }
+    }
+
+    /**
+     * Zoom the running camera
+     */
+    async setZoom(zoom) {
+        await this.applyTrackConstraints({ advanced: [{ zoom }] });
+    }
+
+    /**
+     * Focus on the tapped point of the preview. The preview is cropped to
+     * fill its box (object-fit: cover), so the tap is mapped back onto the
+     * full frame before it is normalized to 0-1.
+     */
+    async focusAt(event) {
+        const capabilities = this.getCapabilities();
+        const video = this.videoElement;
+        if (!this.track || !this.canFocusAt(capabilities) || !video.videoWidth) return;
+
+        const rect = video.getBoundingClientRect();
+        const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+        const shownWidth = video.videoWidth * scale;
+        const shownHeight = video.videoHeight * scale;
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const point = {
+            x: clamp((event.clientX - rect.left - (rect.width - shownWidth) / 2) / shownWidth),
+            y: clamp((event.clientY - rect.top - (rect.height - shownHeight) / 2) / shownHeight)
+        };
+
+        const constraint = { pointsOfInterest: [point] };
+        if (Array.isArray(capabilities.focusMode) && capabilities.focusMode.includes('single-shot')) {
+            constraint.focusMode = 'single-shot';
+        }
+
+        this.showFocusRing(event.clientX - rect.left, event.clientY - rect.top);
+        await this.applyTrackConstraints({ advanced: [constraint] });
+    }
+
+    /**
+     * Briefly mark the tapped point on the preview
+     */
+    showFocusRing(x, y) {
+        const focusRing = document.getElementById('focusRing');
+        if (!focusRing) return;
+
+        focusRing.style.left = `${x}px`;
+        focusRing.style.top = `${y}px`;
+        focusRing.classList.remove('active');
+        // Restart the animation when tapping again before it ends
+        void focusRing.offsetWidth;
+        focusRing.classList.add('active');
+    }
+
+    /**
+     * Use a capture resolution ('max' or a height in px), now and in later sessions
+     */
+    async setResolution(value) {
+        this.resolution = value === 'max' ? value : Number(value);
+        localStorage.setItem(this.resolutionKey, String(this.resolution));
+
+        await this.applyResolution();
+        // New constraints replace the old ones, so the torch and zoom reset
+        this.torchOn = false;
+        this.renderTrackControls();
+    }
+
+    /**
+     * Ask the running camera for the chosen resolution; streams open at the
+     * default 1280x720
+     */
+    async applyResolution() {
+        if (this.resolution === null || !this.track) return;
+
+        if (this.resolution === 'max') {
+            const capabilities = this.getCapabilities();
+            if (!capabilities.width || !capabilities.height) return;
+
+            await this.applyTrackConstraints({
+                width: { ideal: capabilities.width.max },
+                height: { ideal: capabilities.height.max }
+            });
+            return;
+        }
+
+        await this.applyTrackConstraints({
+            width: { ideal: Math.round(this.resolution * 16 / 9) },
+            height: { ideal: this.resolution },
+            aspectRatio: { ideal: 16/9 }
+        });
+    }
+
+    /**
+     * Start identifying preview frames every live.intervalMs
+     */
+    startLive() {
+        if (!this.isActive) {
+            this.showError(this.t('camera.notActive'));
+            return;
+        }
+        if (this.live.active || !window.aiService) return;
+
+        Object.assign(this.live, {
+            active: true,
+            controller: new AbortController(),
+            lastHash: null,
+            guess: null,
+            status: 'looking'
+        });
+        this.renderLive();
+        this.renderTrackControls();
+
+        // First frame right away, then on the interval
+        this.sampleLiveFrame();
+    }
+
+    /**
+     * Stop live mode and drop any request in flight
+     */
+    stopLive() {
+        if (!this.live.active) return;
+
+        clearTimeout(this.live.timerId);
+        this.live.controller.abort();
+        Object.assign(this.live, { active: false, timerId: null, controller: null, guess: null });
+        this.renderLive();
+        this.renderTrackControls();
+    }
+
+    /**
+     * Use another live mode interval, now and in later sessions
+     */
+    setLiveInterval(intervalMs) {
+        if (!(intervalMs > 0)) return;
+
+        this.live.intervalMs = intervalMs;
+        localStorage.setItem(this.liveIntervalKey, String(intervalMs));
+
+        if (this.live.active && !this.live.controller.signal.aborted) {
+            clearTimeout(this.live.timerId);
+            this.live.timerId = setTimeout(() => this.sampleLiveFrame(), intervalMs);
+        }
+    }
+
+    /**
+     * Send the current frame for a quick identification unless it barely
+     * differs from the last one sent, then schedule the next sample. Frames
+     * are skipped while offline or while the page is hidden.
+     */
+    async sampleLiveFrame() {
+        const live = this.live;
+        if (!live.active || !this.isActive) return;
+
+        const signal = live.controller.signal;
+        const cache = window.resultCache;
+
+        try {
+            if (navigator.onLine === false) {
+                this.setLiveStatus('offline');
+                return;
+            }
+            if (document.hidden || !this.videoElement.videoWidth) return;
+
+            const hash = cache ? cache.hashImage(this.videoElement) : null;
+            if (hash && live.lastHash && cache.hammingDistance(hash, live.lastHash) < live.minChange) return;
+
+            const file = await this.captureLiveFrame();
+            const result = await window.aiService.identifyLive(file, { signal });
+            if (result.cancelled || signal.aborted) return;
+
+            if (!result.success) {
+                this.setLiveStatus('failed');
+                return;
+            }
+
+            live.lastHash = hash;
+            live.guess = result.data ? { ...result, hash } : null;
+            this.setLiveStatus(result.data ? 'guess' : 'noPlant');
+        } catch (error) {
+            console.error('Live frame error:', error);
+        } finally {
+            // A stop (or restart) in the meantime replaces this loop
+            if (live.active && !signal.aborted) {
+                clearTimeout(live.timerId);
+                live.timerId = setTimeout(() => this.sampleLiveFrame(), live.intervalMs);
+            }
+        }
+    }
+
+    /**
+     * Current preview frame scaled to live.frameSize, as a JPEG file
+     */
+    captureLiveFrame() {
+        const video = this.videoElement;
+        const scale = Math.min(1, this.live.frameSize / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        return this.canvasToFile(canvas, 'live-frame.jpg');
+    }
+
+    /**
+     * Save the tapped frame to history with its identification. The last
+     * guess is reused when the frame still shows the same scene; otherwise
+     * the frame is identified first.
+     */
+    async saveLiveFrame() {
+        const live = this.live;
+        const aiService = window.aiService;
+        if (live.saving || !this.videoElement.videoWidth || !aiService || !window.historyService) return;
+
+        live.saving = true;
+        this.renderLive();
+
+        try {
+            const cache = window.resultCache;
+            const hash = cache ? cache.hashImage(this.videoElement) : null;
+            const file = await this.captureLiveFrame();
+            const guess = live.guess;
+            const sameScene = Boolean(guess && hash && guess.hash && cache.hammingDistance(hash, guess.hash) < live.minChange);
+            const result = sameScene ? guess : await aiService.identifyLive(file);
+
+            if (!result.success) {
+                this.showError(this.t('live.saveFailed'));
+                return;
+            }
+            if (!result.data) {
+                this.showError(this.t('live.noPlant'));
+                return;
+            }
+
+            // Save the tapped frame itself, not the one the guess came from
+            const imageData = sameScene ? `data:${file.type};base64,${await aiService.imageToBase64(file)}` : result.imageData;
+            // A live guess only names the plant: everything else is a generic default,
+            // listed in defaultedFields so history marks it as such
+            const saved = await window.historyService.saveToHistory({
+                type: 'identification',
+                data: aiService.validateAndEnhanceResponse(result.data),
+                imageData,
+                images: [{ label: 'habit', imageData }],
+                language: result.language,
+                prompt: result.prompt,
+                usage: result.usage
+            });
+
+            if (saved) {
+                // Notifications are markup, and the name comes from the model
+                this.showSuccess(this.t('live.saved', { name: this.escapeHtml(result.data.plantName) }));
+            }
+        } catch (error) {
+            console.error('Live frame save error:', error);
+            this.showError(this.t('live.saveFailed'));
+        } finally {
+            live.saving = false;
+            this.renderLive();
+        }
+    }
+
+    /**
+     * Update the live overlay's state
+     */
+    setLiveStatus(status) {
+        this.live.status = status;
+        this.renderLive();
+    }
+
+    /**
+     * Live mode button, interval picker and the overlay with the current
+     * best guess on the preview
+     */
+    renderLive() {
+        const live = this.live;
+        const liveBtn = document.getElementById('liveBtn');
+        const liveIntervalSelect = document.getElementById('liveIntervalSelect');
+        const liveOverlay = document.getElementById('liveOverlay');
+
+        if (liveBtn) {
+            liveBtn.textContent = this.t(live.active ? 'live.stop' : 'live.start');
+            liveBtn.setAttribute('aria-pressed', String(live.active));
+            liveBtn.classList.toggle('active', live.active);
+        }
+
+        if (liveIntervalSelect) {
+            const intervals = [...new Set([...this.liveIntervals, live.intervalMs])].sort((a, b) => a - b);
+            liveIntervalSelect.innerHTML = intervals.map(intervalMs => `
+                <option value="${intervalMs}" ${intervalMs === live.intervalMs ? 'selected' : ''}>${this.t('live.every', { seconds: intervalMs / 1000 })}</option>
+            `).join('');
+            liveIntervalSelect.style.display = live.active ? '' : 'none';
+        }
+
+        if (!liveOverlay) return;
+
+        liveOverlay.style.display = live.active ? 'block' : 'none';
+        liveOverlay.innerHTML = '';
+        if (!live.active) return;
+
+        // Names come from the model, so they are set as text rather than markup
+        const line = (className, text) => {
+            const element = document.createElement('div');
+            element.className = className;
+            element.textContent = text;
+            liveOverlay.appendChild(element);
+        };
+
+        if (live.status === 'guess' && live.guess) {
+            const { plantName, scientificName, confidence } = live.guess.data;
+            line('live-guess', this.t('live.guess', { name: plantName, confidence: Math.round(confidence) }));
+            line('live-scientific', scientificName);
+        } else {
+            line('live-status', this.t(`live.status.${live.status}`));
+        }
+        line('live-hint', this.t(live.saving ? 'live.saving' : 'live.tapToSave'));
+    }
+
+    /**
+     * A camera was plugged in or removed: update the picker and, if the
+     * camera in use is gone, restart on another one
+     */
+    async handleDeviceChange() {
+        await this.refreshCameras();
+
+        if (!this.isActive || !this.activeDeviceId) return;
+
+        const stillConnected = this.cameras.some(camera => camera.deviceId === this.activeDeviceId);
+        if (!stillConnected) {
+            this.showError(this.t('camera.disconnected'));
+            await this.startCamera();
         }
     }
 
@@ -335,47 +1126,6 @@ class CameraService {
         }
     }
 
-    /**
-     * Optimize image for upload
-     */
-    optimizeImage(file, maxWidth = 1200, quality = 0.8) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const img = new Image();
-
-            img.onload = () => {
-                // Calculate new dimensions
-                let { width, height } = img;
-                
-                if (width > maxWidth) {
-                    height = (height * maxWidth) / width;
-                    width = maxWidth;
-                }
-
-                canvas.width = width;
-                canvas.height = height;
-
-                // Draw and compress
-                ctx.drawImage(img, 0, 0, width, height);
-                
-                canvas.toBlob(
-                    (blob) => {
-                        const optimizedFile = new File([blob], file.name, {
-                            type: 'image/jpeg',
-                            lastModified: Date.now()
-                        });
-                        resolve(optimizedFile);
-                    },
-                    'image/jpeg',
-                    quality
-                );
-            };
-
-            img.src = URL.createObjectURL(file);
-        });
-    }
-
     /**
      * Cleanup resources
      */
@@ -0,0 +1,267 @@
+/**
+ * Context Form for Plant Analysis
+ * Optional details about where and how the plant grows, sent to the model
+ * as additional context and saved with the history item
+ */
+class ContextForm {
+    constructor() {
+        this.settings = ['indoor', 'outdoor'];
+        // Decimal places kept from the browser's position (about 1 km)
+        this.locationPrecision = 2;
+        this.location = null; // { latitude, longitude } once attached
+        this.isLocating = false;
+        this.heightUnit = 'cm';
+    }
+
+    /**
+     * Initialize form
+     */
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const locationBtn = document.getElementById('contextLocationBtn');
+
+        if (locationBtn) {
+            locationBtn.addEventListener('click', () => {
+                if (this.location) {
+                    this.clearLocation();
+                } else {
+                    this.attachLocation();
+                }
+            });
+        }
+
+        document.addEventListener('languagechanged', () => this.renderLocation());
+        document.addEventListener('unitschanged', () => {
+            // Keep the entered height, converted to the new unit
+            const heightCm = this.readHeightCm();
+            this.render();
+            this.writeHeightCm(heightCm);
+        });
+    }
+
+    /**
+     * Update the height unit and location status
+     */
+    render() {
+        const heightUnit = document.getElementById('contextHeightUnit');
+
+        this.heightUnit = window.unitsService && window.unitsService.system === 'imperial' ? 'in' : 'cm';
+        if (heightUnit) {
+            heightUnit.textContent = this.heightUnit;
+        }
+
+        this.renderLocation();
+    }
+
+    /**
+     * Show whether a location is attached, and the matching button label
+     */
+    renderLocation() {
+        const locationBtn = document.getElementById('contextLocationBtn');
+        const locationStatus = document.getElementById('contextLocationStatus');
+
+        if (locationBtn) {
+            locationBtn.disabled = this.isLocating;
+            locationBtn.textContent = this.t(this.location ? 'context.removeLocation' : 'context.attachLocation');
+        }
+
+        if (locationStatus) {
+            locationStatus.textContent = this.isLocating
+                ? this.t('context.locating')
+                : this.location
+                    ? this.t('context.locationAttached', { coordinates: this.formatCoordinates(this.location) })
+                    : '';
+        }
+    }
+
+    /**
+     * Ask the browser for its position and keep a rounded copy
+     */
+    attachLocation() {
+        if (!navigator.geolocation) {
+            this.showNotification(this.t('context.locationUnavailable'), 'error');
+            return;
+        }
+
+        this.isLocating = true;
+        this.renderLocation();
+
+        navigator.geolocation.getCurrentPosition((position) => {
+            const round = value => Number(value.toFixed(this.locationPrecision));
+
+            this.location = {
+                latitude: round(position.coords.latitude),
+                longitude: round(position.coords.longitude)
+            };
+            this.isLocating = false;
+            this.renderLocation();
+        }, (error) => {
+            this.isLocating = false;
+            this.renderLocation();
+            this.showNotification(this.t(error.code === error.PERMISSION_DENIED
+                ? 'context.locationDenied'
+                : 'context.locationUnavailable'), 'error');
+        }, { timeout: 15000, maximumAge: 600000 });
+    }
+
+    /**
+     * Drop the attached location
+     */
+    clearLocation() {
+        this.location = null;
+        this.renderLocation();
+    }
+
+    /**
+     * Height field in centimeters, or null when empty or invalid
+     */
+    readHeightCm() {
+        const heightInput = document.getElementById('contextHeight');
+        const value = heightInput ? parseFloat(heightInput.value) : NaN;
+        if (!Number.isFinite(value) || value <= 0) return null;
+
+        return Math.round((this.heightUnit === 'in' ? value * 2.54 : value) * 10) / 10;
+    }
+
+    /**
+     * Fill the height field from centimeters in the current unit
+     */
+    writeHeightCm(heightCm) {
+        const heightInput = document.getElementById('contextHeight');
+        if (!heightInput) return;
+
+        heightInput.value = heightCm === null
+            ? ''
+            : String(Math.round((this.heightUnit === 'in' ? heightCm / 2.54 : heightCm) * 10) / 10);
+    }
+
+    /**
+     * The answers given so far as { setting, region, heightCm, symptoms,
+     * location }, leaving out anything blank. Null when nothing was filled in.
+     */
+    getAnswers() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value.trim() : '';
+        };
+
+        const answers = {};
+        const setting = value('contextSetting');
+        const region = value('contextRegion');
+        const heightCm = this.readHeightCm();
+        const symptoms = value('contextSymptoms');
+
+        if (this.settings.includes(setting)) answers.setting = setting;
+        if (region) answers.region = region;
+        if (heightCm !== null) answers.heightCm = heightCm;
+        if (symptoms) answers.symptoms = symptoms;
+        if (this.location) answers.location = { ...this.location };
+
+        return Object.keys(answers).length > 0 ? answers : null;
+    }
+
+    /**
+     * Answers as one line of plain English for the prompt's additional
+     * context, whatever the interface language
+     */
+    serialize(answers) {
+        if (!answers) return '';
+
+        const parts = [];
+        const singleLine = text => text.replace(/\s+/g, ' ');
+
+        if (answers.setting) parts.push(`grown ${answers.setting === 'indoor' ? 'indoors' : 'outdoors'}`);
+        if (answers.region) parts.push(`region or climate zone: ${singleLine(answers.region)}`);
+        if (answers.heightCm) parts.push(`plant height: about ${answers.heightCm} cm`);
+        if (answers.symptoms) parts.push(`symptoms noticed: ${singleLine(answers.symptoms)}`);
+        if (answers.location) {
+            parts.push(`approximate location: latitude ${answers.location.latitude}, longitude ${answers.location.longitude}`);
+        }
+
+        return parts.join('; ');
+    }
+
+    /**
+     * Display rows for saved answers, as [{ key, label, value }] in the
+     * current language and units
+     */
+    describe(answers) {
+        if (!answers) return [];
+
+        const formatters = {
+            setting: setting => this.t(`context.settings.${setting}`),
+            region: region => region,
+            heightCm: heightCm => window.unitsService.formatLength(heightCm),
+            symptoms: symptoms => symptoms,
+            location: location => this.formatCoordinates(location)
+        };
+
+        return Object.keys(formatters)
+            .filter(key => answers[key] !== undefined && answers[key] !== null && answers[key] !== '')
+            .map(key => ({
+                key,
+                label: this.t(`context.${key}`),
+                value: formatters[key](answers[key])
+            }));
+    }
+
+    /**
+     * Latitude and longitude in the current locale, e.g. "47.61, -122.33";
+     * the separator comes from the catalog since some locales use a decimal comma
+     */
+    formatCoordinates({ latitude, longitude }) {
+        const format = value => new Intl.NumberFormat(window.i18n.getLocale(), {
+            maximumFractionDigits: this.locationPrecision
+        }).format(value);
+
+        return this.t('context.coordinates', { latitude: format(latitude), longitude: format(longitude) });
+    }
+
+    /**
+     * Empty every field, for the next plant
+     */
+    reset() {
+        ['contextSetting', 'contextRegion', 'contextHeight', 'contextSymptoms'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.value = '';
+        });
+
+        this.location = null;
+        this.renderLocation();
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        // Reuse camera service notification system
+        if (window.cameraService) {
+            if (type === 'success') {
+                window.cameraService.showSuccess(message);
+            } else {
+                window.cameraService.showError(message);
+            }
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.contextForm = new ContextForm();
+}
\ No newline at end of file
@@ -6,6 +6,7 @@ class HistoryService {
     constructor() {
         this.storageKey = 'plantid-history';
         this.maxHistoryItems = 100; // Limit history to prevent storage overflow
+        this.imageSize = 800; // px, longest side of photos kept in history
     }
 
     /**
@@ -37,30 +38,47 @@ class HistoryService {
                 this.confirmClearHistory();
             });
         }
+
+        document.addEventListener('languagechanged', () => {
+            const term = searchInput && searchInput instanceof HTMLInputElement ? searchInput.value : '';
+            this.filterHistory(term);
+        });
     }
 
     /**
-     * Save identification result to history
+     * Save identification or diagnosis result to history, with its photos
+     * scaled down to imageSize. Resolves with the new item's id, or null
+     * (after telling the user) when it could not be stored. A result answered
+     * from the cache resolves with the item already saved for it, if any.
      */
-    saveToHistory(result) {
+    async saveToHistory(result) {
+        const existing = result.cached ? this.findByCacheId(result.cacheId) : null;
+        if (existing) return existing.id;
+
         try {
-            const history = this.getHistory();
-            
+            const type = result.type === 'diagnosis' ? 'diagnosis' : 'identification';
+            const images = await this.compactImages(result.images || [{ label: 'habit', imageData: result.imageData }]);
+
             const historyItem = {
                 id: this.generateId(),
+                type,
                 timestamp: new Date().toISOString(),
-                plantName: result.data.plantName,
-                scientificName: result.data.scientificName,
-                family: result.data.family,
-                confidence: result.data.confidence,
-                description: result.data.description,
-                imageData: result.imageData, // Base64 image
-                careInstructions: result.data.careInstructions,
-                characteristics: result.data.characteristics,
-                seasonalCare: result.data.seasonalCare,
-                tips: result.data.tips
+                imageData: images[0].imageData, // Base64 image of the first photo, used as thumbnail
+                images,
+                followUps: result.followUps || [],
+                language: result.language || window.i18n.defaultLanguage,
+                usage: result.usage || null,
+                prompt: result.prompt || null,
+                context: result.context || null,
+                cacheId: result.cacheId || null,
+                ...(type === 'diagnosis'
+                    ? this.createDiagnosisEntry(result.data)
+                    : this.createIdentificationEntry(result.data))
             };
 
+            // Read after the photos are shrunk so a save finishing meanwhile isn't lost
+            const history = this.getHistory();
+
             // Add to beginning of array
             history.unshift(historyItem);
 
@@ -69,15 +87,139 @@ class HistoryService {
                 history.splice(this.maxHistoryItems);
             }
 
-            // Save to localStorage
-            localStorage.setItem(this.storageKey, JSON.stringify(history));
+            this.writeHistory(history, historyItem.id);
 
             // Refresh display
             this.displayHistory();
 
-            return true;
+            return historyItem.id;
         } catch (error) {
             console.error('Error saving to history:', error);
+            this.showNotification(this.t(this.isQuotaError(error) ? 'history.storageFull' : 'history.saveFailed'), 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Save history to localStorage. When the storage quota is reached the
+     * oldest entries, other than keepId, are dropped until it fits; throws
+     * if it still doesn't.
+     */
+    writeHistory(history, keepId = null) {
+        for (;;) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(history));
+                return;
+            } catch (error) {
+                const oldest = history.map(item => item.id).filter(id => id !== keepId).pop();
+                if (!this.isQuotaError(error) || oldest === undefined) throw error;
+
+                console.warn('History storage is full, dropping the oldest entry');
+                history.splice(history.findIndex(item => item.id === oldest), 1);
+            }
+        }
+    }
+
+    /**
+     * Whether a storage error means localStorage is full
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22);
+    }
+
+    /**
+     * Photos of a result, each cropped photo's uncropped original included,
+     * scaled down for storage
+     */
+    async compactImages(images) {
+        return Promise.all(images.map(async image => ({
+            ...image,
+            imageData: await this.compactImage(image.imageData),
+            ...(image.fullImageData ? { fullImageData: await this.compactImage(image.fullImageData) } : {})
+        })));
+    }
+
+    /**
+     * Photo data URL scaled down to imageSize; kept as it is when the
+     * browser can't redraw it
+     */
+    async compactImage(imageData) {
+        const processor = window.imageProcessor;
+        if (!imageData || !processor || !processor.isSupported) return imageData;
+
+        try {
+            const blob = await (await fetch(imageData)).blob();
+            const smaller = await processor.shrink(blob, this.imageSize);
+
+            return smaller === blob ? imageData : await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(smaller);
+            });
+        } catch (error) {
+            console.warn('Could not shrink history photo:', error);
+            return imageData;
+        }
+    }
+
+    /**
+     * Fields stored for an identification entry
+     */
+    createIdentificationEntry(data) {
+        return {
+            plantName: data.plantName,
+            scientificName: data.scientificName,
+            family: data.family,
+            confidence: data.confidence,
+            description: data.description,
+            careInstructions: data.careInstructions,
+            careParameters: data.careParameters || {},
+            characteristics: data.characteristics,
+            seasonalCare: data.seasonalCare,
+            tips: data.tips,
+            defaultedFields: data.defaultedFields || [],
+            alternatives: data.alternatives || [],
+            originalIdentification: data.originalIdentification || null
+        };
+    }
+
+    /**
+     * Fields stored for a health diagnosis entry
+     */
+    createDiagnosisEntry(data) {
+        return {
+            plantName: data.plantName,
+            summary: data.summary,
+            severity: data.severity,
+            symptoms: data.symptoms,
+            causes: data.causes,
+            treatment: data.treatment,
+            prevention: data.prevention,
+            defaultedFields: data.defaultedFields || []
+        };
+    }
+
+    /**
+     * Apply changes to a stored history item
+     */
+    updateHistoryItem(itemId, changes) {
+        try {
+            const history = this.getHistory();
+            const item = history.find(h => h.id === itemId);
+
+            if (!item) return false;
+
+            Object.assign(item, changes);
+            this.writeHistory(history, itemId);
+            this.displayHistory();
+
+            return true;
+        } catch (error) {
+            console.error('Error updating history item:', error);
+            this.showNotification(this.t(this.isQuotaError(error) ? 'history.storageFull' : 'history.saveFailed'), 'error');
             return false;
         }
     }
@@ -139,15 +281,21 @@ class HistoryService {
             <img src="${item.imageData}" alt="${item.plantName}" class="history-image" loading="lazy">
             <div class="history-info">
                 <h4>${this.escapeHtml(item.plantName)}</h4>
+                ${item.type === 'diagnosis' ? `
+                <div class="history-scientific">${this.t('history.healthDiagnosis')}</div>
+                <div class="history-date">${formattedDate}</div>
+                <span class="severity-badge severity-${this.escapeHtml(item.severity)}">${this.escapeHtml(this.t(`severity.${item.severity}`))}</span>
+                ` : `
                 <div class="history-scientific">${this.escapeHtml(item.scientificName)}</div>
                 <div class="history-date">${formattedDate}</div>
-                <span class="history-confidence">Confidence: ${item.confidence}%</span>
+                <span class="history-confidence">${this.t('results.confidence', { value: item.confidence })}</span>
+                `}
                 <div class="history-actions">
                     <button class="btn btn-secondary btn-small" onclick="historyService.viewDetails('${item.id}')">
-                        View Details
+                        ${this.t('history.viewDetails')}
                     </button>
                     <button class="btn btn-secondary btn-small" onclick="historyService.deleteItem('${item.id}')">
-                        Delete
+                        ${this.t('history.delete')}
                     </button>
                 </div>
             </div>
@@ -178,12 +326,16 @@ class HistoryService {
 
         const filtered = history.filter(item => {
             const term = searchTerm.toLowerCase();
-            return (
-                item.plantName.toLowerCase().includes(term) ||
-                item.scientificName.toLowerCase().includes(term) ||
-                item.family.toLowerCase().includes(term) ||
-                item.description.toLowerCase().includes(term)
-            );
+            const searchable = [
+                item.plantName,
+                item.scientificName,
+                item.family,
+                item.description,
+                item.summary,
+                ...(item.alternatives || []).flatMap(candidate => [candidate.plantName, candidate.scientificName]),
+                ...(item.causes || []).map(cause => cause.name)
+            ];
+            return searchable.some(value => typeof value === 'string' && value.toLowerCase().includes(term));
         });
 
         this.displayHistory(filtered);
@@ -197,7 +349,7 @@ class HistoryService {
         const item = history.find(h => h.id === itemId);
 
         if (!item) {
-            this.showNotification('History item not found', 'error');
+            this.showNotification(this.t('history.notFound'), 'error');
             return;
         }
 
@@ -219,62 +371,279 @@ class HistoryService {
             <div class="history-modal">
                 <div class="history-modal-header">
                     <h2>${this.escapeHtml(item.plantName)}</h2>
-                    <button class="modal-close" aria-label="Close">&times;</button>
+                    <button class="modal-close" aria-label="${this.t('history.close')}">&times;</button>
                 </div>
                 <div class="history-modal-content">
                     <div class="history-modal-image">
-                        <img src="${item.imageData}" alt="${item.plantName}" loading="lazy">
+                        <img src="${item.imageData}" alt="${item.plantName}" class="history-modal-main-image" loading="lazy">
+                        ${this.renderImageGallery(this.getItemImages(item))}
                     </div>
                     <div class="history-modal-info">
-                        <div class="plant-details-section">
-                            <h3>Plant Information</h3>
-                            <div class="detail-item">
-                                <strong>Scientific Name:</strong> <em>${this.escapeHtml(item.scientificName)}</em>
-                            </div>
-                            <div class="detail-item">
-                                <strong>Family:</strong> ${this.escapeHtml(item.family)}
-                            </div>
-                            <div class="detail-item">
-                                <strong>Confidence:</strong> 
-                                <span class="confidence-badge">${item.confidence}%</span>
-                            </div>
-                            <div class="detail-item">
-                                <strong>Date:</strong> ${this.formatDate(item.timestamp)}
-                            </div>
-                            <div class="detail-item">
-                                <strong>Description:</strong> ${this.escapeHtml(item.description)}
-                            </div>
-                        </div>
+                        ${item.type === 'diagnosis' ? this.renderDiagnosisDetails(item) : this.renderIdentificationDetails(item)}
+                        ${this.renderFollowUps(item)}
+                    </div>
+                </div>
+            </div>
+        `;
 
-                        <div class="plant-details-section">
-                            <h3>Care Instructions</h3>
-                            ${this.renderCareInstructions(item.careInstructions)}
-                        </div>
+        return modal;
+    }
 
-                        <div class="plant-details-section">
-                            <h3>Plant Characteristics</h3>
-                            ${this.renderCharacteristics(item.characteristics)}
-                        </div>
+    /**
+     * Render the detail sections of an identification entry
+     */
+    renderIdentificationDetails(item) {
+        return `
+            <div class="plant-details-section">
+                <h3>${this.t('history.plantInformation')}</h3>
+                <div class="detail-item">
+                    <strong>${this.t('history.scientificName')}</strong> <em>${this.escapeHtml(item.scientificName)}</em>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('history.family')}</strong> ${this.escapeHtml(item.family)}${this.defaultedMarker(item.defaultedFields, 'family')}
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('history.confidence')}</strong> 
+                    <span class="confidence-badge">${item.confidence}%</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('history.date')}</strong> ${this.formatDate(item.timestamp)}
+                </div>
+                ${this.renderLanguage(item)}
+                ${this.renderPrompt(item)}
+                ${this.renderUsage(item)}
+                ${this.renderContext(item)}
+                <div class="detail-item">
+                    <strong>${this.t('history.description')}</strong> ${this.escapeHtml(item.description)}${this.defaultedMarker(item.defaultedFields, 'description')}
+                </div>
+                ${item.originalIdentification ? `
+                <div class="detail-item">
+                    <strong>${this.t('history.originalPick')}</strong> ${this.escapeHtml(item.originalIdentification.plantName)}
+                    (<em>${this.escapeHtml(item.originalIdentification.scientificName)}</em>)
+                </div>
+                ` : ''}
+            </div>
 
-                        <div class="plant-details-section">
-                            <h3>Seasonal Care</h3>
-                            ${this.renderSeasonalCare(item.seasonalCare)}
-                        </div>
+            ${item.alternatives && item.alternatives.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('results.alternatives')}</h3>
+                ${this.renderAlternatives(item.alternatives)}
+            </div>
+            ` : ''}
+
+            ${item.originalIdentification ? `
+            <div class="promoted-notice">
+                ${this.t('results.promotedNotice', {
+                    name: this.escapeHtml(item.originalIdentification.plantName),
+                    scientificName: this.escapeHtml(item.originalIdentification.scientificName)
+                })}
+            </div>
+            ` : ''}
 
-                        ${item.tips && item.tips.length > 0 ? `
-                        <div class="plant-details-section">
-                            <h3>Care Tips</h3>
-                            <ul class="care-tips-list">
-                                ${item.tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
-                            </ul>
-                        </div>
-                        ` : ''}
+            ${item.defaultedFields && item.defaultedFields.length > 0 ? `
+            <div class="defaulted-notice">
+                ${this.t('results.defaultedNotice')}
+            </div>
+            ` : ''}
+
+            ${this.renderCareParameters(item.careParameters)}
+
+            <div class="plant-details-section">
+                <h3>${this.t('results.careInstructions')}</h3>
+                ${this.renderCareInstructions(item.careInstructions, item.defaultedFields)}
+            </div>
+
+            <div class="plant-details-section">
+                <h3>${this.t('results.characteristics')}</h3>
+                ${this.renderCharacteristics(item.characteristics, item.defaultedFields)}
+            </div>
+
+            <div class="plant-details-section">
+                <h3>${this.t('history.seasonalCare')}</h3>
+                ${this.renderSeasonalCare(item.seasonalCare, item.defaultedFields)}
+            </div>
+
+            ${item.tips && item.tips.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('results.careTips')}${this.defaultedMarker(item.defaultedFields, 'tips')}</h3>
+                <ul class="care-tips-list">
+                    ${item.tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
+                </ul>
+            </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render the detail sections of a health diagnosis entry
+     */
+    renderDiagnosisDetails(item) {
+        return `
+            <div class="plant-details-section">
+                <h3>${this.t('history.diagnosis')}</h3>
+                <div class="detail-item">
+                    <strong>${this.t('diagnosis.severity')}</strong>
+                    <span class="severity-badge severity-${this.escapeHtml(item.severity)}">${this.escapeHtml(this.t(`severity.${item.severity}`))}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>${this.t('history.date')}</strong> ${this.formatDate(item.timestamp)}
+                </div>
+                ${this.renderLanguage(item)}
+                ${this.renderPrompt(item)}
+                ${this.renderUsage(item)}
+                ${this.renderContext(item)}
+                <div class="detail-item">
+                    <strong>${this.t('history.summary')}</strong> ${this.escapeHtml(item.summary)}
+                </div>
+            </div>
+
+            ${item.symptoms && item.symptoms.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('diagnosis.symptoms')}</h3>
+                <ul class="care-tips-list">
+                    ${item.symptoms.map(symptom => `
+                    <li>${this.escapeHtml(symptom.symptom)}${symptom.location ? ` (${this.escapeHtml(symptom.location)})` : ''}</li>
+                    `).join('')}
+                </ul>
+            </div>
+            ` : ''}
+
+            ${item.causes && item.causes.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('diagnosis.causes')}</h3>
+                ${this.renderAlternatives(item.causes.map(cause => ({
+                    plantName: cause.name,
+                    scientificName: this.t(`causeType.${cause.type}`),
+                    confidence: cause.probability,
+                    distinguishingFeatures: cause.evidence
+                })))}
+            </div>
+            ` : ''}
+
+            ${item.treatment && item.treatment.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('diagnosis.treatment')}${this.defaultedMarker(item.defaultedFields, 'treatment')}</h3>
+                <ol class="care-tips-list">
+                    ${item.treatment.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
+                </ol>
+            </div>
+            ` : ''}
+
+            ${item.prevention && item.prevention.length > 0 ? `
+            <div class="plant-details-section">
+                <h3>${this.t('diagnosis.prevention')}${this.defaultedMarker(item.defaultedFields, 'prevention')}</h3>
+                <ul class="care-tips-list">
+                    ${item.prevention.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
+                </ul>
+            </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render the follow-up conversation saved with an item
+     */
+    renderFollowUps(item) {
+        const followUps = item.followUps || [];
+
+        return `
+            <div class="plant-details-section">
+                <h3>${this.t('history.followUps')}</h3>
+                ${followUps.length > 0 ? `
+                <div class="follow-up-thread">
+                    ${followUps.map(message => `
+                    <div class="follow-up-message follow-up-${message.role}">
+                        <p>${this.escapeHtml(message.content)}</p>
                     </div>
+                    `).join('')}
                 </div>
+                ` : `<p class="history-empty-note">${this.t('history.noFollowUps')}</p>`}
+                <button class="btn btn-secondary continue-conversation-btn" data-id="${item.id}" type="button">
+                    ${this.t(followUps.length > 0 ? 'history.continueConversation' : 'history.askQuestion')}
+                </button>
             </div>
         `;
+    }
 
-        return modal;
+    /**
+     * Language the entry was generated in; entries saved before the
+     * language setting existed were always English
+     */
+    renderLanguage(item) {
+        const code = item.language || window.i18n.defaultLanguage;
+        const language = window.i18n.languages[code];
+
+        return `
+            <div class="detail-item">
+                <strong>${this.t('history.language')}</strong> ${this.escapeHtml(language ? language.nativeName : code)}
+            </div>
+        `;
+    }
+
+    /**
+     * Prompt template id and version that produced an entry. Entries saved
+     * before prompts were versioned have none.
+     */
+    renderPrompt(item) {
+        if (!item.prompt) return '';
+
+        return `
+            <div class="detail-item">
+                <strong>${this.t('history.prompt')}</strong>
+                ${this.t('prompts.templateVersion', {
+                    id: this.escapeHtml(item.prompt.id),
+                    version: item.prompt.version
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Details given in the context form when the photos were sent. Entries
+     * saved without any have none.
+     */
+    renderContext(item) {
+        if (!item.context || !window.contextForm) return '';
+
+        return window.contextForm.describe(item.context).map(({ label, value }) => `
+            <div class="detail-item">
+                <strong>${this.t('history.contextField', { label })}</strong> ${this.escapeHtml(value)}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Model, tokens, latency and estimated cost of the AI calls behind an
+     * entry. Cached results and older entries have none.
+     */
+    renderUsage(item) {
+        const usage = item.usage;
+        const usageService = window.usageService;
+        if (!usage || !usageService) return '';
+
+        return `
+            <div class="detail-item">
+                <strong>${this.t('history.usage')}</strong>
+                ${this.t('history.usageSummary', {
+                    model: this.escapeHtml(usage.model),
+                    tokens: usageService.formatNumber(usage.totalTokens),
+                    latency: usageService.formatLatency(usage.latencyMs),
+                    cost: usageService.formatCost(usage.cost)
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Reopen a history item on the identify page to keep asking about it
+     */
+    continueConversation(itemId) {
+        const history = this.getHistory();
+        const item = history.find(h => h.id === itemId);
+
+        if (!item || !window.plantApp) return;
+
+        window.plantApp.reopenFromHistory(item);
     }
 
     /**
@@ -282,6 +651,27 @@ class HistoryService {
      */
     setupModalHandlers(modal) {
         const closeBtn = modal.querySelector('.modal-close');
+        const mainImage = modal.querySelector('.history-modal-main-image');
+        const continueBtn = modal.querySelector('.continue-conversation-btn');
+
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => {
+                modal.remove();
+                this.continueConversation(continueBtn.dataset.id);
+            });
+        }
+
+        // Swap the main image when a gallery thumbnail is clicked
+        modal.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => {
+                const thumbImage = thumb.querySelector('img');
+                if (mainImage && thumbImage) {
+                    mainImage.src = thumbImage.src;
+                }
+                modal.querySelectorAll('.gallery-thumb').forEach(t => t.classList.remove('active'));
+                thumb.classList.add('active');
+            });
+        });
         
         // Close on button click
         if (closeBtn) {
@@ -311,7 +701,7 @@ class HistoryService {
      * Delete history item
      */
     deleteItem(itemId) {
-        if (!confirm('Are you sure you want to delete this plant identification?')) {
+        if (!confirm(this.t('history.confirmDelete'))) {
             return;
         }
 
@@ -321,10 +711,10 @@ class HistoryService {
             
             localStorage.setItem(this.storageKey, JSON.stringify(filtered));
             this.displayHistory();
-            this.showNotification('Plant identification deleted', 'success');
+            this.showNotification(this.t('history.deleted'), 'success');
         } catch (error) {
             console.error('Error deleting history item:', error);
-            this.showNotification('Failed to delete item', 'error');
+            this.showNotification(this.t('history.deleteFailed'), 'error');
         }
     }
 
@@ -332,14 +722,14 @@ class HistoryService {
      * Confirm and clear all history
      */
     confirmClearHistory() {
-        if (!confirm('Are you sure you want to clear all plant identification history? This cannot be undone.')) {
+        if (!confirm(this.t('history.confirmClear'))) {
             return;
         }
 
         try {
             localStorage.removeItem(this.storageKey);
             this.displayHistory();
-            this.showNotification('History cleared successfully', 'success');
+            this.showNotification(this.t('history.cleared'), 'success');
             
             // Clear search input
             const searchInput = document.getElementById('searchHistory');
@@ -348,7 +738,7 @@ class HistoryService {
             }
         } catch (error) {
             console.error('Error clearing history:', error);
-            this.showNotification('Failed to clear history', 'error');
+            this.showNotification(this.t('history.clearFailed'), 'error');
         }
     }
 
@@ -359,7 +749,7 @@ class HistoryService {
         const history = this.getHistory();
         
         if (history.length === 0) {
-            this.showNotification('No history to export', 'error');
+            this.showNotification(this.t('history.nothingToExport'), 'error');
             return;
         }
 
@@ -376,10 +766,10 @@ class HistoryService {
             document.body.removeChild(link);
             
             URL.revokeObjectURL(link.href);
-            this.showNotification('History exported successfully', 'success');
+            this.showNotification(this.t('history.exported'), 'success');
         } catch (error) {
             console.error('Export error:', error);
-            this.showNotification('Failed to export history', 'error');
+            this.showNotification(this.t('history.exportFailed'), 'error');
         }
     }
 
@@ -387,15 +777,15 @@ class HistoryService {
      * Get history statistics
      */
     getHistoryStats() {
-        const history = this.getHistory();
+        const history = this.getHistory().filter(item => item.type !== 'diagnosis');
         
         if (history.length === 0) {
             return {
                 totalIdentifications: 0,
                 uniquePlants: 0,
                 averageConfidence: 0,
-                mostCommonFamily: 'None',
-                dateRange: 'None'
+                mostCommonFamily: this.t('history.none'),
+                dateRange: this.t('history.none')
             };
         }
 
@@ -434,6 +824,14 @@ class HistoryService {
         };
     }
 
+    /**
+     * History item saved for a result cache entry, or null
+     */
+    findByCacheId(cacheId) {
+        if (!cacheId) return null;
+        return this.getHistory().find(item => item.cacheId === cacheId) || null;
+    }
+
     // Utility methods
 
     /**
@@ -447,14 +845,14 @@ class HistoryService {
      * Format date for display
      */
     formatDate(isoString) {
-        const date = new Date(isoString);
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        return window.i18n.formatDate(isoString);
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
     }
 
     /**
@@ -466,29 +864,75 @@ class HistoryService {
         return div.innerHTML;
     }
 
+    /**
+     * Get every photo stored with an item; entries saved before multi-image
+     * support only have imageData
+     */
+    getItemImages(item) {
+        return item.images && item.images.length > 0
+            ? item.images
+            : [{ label: 'habit', imageData: item.imageData }];
+    }
+
+    /**
+     * Render thumbnail gallery of all photos for an identification, each
+     * cropped photo followed by its uncropped original
+     */
+    renderImageGallery(images) {
+        const entries = images.flatMap(image => {
+            const label = this.t(`imageLabels.${image.label}`);
+            return image.fullImageData
+                ? [{ imageData: image.imageData, label }, { imageData: image.fullImageData, label: this.t('history.uncropped', { label }) }]
+                : [{ imageData: image.imageData, label }];
+        });
+
+        if (entries.length < 2) return '';
+
+        return `
+            <div class="history-gallery">
+                ${entries.map((entry, index) => `
+                    <button class="gallery-thumb ${index === 0 ? 'active' : ''}" type="button">
+                        <img src="${entry.imageData}" alt="${this.escapeHtml(entry.label)}" loading="lazy">
+                        <span>${this.escapeHtml(entry.label)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Render care instructions
      */
-    renderCareInstructions(care) {
+    renderCareInstructions(care, defaulted = []) {
+        const fields = ['light', 'water', 'soil', 'temperature', 'humidity', 'fertilizer'];
+
         return `
             <div class="care-grid">
+                ${fields.map(key => `
                 <div class="care-item">
-                    <strong>Light:</strong> ${this.escapeHtml(care.light)}
-                </div>
-                <div class="care-item">
-                    <strong>Water:</strong> ${this.escapeHtml(care.water)}
-                </div>
-                <div class="care-item">
-                    <strong>Soil:</strong> ${this.escapeHtml(care.soil)}
+                    <strong>${this.t(`care.${key}`)}:</strong>${this.defaultedMarker(defaulted, `careInstructions.${key}`)} ${this.escapeHtml(care[key])}
                 </div>
-                <div class="care-item">
-                    <strong>Temperature:</strong> ${this.escapeHtml(care.temperature)}
-                </div>
-                <div class="care-item">
-                    <strong>Humidity:</strong> ${this.escapeHtml(care.humidity)}
-                </div>
-                <div class="care-item">
-                    <strong>Fertilizer:</strong> ${this.escapeHtml(care.fertilizer)}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render numeric care parameters in the preferred units, if the entry has any
+     */
+    renderCareParameters(parameters) {
+        const rows = window.unitsService.describeCareParameters(parameters);
+        if (rows.length === 0) return '';
+
+        return `
+            <div class="plant-details-section">
+                <h3>${this.t('careParameters.title')}</h3>
+                <div class="care-grid">
+                    ${rows.map(row => `
+                    <div class="care-item">
+                        <strong>${row.label}:</strong> ${this.escapeHtml(row.value)}
+                    </div>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -497,24 +941,22 @@ class HistoryService {
     /**
      * Render characteristics
      */
-    renderCharacteristics(chars) {
+    renderCharacteristics(chars, defaulted = []) {
+        const fields = [
+            ['size', 'characteristics.size'],
+            ['growth', 'history.growth'],
+            ['blooming', 'history.blooming'],
+            ['toxicity', 'characteristics.toxicity'],
+            ['difficulty', 'characteristics.difficulty']
+        ];
+
         return `
             <div class="characteristics-grid">
+                ${fields.map(([key, labelKey]) => `
                 <div class="characteristic-item">
-                    <strong>Size:</strong> ${this.escapeHtml(chars.size)}
-                </div>
-                <div class="characteristic-item">
-                    <strong>Growth:</strong> ${this.escapeHtml(chars.growth)}
-                </div>
-                <div class="characteristic-item">
-                    <strong>Blooming:</strong> ${this.escapeHtml(chars.blooming)}
-                </div>
-                <div class="characteristic-item">
-                    <strong>Toxicity:</strong> ${this.escapeHtml(chars.toxicity)}
-                </div>
-                <div class="characteristic-item">
-                    <strong>Difficulty:</strong> ${this.escapeHtml(chars.difficulty)}
+                    <strong>${this.t(labelKey)}:</strong>${this.defaultedMarker(defaulted, `characteristics.${key}`)} ${this.escapeHtml(chars[key])}
                 </div>
+                `).join('')}
             </div>
         `;
     }
@@ -522,29 +964,52 @@ class HistoryService {
     /**
      * Render seasonal care
      */
-    renderSeasonalCare(seasonal) {
+    renderSeasonalCare(seasonal, defaulted = []) {
+        const seasons = ['spring', 'summer', 'fall', 'winter'];
+
         return `
             <div class="seasonal-care-grid">
+                ${seasons.map(key => `
                 <div class="season-item">
-                    <h4>Spring</h4>
-                    <p>${this.escapeHtml(seasonal.spring)}</p>
-                </div>
-                <div class="season-item">
-                    <h4>Summer</h4>
-                    <p>${this.escapeHtml(seasonal.summer)}</p>
-                </div>
-                <div class="season-item">
-                    <h4>Fall</h4>
-                    <p>${this.escapeHtml(seasonal.fall)}</p>
-                </div>
-                <div class="season-item">
-                    <h4>Winter</h4>
-                    <p>${this.escapeHtml(seasonal.winter)}</p>
+                    <h4>${this.t(`seasons.${key}`)}${this.defaultedMarker(defaulted, `seasonalCare.${key}`)}</h4>
+                    <p>${this.escapeHtml(seasonal[key])}</p>
                 </div>
+                `).join('')}
             </div>
         `;
     }
 
+    /**
+     * Render ranked alternative candidates
+     */
+    renderAlternatives(alternatives) {
+        return `
+            <ol class="alternatives-list">
+                ${alternatives.map(candidate => `
+                <li class="alternative-item">
+                    <div class="alternative-header">
+                        <div>
+                            <strong>${this.escapeHtml(candidate.plantName)}</strong>
+                            <em class="alternative-scientific">${this.escapeHtml(candidate.scientificName)}</em>
+                        </div>
+                        <span class="alternative-confidence">${Number(candidate.confidence) || 0}%</span>
+                    </div>
+                    ${candidate.distinguishingFeatures ? `<p>${this.escapeHtml(candidate.distinguishingFeatures)}</p>` : ''}
+                </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Badge marking a field that holds a generic default rather than model output
+     */
+    defaultedMarker(defaulted, path) {
+        return defaulted && defaulted.includes(path)
+            ? ` <span class="defaulted-badge" title="${this.t('results.defaultedTitle')}">${this.t('results.defaultedBadge')}</span>`
+            : '';
+    }
+
     /**
      * Show notification
      */
@@ -639,6 +1104,33 @@ const modalStyles = `
             border: 2px solid var(--primary-green);
         }
 
+        .history-gallery {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 8px;
+            margin-top: 10px;
+        }
+
+        .gallery-thumb {
+            background: var(--tertiary-black);
+            border: 2px solid var(--border-gray);
+            border-radius: 6px;
+            padding: 4px;
+            cursor: pointer;
+            color: var(--text-gray);
+            font-size: 0.75rem;
+        }
+
+        .gallery-thumb.active {
+            border-color: var(--primary-green);
+        }
+
+        .history-modal-image .gallery-thumb img {
+            height: 60px;
+            border: none;
+            border-radius: 4px;
+        }
+
         .plant-details-section {
             margin-bottom: 30px;
         }
@@ -711,6 +1203,15 @@ const modalStyles = `
             border-left: 3px solid var(--primary-green);
         }
 
+        .history-empty-note {
+            color: var(--text-light-gray);
+            margin: 0 0 10px 0;
+        }
+
+        .continue-conversation-btn {
+            margin-top: 10px;
+        }
+
         .history-actions {
             margin-top: 10px;
             display: flex;
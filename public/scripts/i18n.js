@@ -0,0 +1,142 @@
+/**
+ * Internationalization Service
+ * Holds the language setting, translation catalogs and locale-aware formatting
+ */
+class I18nService {
+    constructor() {
+        this.storageKey = 'plantid-language';
+        this.defaultLanguage = 'en';
+        // name is what the model is told to answer in; nativeName is shown in the picker
+        this.languages = {
+            en: { name: 'English', nativeName: 'English', locale: 'en-US' },
+            es: { name: 'Spanish', nativeName: 'Español', locale: 'es-ES' },
+            fr: { name: 'French', nativeName: 'Français', locale: 'fr-FR' }
+        };
+        this.catalogs = {};
+        this.language = this.loadLanguage();
+    }
+
+    /**
+     * Stored choice, then the browser language, then the default
+     */
+    loadLanguage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored && this.languages[stored]) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading language setting:', error);
+        }
+
+        const browserLanguage = (navigator.language || '').split('-')[0].toLowerCase();
+        return this.languages[browserLanguage] ? browserLanguage : this.defaultLanguage;
+    }
+
+    /**
+     * Add the strings for one language. Called by each scripts/locales file.
+     */
+    registerCatalog(language, messages) {
+        this.catalogs[language] = { ...(this.catalogs[language] || {}), ...messages };
+    }
+
+    /**
+     * Switch language, remember it, retranslate static markup and notify the
+     * rest of the app with a 'languagechanged' event on document
+     */
+    setLanguage(language) {
+        if (!this.languages[language] || language === this.language) return;
+
+        this.language = language;
+        localStorage.setItem(this.storageKey, language);
+        this.translatePage();
+
+        document.dispatchEvent(new CustomEvent('languagechanged', { detail: { language } }));
+    }
+
+    /**
+     * BCP 47 locale for Intl formatting
+     */
+    getLocale(language = this.language) {
+        return (this.languages[language] || this.languages[this.defaultLanguage]).locale;
+    }
+
+    /**
+     * English name of a language, for prompts
+     */
+    getLanguageName(language = this.language) {
+        return (this.languages[language] || this.languages[this.defaultLanguage]).name;
+    }
+
+    /**
+     * Translate a key, filling {placeholders} from params. A numeric
+     * params.count selects a plural form (key_one, key_other, ...) when the
+     * catalog has one. Missing keys fall back to English, then to the key.
+     */
+    t(key, params = {}) {
+        let lookupKey = key;
+
+        if (typeof params.count === 'number') {
+            const pluralKey = `${key}_${new Intl.PluralRules(this.getLocale()).select(params.count)}`;
+            if (this.lookup(pluralKey) !== undefined) {
+                lookupKey = pluralKey;
+            } else if (this.lookup(`${key}_other`) !== undefined) {
+                lookupKey = `${key}_other`;
+            }
+        }
+
+        const message = this.lookup(lookupKey);
+        if (message === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * Raw catalog string in the current language or English
+     */
+    lookup(key) {
+        const current = this.catalogs[this.language] || {};
+        const fallback = this.catalogs[this.defaultLanguage] || {};
+        return current[key] !== undefined ? current[key] : fallback[key];
+    }
+
+    /**
+     * Format a date or ISO string for the current language
+     */
+    formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) {
+        return new Intl.DateTimeFormat(this.getLocale(), options).format(new Date(value));
+    }
+
+    /**
+     * Apply translations to static markup: data-i18n sets text, data-i18n-html
+     * sets markup from the (trusted) catalog, and data-i18n-placeholder,
+     * data-i18n-aria-label and data-i18n-alt set those attributes
+     */
+    translatePage(root = document) {
+        document.documentElement.lang = this.language;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+
+        ['placeholder', 'aria-label', 'alt'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.i18n = new I18nService();
+}
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * Image Editor
+ * Crop and rotate the selected photo in the preview area. The region the
+ * user drags out on the photo is the part that gets analyzed; the original
+ * is kept alongside it.
+ */
+class ImageEditor {
+    constructor() {
+        this.previewSize = 800; // px, longest side of the editing canvas
+        this.minRegionSize = 0.05; // fraction of a side; smaller drags clear the region
+        this.session = null; // { file, image, onApply, rotation, region, drag } while editing
+        this.isApplying = false;
+    }
+
+    /**
+     * Initialize editor
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup editor toolbar and drag listeners
+     */
+    setupEventListeners() {
+        const stage = document.getElementById('imageEditorStage');
+        const buttons = {
+            rotateLeftBtn: () => this.rotate(-1),
+            rotateRightBtn: () => this.rotate(1),
+            resetEditBtn: () => this.reset(),
+            cancelEditBtn: () => this.close(),
+            applyEditBtn: () => this.apply()
+        };
+
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        if (stage) {
+            stage.addEventListener('pointerdown', (e) => this.startDrag(e));
+            stage.addEventListener('pointermove', (e) => this.moveDrag(e));
+            stage.addEventListener('pointerup', (e) => this.endDrag(e));
+            stage.addEventListener('pointercancel', (e) => this.endDrag(e));
+        }
+    }
+
+    /**
+     * Whether a photo is being edited
+     */
+    get isOpen() {
+        return this.session !== null;
+    }
+
+    /**
+     * Start editing a photo file in place of the preview image. edit is the
+     * { rotation, region } it was last edited with, if any. onApply receives
+     * { file, edit } with the edited copy, or null when the edits were reset.
+     */
+    async open(file, edit, onApply) {
+        const processor = window.imageProcessor;
+        this.close();
+
+        if (!processor || !processor.isSupported) {
+            this.showNotification(this.t('editor.unsupported'), 'error');
+            return;
+        }
+
+        let image;
+        try {
+            image = await processor.decode(file);
+        } catch (error) {
+            console.error('Error opening photo editor:', error);
+            this.showNotification(this.t('editor.failed'), 'error');
+            return;
+        }
+
+        this.session = {
+            file,
+            image,
+            onApply,
+            rotation: edit ? edit.rotation : 0,
+            region: edit && edit.region ? { ...edit.region } : null,
+            drag: null
+        };
+        this.toggle(true);
+        this.render();
+    }
+
+    /**
+     * Leave the editor without applying anything
+     */
+    close() {
+        if (!this.session) return;
+
+        if (this.session.image.close) this.session.image.close();
+        this.session = null;
+        this.toggle(false);
+    }
+
+    /**
+     * Swap the preview image and its edit button for the editor
+     */
+    toggle(open) {
+        const imageEditor = document.getElementById('imageEditor');
+        const previewImage = document.getElementById('previewImage');
+        const editImageBtn = document.getElementById('editImageBtn');
+
+        if (imageEditor) imageEditor.style.display = open ? 'block' : 'none';
+        if (previewImage) previewImage.style.display = open ? 'none' : '';
+        if (editImageBtn) editImageBtn.style.display = open ? 'none' : '';
+    }
+
+    /**
+     * Turn the photo a quarter clockwise (1) or counterclockwise (-1),
+     * keeping the region on the same part of the photo
+     */
+    rotate(direction) {
+        const session = this.session;
+        if (!session) return;
+
+        session.rotation = ((session.rotation + direction * 90) % 360 + 360) % 360;
+
+        const region = session.region;
+        if (region) {
+            session.region = direction > 0
+                ? { x: 1 - region.y - region.height, y: region.x, width: region.height, height: region.width }
+                : { x: region.y, y: 1 - region.x - region.width, width: region.height, height: region.width };
+        }
+
+        this.render();
+    }
+
+    /**
+     * Back to the whole photo, unrotated
+     */
+    reset() {
+        if (!this.session) return;
+
+        this.session.rotation = 0;
+        this.session.region = null;
+        this.render();
+    }
+
+    /**
+     * Render the edited copy and hand it to the caller. Nothing to render
+     * when the photo is neither rotated nor cropped.
+     */
+    async apply() {
+        const session = this.session;
+        if (!session || this.isApplying) return;
+
+        const { file, onApply, rotation, region } = session;
+        const edit = rotation === 0 && !region ? null : { rotation, region };
+
+        this.isApplying = true;
+        this.renderControls();
+
+        try {
+            const edited = edit ? await window.imageProcessor.applyEdit(file, edit) : null;
+
+            // The photo may have been closed or swapped meanwhile
+            if (this.session !== session) return;
+
+            this.close();
+            onApply(edited ? { file: edited, edit } : null);
+        } catch (error) {
+            console.error('Error editing photo:', error);
+            this.showNotification(this.t('editor.failed'), 'error');
+        } finally {
+            this.isApplying = false;
+            this.renderControls();
+        }
+    }
+
+    /**
+     * Draw the rotated photo on the editing canvas and place the region
+     */
+    render() {
+        const session = this.session;
+        const canvas = document.getElementById('imageEditorCanvas');
+        if (!session || !canvas) return;
+
+        const rotated = window.imageProcessor.drawEdit(session.image, { rotation: session.rotation });
+        const scale = Math.min(1, this.previewSize / Math.max(rotated.width, rotated.height));
+        canvas.width = Math.max(1, Math.round(rotated.width * scale));
+        canvas.height = Math.max(1, Math.round(rotated.height * scale));
+        canvas.getContext('2d').drawImage(rotated, 0, 0, canvas.width, canvas.height);
+
+        this.renderRegion();
+        this.renderControls();
+    }
+
+    /**
+     * Position the region box over the canvas, in percent so it follows
+     * the canvas as it scales
+     */
+    renderRegion() {
+        const regionBox = document.getElementById('imageEditorRegion');
+        const region = this.session ? this.session.region : null;
+        if (!regionBox) return;
+
+        regionBox.style.display = region ? 'block' : 'none';
+        if (!region) return;
+
+        regionBox.style.left = `${region.x * 100}%`;
+        regionBox.style.top = `${region.y * 100}%`;
+        regionBox.style.width = `${region.width * 100}%`;
+        regionBox.style.height = `${region.height * 100}%`;
+    }
+
+    /**
+     * Disable the toolbar while the edited copy is rendered
+     */
+    renderControls() {
+        ['rotateLeftBtn', 'rotateRightBtn', 'resetEditBtn', 'applyEditBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = this.isApplying;
+        });
+    }
+
+    /**
+     * Pointer position as fractions of the canvas, clamped to its edges;
+     * null while the canvas has no size
+     */
+    pointFromEvent(e) {
+        const canvas = document.getElementById('imageEditorCanvas');
+        const rect = canvas ? canvas.getBoundingClientRect() : null;
+        if (!rect || rect.width === 0 || rect.height === 0) return null;
+
+        const clamp = value => Math.min(1, Math.max(0, value));
+        return {
+            x: clamp((e.clientX - rect.left) / rect.width),
+            y: clamp((e.clientY - rect.top) / rect.height)
+        };
+    }
+
+    /**
+     * Begin dragging out a new region
+     */
+    startDrag(e) {
+        const start = this.session && !this.isApplying ? this.pointFromEvent(e) : null;
+        if (!start || e.button > 0) return;
+
+        e.preventDefault();
+        if (e.currentTarget.setPointerCapture) {
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+        this.session.drag = { start, pointerId: e.pointerId };
+    }
+
+    /**
+     * Stretch the region from where the drag started to the pointer
+     */
+    moveDrag(e) {
+        const drag = this.session ? this.session.drag : null;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        const point = this.pointFromEvent(e);
+        if (!point) return;
+
+        this.session.region = {
+            x: Math.min(drag.start.x, point.x),
+            y: Math.min(drag.start.y, point.y),
+            width: Math.abs(point.x - drag.start.x),
+            height: Math.abs(point.y - drag.start.y)
+        };
+        this.renderRegion();
+    }
+
+    /**
+     * Finish the drag; a tap or a sliver clears the region
+     */
+    endDrag(e) {
+        const drag = this.session ? this.session.drag : null;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        this.moveDrag(e);
+        this.session.drag = null;
+
+        const region = this.session.region;
+        if (region && (region.width < this.minRegionSize || region.height < this.minRegionSize)) {
+            this.session.region = null;
+        }
+        this.renderRegion();
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        // Reuse camera service notification system
+        if (window.cameraService) {
+            if (type === 'success') {
+                window.cameraService.showSuccess(message);
+            } else {
+                window.cameraService.showError(message);
+            }
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.imageEditor = new ImageEditor();
+}
\ No newline at end of file
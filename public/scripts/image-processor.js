@@ -0,0 +1,413 @@
+/**
+ * Image Processor
+ * Prepares every uploaded or captured photo before it is analyzed or
+ * stored: applies the EXIF orientation, downscales to a maximum size and
+ * re-encodes to WebP or JPEG, which drops location and other metadata
+ */
+class ImageProcessor {
+    constructor() {
+        this.storageKey = 'plantid-image-processing';
+        this.formats = ['image/webp', 'image/jpeg'];
+        this.maxDimensions = [1024, 1600, 2048, 3072];
+        this.defaults = {
+            maxDimension: 1600, // longest side in px
+            format: 'image/webp',
+            quality: 0.85,
+            keepMetadata: false, // copy the original EXIF (location included) into JPEG uploads
+            sendFullImage: false // send a cropped photo's uncropped original along as context
+        };
+        this.settings = this.loadSettings();
+        this.orientationSupport = null; // resolves whether the browser applies EXIF orientation itself
+    }
+
+    /**
+     * Resolve settings: localStorage override, then page-level
+     * window.PLANTID_IMAGE_PROCESSING, then defaults
+     */
+    loadSettings() {
+        let stored = null;
+
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error loading image processing settings:', error);
+        }
+
+        return this.validateSettings({
+            ...this.defaults,
+            ...(window.PLANTID_IMAGE_PROCESSING || {}),
+            ...(stored || {})
+        });
+    }
+
+    /**
+     * Replace unknown values with the defaults
+     */
+    validateSettings(settings) {
+        const quality = Number(settings.quality);
+
+        return {
+            maxDimension: Number.isInteger(settings.maxDimension) && settings.maxDimension > 0
+                ? settings.maxDimension
+                : this.defaults.maxDimension,
+            format: this.formats.includes(settings.format) ? settings.format : this.defaults.format,
+            quality: quality > 0 && quality <= 1 ? quality : this.defaults.quality,
+            keepMetadata: settings.keepMetadata === true,
+            sendFullImage: settings.sendFullImage === true
+        };
+    }
+
+    /**
+     * Change some settings and remember them
+     */
+    setSettings(changes) {
+        this.settings = this.validateSettings({ ...this.settings, ...changes });
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Whether the browser can redraw and re-encode photos
+     */
+    get isSupported() {
+        const canvas = document.createElement('canvas');
+        return Boolean(canvas.getContext('2d') && canvas.toBlob);
+    }
+
+    /**
+     * Upright, downscaled, re-encoded copy of an image file. When the browser
+     * can't redraw it, the photo is only stripped of its metadata, and this
+     * throws for formats that can't be stripped.
+     */
+    async process(file) {
+        if (!this.isSupported) return this.stripMetadata(file);
+
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const exif = this.findExif(bytes);
+            const image = await this.decode(file);
+
+            // Only rotate by hand when the decoder ignored the EXIF orientation
+            const orientation = exif && !(await this.decodesWithOrientation()) ? exif.orientation : 1;
+            const canvas = this.draw(image, orientation);
+            if (image.close) image.close();
+
+            const keepMetadata = this.settings.keepMetadata && exif !== null;
+            // The EXIF block can only be carried over into a JPEG
+            let blob = await this.encode(canvas, keepMetadata ? 'image/jpeg' : this.settings.format);
+
+            if (keepMetadata) {
+                blob = await this.insertExif(blob, this.resetOrientation(bytes, exif));
+            }
+
+            const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+            return new File([blob], `${file.name.replace(/\.[^.]+$/, '') || 'photo'}.${extension}`, {
+                type: blob.type,
+                lastModified: file.lastModified
+            });
+        } catch (error) {
+            console.warn('Image processing failed, sending the photo without its metadata:', error);
+            return this.stripMetadata(file);
+        }
+    }
+
+    /**
+     * The photo as it was, minus anything that could hold its location. A
+     * JPEG loses its EXIF, XMP and IPTC segments and comments, keeping only
+     * its orientation; a GIF has none to lose. Other formats are refused
+     * rather than sent as they are.
+     */
+    async stripMetadata(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        if (String.fromCharCode(...bytes.subarray(0, 4)) === 'GIF8') return file;
+
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error(`Can't remove the metadata from ${file.type || 'this file'}`);
+        }
+
+        const exif = this.findExif(bytes);
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // Start of scan: the rest is image data
+            if (marker === 0xDA) break;
+
+            const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            // APP1 (EXIF, XMP), APP13 (IPTC) and comments
+            if (marker !== 0xE1 && marker !== 0xED && marker !== 0xFE) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+        parts.push(bytes.subarray(offset));
+
+        let blob = new Blob(parts, { type: 'image/jpeg' });
+        if (exif && exif.orientation !== 1) {
+            blob = await this.insertExif(blob, this.createOrientationExif(exif.orientation));
+        }
+
+        return new File([blob], file.name, { type: 'image/jpeg', lastModified: file.lastModified });
+    }
+
+    /**
+     * Copy of a processed photo rotated and cropped as set in the photo
+     * editor. edit is { rotation, region }: rotation clockwise in degrees (a
+     * multiple of 90), region { x, y, width, height } as fractions of the
+     * rotated photo, or null for all of it.
+     */
+    async applyEdit(file, edit) {
+        const image = await this.decode(file);
+        const canvas = this.drawEdit(image, edit);
+        if (image.close) image.close();
+
+        const blob = await this.encode(canvas, this.settings.format);
+        const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+        return new File([blob], `${file.name.replace(/\.[^.]+$/, '') || 'photo'}-edited.${extension}`, {
+            type: blob.type,
+            lastModified: file.lastModified
+        });
+    }
+
+    /**
+     * Draw the rotated photo onto a canvas holding only the edit's region
+     */
+    drawEdit(image, { rotation = 0, region = null }) {
+        const turns = ((rotation / 90) % 4 + 4) % 4;
+        const rotatedWidth = turns % 2 ? image.height : image.width;
+        const rotatedHeight = turns % 2 ? image.width : image.height;
+        const area = region || { x: 0, y: 0, width: 1, height: 1 };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(area.width * rotatedWidth));
+        canvas.height = Math.max(1, Math.round(area.height * rotatedHeight));
+
+        const context = canvas.getContext('2d');
+        // Shift the region to the origin, then turn the photo clockwise
+        const transforms = [
+            [1, 0, 0, 1, 0, 0],
+            [0, 1, -1, 0, image.height, 0],
+            [-1, 0, 0, -1, image.width, image.height],
+            [0, -1, 1, 0, 0, image.width]
+        ];
+        context.translate(-Math.round(area.x * rotatedWidth), -Math.round(area.y * rotatedHeight));
+        context.transform(...transforms[turns]);
+
+        context.drawImage(image, 0, 0, image.width, image.height);
+        return canvas;
+    }
+
+    /**
+     * Copy of an image blob no larger than maxDimension on its longer side,
+     * in the configured format. Blobs already that small come back as they are.
+     */
+    async shrink(blob, maxDimension) {
+        const image = await this.decode(blob);
+        const scale = maxDimension / Math.max(image.width, image.height);
+
+        if (scale >= 1) {
+            if (image.close) image.close();
+            return blob;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        if (image.close) image.close();
+
+        return this.encode(canvas, this.settings.format);
+    }
+
+    /**
+     * Decode a file into something drawImage accepts
+     */
+    decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file);
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be decoded'));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Draw the image onto a canvas no larger than maxDimension, applying an
+     * EXIF orientation (1-8)
+     */
+    draw(image, orientation) {
+        const scale = Math.min(1, this.settings.maxDimension / Math.max(image.width, image.height));
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+        const swapsSides = orientation >= 5;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapsSides ? height : width;
+        canvas.height = swapsSides ? width : height;
+
+        const context = canvas.getContext('2d');
+        // Transform that maps the stored pixels to the upright picture, per orientation
+        const transforms = {
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width]
+        };
+        if (transforms[orientation]) {
+            context.setTransform(...transforms[orientation]);
+        }
+
+        context.drawImage(image, 0, 0, width, height);
+        return canvas;
+    }
+
+    /**
+     * Encode a canvas, falling back to JPEG where the browser can't write
+     * the requested format (toBlob silently returns PNG instead)
+     */
+    async encode(canvas, type) {
+        const toBlob = format => new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image could not be encoded'))), format, this.settings.quality);
+        });
+
+        const blob = await toBlob(type);
+        return blob.type === type ? blob : toBlob('image/jpeg');
+    }
+
+    /**
+     * Whether decoding applies EXIF orientation, checked once with a 2x1
+     * JPEG tagged as rotated: decoders that honor the tag report it as 1x2
+     */
+    decodesWithOrientation() {
+        if (!this.orientationSupport) {
+            this.orientationSupport = (async () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = 2;
+                canvas.height = 1;
+
+                const blob = await this.encode(canvas, 'image/jpeg');
+                const image = await this.decode(await this.insertExif(blob, this.createOrientationExif(6)));
+                return image.width === 1;
+            })().catch(() => true);
+        }
+
+        return this.orientationSupport;
+    }
+
+    /**
+     * Locate the EXIF segment of a JPEG and read its orientation. Returns
+     * { start, end, orientation, orientationOffset, littleEndian } or null.
+     */
+    findExif(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+            // Start of scan: no metadata after this point
+            if (marker === 0xDA) return null;
+
+            const isExif = marker === 0xE1 &&
+                String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+
+            if (isExif) {
+                return { start: offset, end: offset + 2 + length, ...this.readOrientation(bytes, offset + 10) };
+            }
+
+            offset += 2 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * Orientation tag from the first IFD of the TIFF block at tiffStart,
+     * 1 when absent
+     */
+    readOrientation(bytes, tiffStart) {
+        const littleEndian = bytes[tiffStart] === 0x49; // 'II'
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ifd = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+        const entries = view.getUint16(ifd, littleEndian);
+
+        for (let i = 0; i < entries; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (view.getUint16(entry, littleEndian) === 0x0112) {
+                const orientation = view.getUint16(entry + 8, littleEndian);
+                return {
+                    orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+                    orientationOffset: entry + 8,
+                    littleEndian
+                };
+            }
+        }
+
+        return { orientation: 1, orientationOffset: null, littleEndian };
+    }
+
+    /**
+     * Copy of the original EXIF segment with orientation set to upright, since
+     * the pixels are redrawn upright
+     */
+    resetOrientation(bytes, exif) {
+        const segment = bytes.slice(exif.start, exif.end);
+
+        if (exif.orientationOffset !== null) {
+            new DataView(segment.buffer).setUint16(exif.orientationOffset - exif.start, 1, exif.littleEndian);
+        }
+
+        return segment;
+    }
+
+    /**
+     * Minimal big-endian EXIF segment holding only an orientation tag
+     */
+    createOrientationExif(orientation) {
+        return new Uint8Array([
+            0xFF, 0xE1, 0x00, 0x22, // APP1, length 34
+            0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // 'Exif\0\0'
+            0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // 'MM', 42, first IFD at 8
+            0x00, 0x01, // one entry
+            0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00, // orientation, SHORT
+            0x00, 0x00, 0x00, 0x00 // no next IFD
+        ]);
+    }
+
+    /**
+     * JPEG blob with an EXIF segment inserted after the start-of-image
+     * marker and any JFIF header
+     */
+    async insertExif(blob, segment) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let offset = 2;
+
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+            offset = 4 + ((bytes[4] << 8) | bytes[5]);
+        }
+
+        return new Blob([bytes.subarray(0, offset), segment, bytes.subarray(offset)], { type: 'image/jpeg' });
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.imageProcessor = new ImageProcessor();
+}
\ No newline at end of file
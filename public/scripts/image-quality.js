@@ -0,0 +1,203 @@
+/**
+ * Image Quality Service
+ * Pre-flight checks on plant photos (resolution, sharpness, exposure and
+ * how much of the frame is green) so poor shots can be retaken before they
+ * are sent for analysis
+ */
+class ImageQualityService {
+    constructor() {
+        // Photos are measured on a copy scaled down to this longest side
+        this.sampleSize = 800;
+        this.thresholds = {
+            minSide: 480, // px, shorter side of the original photo
+            minSharpness: 60, // variance of the Laplacian at sampleSize
+            darkLuminance: 60, // mean luminance, 0-255
+            brightLuminance: 200,
+            clippedFraction: 0.4, // share of pixels crushed to black or blown to white
+            minGreenFraction: 0.05
+        };
+        // Organs expected to show foliage; flowers, fruit and bark often aren't green
+        this.greenLabels = ['habit', 'leaf'];
+        this.checks = ['resolution', 'sharpness', 'dark', 'bright', 'green'];
+    }
+
+    /**
+     * Whether the browser can read back canvas pixels
+     */
+    get isSupported() {
+        return Boolean(document.createElement('canvas').getContext('2d'));
+    }
+
+    /**
+     * Measure an image file. Resolves with the metrics (see measure), or
+     * null when the browser can't decode or read it.
+     */
+    async checkFile(file) {
+        if (!this.isSupported) return null;
+
+        try {
+            const image = await this.decode(file);
+            const metrics = this.measure(image, image.width, image.height);
+            if (image.close) image.close();
+            return metrics;
+        } catch (error) {
+            console.warn('Image quality check failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Measure a frame already drawn on a canvas, e.g. a camera capture
+     */
+    checkCanvas(canvas) {
+        if (!this.isSupported) return null;
+
+        try {
+            return this.measure(canvas, canvas.width, canvas.height);
+        } catch (error) {
+            console.warn('Image quality check failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Decode a file into something drawImage accepts
+     */
+    decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file);
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be decoded'));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Draw the source scaled to sampleSize and compute
+     * { width, height, sharpness, luminance, darkFraction, brightFraction,
+     * greenFraction }; width and height are the original dimensions
+     */
+    measure(source, width, height) {
+        const scale = Math.min(1, this.sampleSize / Math.max(width, height));
+        const sampleWidth = Math.max(1, Math.round(width * scale));
+        const sampleHeight = Math.max(1, Math.round(height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = sampleWidth;
+        canvas.height = sampleHeight;
+        const context = canvas.getContext('2d');
+        context.drawImage(source, 0, 0, sampleWidth, sampleHeight);
+
+        const { data } = context.getImageData(0, 0, sampleWidth, sampleHeight);
+        const pixelCount = sampleWidth * sampleHeight;
+        const gray = new Float32Array(pixelCount);
+        let luminanceSum = 0;
+        let dark = 0;
+        let bright = 0;
+        let green = 0;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+
+            gray[i] = luminance;
+            luminanceSum += luminance;
+            if (luminance < 20) dark++;
+            if (luminance > 245) bright++;
+            // Green dominates and the pixel is neither near-black nor washed out
+            if (g > 40 && g >= r && g > b * 1.1 && g - Math.min(r, b) > 20) green++;
+        }
+
+        return {
+            width,
+            height,
+            sharpness: this.laplacianVariance(gray, sampleWidth, sampleHeight),
+            luminance: luminanceSum / pixelCount,
+            darkFraction: dark / pixelCount,
+            brightFraction: bright / pixelCount,
+            greenFraction: green / pixelCount
+        };
+    }
+
+    /**
+     * Variance of the 4-neighbour Laplacian of a grayscale image; low values
+     * mean few edges, i.e. blur
+     */
+    laplacianVariance(gray, width, height) {
+        if (width < 3 || height < 3) return 0;
+
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += value;
+                sumSquares += value * value;
+                count++;
+            }
+        }
+
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    /**
+     * Single figure for ranking frames of the same scene, higher is better:
+     * sharpness, scaled down for poor exposure and clipped pixels
+     */
+    score(metrics) {
+        if (!metrics) return 0;
+
+        const { darkLuminance, brightLuminance } = this.thresholds;
+        let exposure = 1;
+        if (metrics.luminance < darkLuminance) {
+            exposure = metrics.luminance / darkLuminance;
+        } else if (metrics.luminance > brightLuminance) {
+            exposure = (255 - metrics.luminance) / (255 - brightLuminance);
+        }
+        const unclipped = Math.max(0, 1 - metrics.darkFraction - metrics.brightFraction);
+
+        return metrics.sharpness * exposure * unclipped;
+    }
+
+    /**
+     * Checks a photo fails, in the order of this.checks. label is the organ
+     * the photo shows; the green check only applies to whole plants and leaves.
+     */
+    getIssues(metrics, label = 'habit') {
+        if (!metrics) return [];
+
+        const limits = this.thresholds;
+        const failed = {
+            resolution: Math.min(metrics.width, metrics.height) < limits.minSide,
+            sharpness: metrics.sharpness < limits.minSharpness,
+            dark: metrics.luminance < limits.darkLuminance || metrics.darkFraction > limits.clippedFraction,
+            bright: metrics.luminance > limits.brightLuminance || metrics.brightFraction > limits.clippedFraction,
+            green: this.greenLabels.includes(label) && metrics.greenFraction < limits.minGreenFraction
+        };
+
+        return this.checks.filter(check => failed[check]);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.imageQuality = new ImageQualityService();
+}
\ No newline at end of file
@@ -0,0 +1,483 @@
+/**
+ * English UI strings
+ * Reference catalog: every key lives here, and other languages fall back to it
+ */
+window.i18n.registerCatalog('en', {
+    // Page chrome
+    'app.title': 'PlantID AI - Plant Identification Assistant',
+    'nav.home': 'Home',
+    'nav.identify': 'Identify',
+    'nav.history': 'History',
+    'nav.guide': 'Plant Guide',
+    'nav.language': 'Language',
+    'nav.units': 'Units',
+    'nav.usage': 'Usage',
+    'nav.settings': 'Settings',
+
+    'home.title': 'Discover Plants with <span class="text-green">AI Power</span>',
+    'home.description': 'Upload or capture a photo of any plant and get instant identification with detailed care instructions. Our advanced AI recognizes thousands of plant species with high accuracy.',
+    'home.start': 'Start Identifying',
+    'home.browse': 'Browse Plants',
+    'home.heroAlt': 'Beautiful botanical garden with diverse plant species in natural lighting',
+    'home.feature.recognition.title': 'Instant Recognition',
+    'home.feature.recognition.text': 'Take a photo or upload an image and get immediate plant identification results powered by advanced AI.',
+    'home.feature.care.title': 'Care Instructions',
+    'home.feature.care.text': 'Receive detailed care guides including watering, lighting, soil requirements, and seasonal care tips.',
+    'home.feature.database.title': 'Plant Database',
+    'home.feature.database.text': 'Access comprehensive information about plant families, scientific names, and botanical characteristics.',
+    'home.feature.history.title': 'History Tracking',
+    'home.feature.history.text': 'Keep track of all your plant identifications with searchable history and detailed records.',
+
+    'footer.tagline': 'Advanced plant identification powered by artificial intelligence.',
+    'footer.features': 'Features',
+    'footer.features.recognition': 'AI Plant Recognition',
+    'footer.features.care': 'Care Instructions',
+    'footer.features.database': 'Plant Database',
+    'footer.features.history': 'History Tracking',
+    'footer.technology': 'Technology',
+    'footer.technology.models': 'Advanced AI Models',
+    'footer.technology.vision': 'Computer Vision',
+    'footer.technology.taxonomy': 'Plant Taxonomy',
+    'footer.technology.realtime': 'Real-time Analysis',
+    'footer.copyright': '© 2024 PlantID AI. Advanced plant identification technology.',
+
+    // Identify section
+    'identify.title': 'Plant Identification',
+    'identify.modeLabel': 'Analysis mode',
+    'identify.modeIdentify': 'What is this plant?',
+    'identify.modeDiagnose': 'What\'s wrong with it?',
+    'identify.uploadTitle': 'Upload Plant Image',
+    'identify.uploadText': 'Drop your image here or click to browse',
+    'identify.chooseFile': 'Choose File',
+    'identify.useCamera': 'Use Camera',
+    'identify.capture': 'Capture Photo',
+    'identify.burst': 'Burst Capture',
+    'identify.switchCamera': 'Flip Camera',
+    'identify.torch': 'Torch',
+    'identify.zoom': 'Zoom',
+    'identify.resolution': 'Capture resolution',
+    'identify.focusHint': 'Tap the preview to focus',
+    'identify.cancel': 'Cancel',
+    'identify.previewTitle': 'Image Preview',
+    'identify.previewAlt': 'Plant preview',
+    'identify.previewHint': 'Add photos of the leaf, flower, fruit or bark for a more reliable identification.',
+    'identify.analyze': 'Analyze Plant',
+    'identify.diagnose': 'Diagnose Plant',
+    'identify.addPhoto': 'Add Photo',
+    'identify.addCameraPhoto': 'Add From Camera',
+    'identify.clear': 'Clear Image',
+    'identify.loadingTitle': 'Analyzing Your Plant...',
+    'identify.loadingMessage': 'Our AI is identifying the species and gathering detailed information.',
+    'identify.loadingTitleDiagnose': 'Examining Your Plant...',
+    'identify.loadingMessageDiagnose': 'Our AI is looking for pests, diseases and deficiencies.',
+    'identify.stage.preparing': 'Preparing photos',
+    'identify.stage.uploading': 'Uploading',
+    'identify.stage.waiting': 'Waiting for the model',
+    'identify.stage.parsing': 'Reading the answer',
+    'identify.elapsed': 'Elapsed: {time}',
+    'identify.resultsTitle': 'Identification Results',
+
+    'images.photoAlt': 'Photo {number}',
+    'images.labelFor': 'What photo {number} shows',
+    'images.remove': 'Remove photo {number}',
+    'imageLabels.habit': 'Whole plant',
+    'imageLabels.leaf': 'Leaf',
+    'imageLabels.flower': 'Flower',
+    'imageLabels.fruit': 'Fruit',
+    'imageLabels.bark': 'Bark',
+
+    // Notifications
+    'notify.tooManyPhotos': 'You can attach up to {max} photos per identification.',
+    'notify.invalidImage': 'Please select a valid image file (JPG, PNG, GIF, WebP)',
+    'notify.imageTooLarge': 'Image file is too large. Please select a file smaller than 10MB.',
+    'notify.photosTruncated_one': 'Only the first photo was added - the limit is {max} per identification.',
+    'notify.photosTruncated_other': 'Only the first {count} photos were added - the limit is {max} per identification.',
+    'notify.imageLoaded': 'Image loaded successfully! Click "Analyze Plant" to identify.',
+    'notify.photoAdded': 'Photo {number} added. Label each photo, then click "Analyze Plant".',
+    'notify.photoRefused': 'This photo couldn\'t be prepared without its location data, so it wasn\'t added. Try saving it as a JPEG first.',
+    'notify.selectImage': 'Please select an image first',
+    'notify.inProgress': 'Analysis already in progress',
+    'notify.diagnosisComplete': 'Diagnosis complete!',
+    'notify.identified': 'Plant identified successfully!',
+    'notify.analysisFailed': 'Failed to analyze plant. Please try again.',
+    'notify.promoted': 'Updated identification to {name}',
+
+    // Results
+    'results.confidence': 'Confidence: {value}%',
+    'results.family': 'Family:',
+    'results.promotedNotice': 'You chose this candidate over the AI\'s top pick, <strong>{name}</strong> (<em>{scientificName}</em>). The description and care details were written for that original identification, not for this plant.',
+    'results.defaultedNotice': 'Some details were not provided by the AI and show general guidance instead (marked <span class="defaulted-badge">General</span>).',
+    'results.defaultedBadge': 'General',
+    'results.defaultedTitle': 'Not provided by the AI - general guidance',
+    'results.loading': 'Loading...',
+    'results.careInstructions': 'Care Instructions',
+    'results.characteristics': 'Plant Characteristics',
+    'results.careTips': 'Care Tips',
+    'results.alternatives': 'Other Possibilities',
+    'results.choose': 'This is my plant',
+    'results.identifyAnother': 'Identify Another Plant',
+    'results.checkAnother': 'Check Another Plant',
+    'results.viewHistory': 'View History',
+    'results.cachedBadge': 'Cached',
+    'results.cachedNotice': 'These photos were analyzed on {date}, so the earlier result is shown.',
+    'results.analyzeAgain': 'Analyze Again',
+    'results.language': 'Answered in {language}',
+
+    'care.light': 'Light',
+    'care.water': 'Water',
+    'care.soil': 'Soil',
+    'care.temperature': 'Temperature',
+    'care.humidity': 'Humidity',
+    'care.fertilizer': 'Fertilizer',
+    'characteristics.size': 'Size',
+    'characteristics.growth': 'Growth Rate',
+    'characteristics.blooming': 'Flowering',
+    'characteristics.toxicity': 'Toxicity',
+    'characteristics.difficulty': 'Difficulty',
+    'seasons.spring': 'Spring',
+    'seasons.summer': 'Summer',
+    'seasons.fall': 'Fall',
+    'seasons.winter': 'Winter',
+
+    'careParameters.title': 'At a Glance',
+    'careParameters.lightLevel': 'Light',
+    'careParameters.temperatureC': 'Temperature',
+    'careParameters.humidityPercent': 'Humidity',
+    'careParameters.wateringIntervalDays': 'Watering',
+    'careParameters.fertilizingIntervalDays': 'Fertilizing',
+    'lightLevel.low': 'Low light',
+    'lightLevel.medium': 'Medium light',
+    'lightLevel.bright_indirect': 'Bright, indirect light',
+    'lightLevel.direct': 'Direct sun',
+    'units.metric': 'Metric (°C)',
+    'units.imperial': 'Imperial (°F)',
+    'units.percent': '{value}%',
+    'units.everyDays_one': 'Every day',
+    'units.everyDays_other': 'Every {range} days',
+
+    'diagnosis.imageAlt': 'Plant being diagnosed',
+    'diagnosis.defaultTitle': 'Plant Health Check',
+    'diagnosis.severity': 'Severity:',
+    'diagnosis.symptoms': 'Symptoms Observed',
+    'diagnosis.causes': 'Likely Causes',
+    'diagnosis.treatment': 'Treatment',
+    'diagnosis.prevention': 'Prevention',
+    'severity.healthy': 'healthy',
+    'severity.mild': 'mild',
+    'severity.moderate': 'moderate',
+    'severity.severe': 'severe',
+    'severity.critical': 'critical',
+    'severity.unknown': 'unknown',
+    'causeType.pest': 'pest',
+    'causeType.disease': 'disease',
+    'causeType.deficiency': 'deficiency',
+    'causeType.environmental': 'environmental',
+    'causeType.other': 'other',
+
+    // Follow-up chat
+    'followUp.title': 'Ask about {name}',
+    'followUp.thisPlant': 'this plant',
+    'followUp.placeholder': 'e.g. Is it safe for cats?',
+    'followUp.placeholderDiagnosis': 'e.g. How often should I apply the treatment?',
+    'followUp.ask': 'Ask',
+    'followUp.thinking': 'Thinking...',
+
+    // Failures
+    'failure.network.title': 'Can\'t Reach the AI Service',
+    'failure.network.message': 'Check your internet connection, then try again.',
+    'failure.timeout.title': 'Analysis Took Too Long',
+    'failure.timeout.message': 'The AI service is responding slowly. Try again, or send fewer photos.',
+    'failure.auth.title': 'AI Service Rejected the Request',
+    'failure.auth.message': 'The API key or provider settings are not valid. Check the AI provider configuration.',
+    'failure.rate_limited.title': 'Too Many Requests',
+    'failure.rate_limited.message': 'The AI service is limiting how often it can be used. Wait {wait} and try again.',
+    'failure.server.title': 'AI Service Error',
+    'failure.server.message': 'The AI service had a problem. This is usually temporary; try again shortly.',
+    'failure.circuit_open.title': 'Requests Paused',
+    'failure.circuit_open.message': 'Several requests in a row failed, so new ones are paused for {wait} to let the service recover.',
+    'failure.invalid_request.title': 'Photos Were Rejected',
+    'failure.invalid_request.message': 'The photos may be too large or in an unsupported format. Use JPEG, PNG or WebP images under 10MB.',
+    'failure.unparseable.title': 'Couldn\'t Read the Answer',
+    'failure.unparseable.message': 'The AI replied in an unexpected format. Trying again usually fixes this.',
+    'failure.not_a_plant.title': 'No Plant Found',
+    'failure.not_a_plant.message': 'The photos don\'t seem to show a plant. Take a clear photo with the plant filling most of the frame.',
+    'failure.unknown.title': 'Unable to Identify Plant',
+    'failure.unknown.titleDiagnosis': 'Unable to Diagnose Plant',
+    'failure.unknown.message': 'Something went wrong while analyzing your photos.',
+    'failure.waitSeconds_one': '{count} second',
+    'failure.waitSeconds_other': '{count} seconds',
+    'failure.waitDefault': 'a minute',
+    'failure.generalCare': 'General Plant Care',
+    'failure.betterResults': 'For Better Results',
+    'failure.tryAgain': 'Try Again',
+    'failure.tryAnother': 'Try Another Image',
+    'failure.browseGuide': 'Browse Plant Guide',
+
+    // History
+    'history.title': 'Identification History',
+    'history.search': 'Search plants...',
+    'history.clearAll': 'Clear All',
+    'history.emptyTitle': 'No Plants Identified Yet',
+    'history.emptyText': 'Start identifying plants to see your history here.',
+    'history.emptyAction': 'Identify Your First Plant',
+    'history.healthDiagnosis': 'Health diagnosis',
+    'history.viewDetails': 'View Details',
+    'history.delete': 'Delete',
+    'history.close': 'Close',
+    'history.plantInformation': 'Plant Information',
+    'history.scientificName': 'Scientific Name:',
+    'history.family': 'Family:',
+    'history.confidence': 'Confidence:',
+    'history.date': 'Date:',
+    'history.language': 'Language:',
+    'history.prompt': 'Prompt:',
+    'history.usage': 'AI Usage:',
+    'history.contextField': '{label}:',
+    'history.usageSummary': '{model} · {tokens} tokens · {latency} · {cost}',
+    'history.description': 'Description:',
+    'history.originalPick': 'AI\'s original pick:',
+    'history.uncropped': '{label} (uncropped)',
+    'history.seasonalCare': 'Seasonal Care',
+    'history.diagnosis': 'Diagnosis',
+    'history.summary': 'Summary:',
+    'history.growth': 'Growth',
+    'history.blooming': 'Blooming',
+    'history.followUps': 'Follow-up Questions',
+    'history.noFollowUps': 'No questions asked yet.',
+    'history.continueConversation': 'Continue Conversation',
+    'history.askQuestion': 'Ask a Question',
+    'history.notFound': 'History item not found',
+    'history.confirmDelete': 'Are you sure you want to delete this plant identification?',
+    'history.deleted': 'Plant identification deleted',
+    'history.deleteFailed': 'Failed to delete item',
+    'history.saveFailed': 'This result could not be saved to history.',
+    'history.storageFull': 'History storage is full, so this result was not saved. Delete some entries to make room.',
+    'history.confirmClear': 'Are you sure you want to clear all plant identification history? This cannot be undone.',
+    'history.cleared': 'History cleared successfully',
+    'history.clearFailed': 'Failed to clear history',
+    'history.nothingToExport': 'No history to export',
+    'history.exported': 'History exported successfully',
+    'history.exportFailed': 'Failed to export history',
+    'history.none': 'None',
+
+    // Usage ledger
+    'usage.title': 'AI Usage',
+    'usage.description': 'Token counts and estimated cost of the AI requests made from this browser.',
+    'usage.clear': 'Clear Ledger',
+    'usage.emptyTitle': 'No AI Usage Yet',
+    'usage.emptyText': 'Token counts and costs appear here after your first analysis.',
+    'usage.monthly': 'Monthly Totals',
+    'usage.daily': 'Daily Totals',
+    'usage.month': 'Month',
+    'usage.day': 'Day',
+    'usage.requests': 'Requests',
+    'usage.inputTokens': 'Input Tokens',
+    'usage.outputTokens': 'Output Tokens',
+    'usage.averageLatency': 'Avg. Latency',
+    'usage.cost': 'Est. Cost',
+    'usage.unpriced_one': '+ {count} request with no price',
+    'usage.unpriced_other': '+ {count} requests with no price',
+    'usage.seconds': '{value} s',
+    'usage.unknownCost': 'Unknown',
+    'usage.confirmClear': 'Clear the usage ledger? Totals for past requests will be lost.',
+
+    // Offline queue
+    'queue.pending_one': '{count} queued',
+    'queue.pending_other': '{count} queued',
+    'queue.sending': 'Sending queued photos...',
+    'queue.offlineHint': 'You\'re offline. Queued photos are analyzed automatically when the connection returns.',
+    'queue.retryHint': 'Click to send queued photos now',
+    'queue.queued': 'No connection right now. The photos are saved and will be analyzed automatically once you\'re back online.',
+    'queue.identified': 'Queued photo identified as {name} and saved to history',
+    'queue.diagnosed': 'Queued diagnosis for {name} saved to history',
+    'queue.failed': 'A queued photo could not be analyzed: {reason}',
+
+    // Photo quality checks
+    'quality.title': 'Some photos may give an unreliable result',
+    'quality.photo': 'Photo {number} ({label})',
+    'quality.photoWarning': 'Photo {number}: {advice}',
+    'quality.hint': 'Retake or replace these photos for a more reliable answer, or send them as they are.',
+    'quality.proceed': 'Analyze anyway',
+    'quality.badge': 'Photo quality warning',
+    'quality.advice.resolution': 'Too small. Move closer or use a larger photo, at least 480 pixels on the shorter side.',
+    'quality.advice.sharpness': 'Blurry. Hold the camera steady, tap the plant to focus and keep at least a hand\'s width away.',
+    'quality.advice.dark': 'Too dark. Move into daylight or add more light, and avoid shooting against a bright window.',
+    'quality.advice.bright': 'Overexposed. Avoid direct sun and glare on the leaves; open shade works best.',
+    'quality.advice.green': 'Little of the plant is visible. Fill the frame with its leaves and keep the background out.',
+
+    // Burst capture
+    'burst.title': 'Burst frames',
+    'burst.hint': 'The sharpest, best-exposed of {count} frames was kept. Tap another frame to use it instead.',
+    'burst.best': 'Best',
+    'burst.select': 'Use frame {number}',
+    'burst.frameAlt': 'Burst frame {number}',
+
+    // Live mode
+    'live.start': 'Live Mode',
+    'live.stop': 'Stop Live Mode',
+    'live.interval': 'Live identification interval',
+    'live.every': 'Every {seconds} s',
+    'live.guess': '{name} · {confidence}%',
+    'live.status.looking': 'Looking for a plant…',
+    'live.status.noPlant': 'No plant in view',
+    'live.status.offline': 'Offline. Live identification is paused.',
+    'live.status.failed': 'Live identification is unavailable. Retrying…',
+    'live.tapToSave': 'Tap the preview to save this frame to history',
+    'live.saving': 'Saving…',
+    'live.saved': '{name} saved to history',
+    'live.saveFailed': 'The frame could not be saved. Try again.',
+    'live.noPlant': 'No plant found in this frame',
+
+    // Photo editor
+    'editor.edit': 'Crop & Rotate',
+    'editor.hint': 'Drag a box around the plant to analyze. Only that part of the photo is sent.',
+    'editor.canvasLabel': 'Photo being edited. Drag to mark the plant to analyze.',
+    'editor.rotateLeft': 'Rotate Left',
+    'editor.rotateRight': 'Rotate Right',
+    'editor.reset': 'Reset',
+    'editor.apply': 'Apply',
+    'editor.edited': 'Cropped or rotated',
+    'editor.finishFirst': 'Apply or cancel your photo edits before analyzing.',
+    'editor.unsupported': 'Photo editing isn\'t supported in this browser.',
+    'editor.failed': 'The photo could not be edited. Please try again.',
+
+    // Identification context form
+    'context.title': 'Add details (optional)',
+    'context.hint': 'Where and how the plant grows helps narrow down the candidates.',
+    'context.setting': 'Grown',
+    'context.notSure': 'Not sure',
+    'context.settings.indoor': 'Indoors',
+    'context.settings.outdoor': 'Outdoors',
+    'context.region': 'Region or climate zone',
+    'context.regionPlaceholder': 'e.g. Southern Spain, USDA zone 8b',
+    'context.heightCm': 'Plant height',
+    'context.symptoms': 'Symptoms noticed',
+    'context.symptomsPlaceholder': 'e.g. yellow lower leaves, brown spots',
+    'context.location': 'Location',
+    'context.coordinates': '{latitude}, {longitude}',
+    'context.attachLocation': 'Attach my location',
+    'context.removeLocation': 'Remove location',
+    'context.locating': 'Finding your location...',
+    'context.locationAttached': 'Approximate location attached: {coordinates}',
+    'context.locationDenied': 'Location permission was denied.',
+    'context.locationUnavailable': 'Your location could not be determined.',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.prompts.title': 'Prompt Templates',
+    'settings.prompts.description': 'Choose which prompt revision each kind of request uses. Results and history entries record the prompt that produced them.',
+    'settings.prompts.identification': 'Identification',
+    'settings.prompts.diagnosis': 'Health diagnosis',
+    'settings.prompts.follow-up': 'Follow-up questions',
+    'settings.prompts.live': 'Live camera identification',
+    'settings.prompts.saved': 'Prompt template updated',
+    'prompts.templateVersion': '{id} v{version}',
+    'settings.photos.title': 'Photos',
+    'settings.photos.description': 'Photos are turned upright, resized and re-encoded before they are sent or saved. Location and other camera details are removed unless you choose to keep them.',
+    'settings.photos.maxDimension': 'Maximum size',
+    'settings.photos.pixels': '{size} px',
+    'settings.photos.format': 'Format',
+    'settings.photos.formats.webp': 'WebP (smaller files)',
+    'settings.photos.formats.jpeg': 'JPEG (most compatible)',
+    'settings.photos.keepMetadata': 'Keep location and camera details (saves as JPEG)',
+    'settings.photos.sendFullImage': 'Send the uncropped photo as context with cropped photos',
+    'settings.photos.saved': 'Photo settings updated',
+
+    'settings.cache.title': 'Saved Results',
+    'settings.cache.description': 'Photos analyzed again with the same context and prompt reuse the saved answer. Use Analyze Again on a result to ask the AI afresh.',
+    'settings.cache.stats_one': '{count} saved result, about {size} KB',
+    'settings.cache.stats_other': '{count} saved results, about {size} KB',
+    'settings.cache.clear': 'Clear saved results',
+    'settings.cache.cleared': 'Saved results cleared',
+
+    // Plant guide
+    'guide.title': 'Plant Care Guide',
+    'guide.all': 'All Plants',
+    'guide.indoor': 'Indoor Plants',
+    'guide.outdoor': 'Outdoor Plants',
+    'guide.succulents': 'Succulents',
+    'guide.flowering': 'Flowering Plants',
+    'guide.difficulty': 'Difficulty: {level}',
+
+    // Camera
+    'camera.notSupported': 'Camera not supported in this browser',
+    'camera.notActive': 'Camera not active',
+    'camera.captureFailed': 'Failed to capture image',
+    'camera.photoFailed': 'Failed to capture photo',
+    'camera.accessFailed': 'Camera access failed',
+    'camera.denied': 'Camera access denied. Please allow camera permissions and try again.',
+    'camera.notFound': 'No camera found. Please connect a camera and try again.',
+    'camera.unsupported': 'Camera not supported in this browser.',
+    'camera.inUse': 'Camera is being used by another application.',
+    'camera.overconstrained': 'Camera constraints cannot be satisfied.',
+    'camera.security': 'Camera access blocked for security reasons.',
+    'camera.error': 'Camera error: {message}',
+    'camera.switchFailed': 'Failed to switch camera',
+    'camera.choose': 'Camera',
+    'camera.unnamed': 'Camera {number}',
+    'camera.disconnected': 'The camera was disconnected. Switched to another camera.',
+    'camera.resolutionHeight': '{height}p',
+    'camera.resolutionMax': 'Maximum ({width} × {height})',
+    'camera.controlFailed': 'This camera setting could not be applied',
+    'camera.bursting': 'Capturing…',
+
+    // Generic guidance used when the AI leaves a field out
+    'defaults.plantName': 'Unknown Plant',
+    'defaults.scientificName': 'Species unknown',
+    'defaults.family': 'Family unknown',
+    'defaults.description': 'Plant identification completed with available information.',
+    'defaults.care.light': 'Bright, indirect light',
+    'defaults.care.water': 'Water when top soil feels dry',
+    'defaults.care.soil': 'Well-draining potting mix',
+    'defaults.care.temperature': '65-75°F (18-24°C)',
+    'defaults.care.humidity': 'Moderate humidity 40-60%',
+    'defaults.care.fertilizer': 'Monthly liquid fertilizer during growing season',
+    'defaults.care.propagation': 'Methods vary by species',
+    'defaults.care.commonIssues': 'Monitor for pests, diseases, and environmental stress',
+    'defaults.characteristics.size': 'Size varies by species and growing conditions',
+    'defaults.characteristics.growth': 'Moderate growth rate',
+    'defaults.characteristics.blooming': 'Flowering depends on species and care',
+    'defaults.characteristics.toxicity': 'Verify toxicity before handling - assume potentially harmful',
+    'defaults.characteristics.difficulty': 'Intermediate care level',
+    'defaults.seasons.spring': 'Increase watering frequency and begin fertilizing',
+    'defaults.seasons.summer': 'Maintain consistent moisture and protect from extreme heat',
+    'defaults.seasons.fall': 'Reduce fertilizing and gradually decrease watering',
+    'defaults.seasons.winter': 'Minimal watering and maintain stable temperatures',
+    'defaults.tips.1': 'Observe plant regularly for signs of health or stress',
+    'defaults.tips.2': 'Adjust watering based on seasonal changes and plant response',
+    'defaults.tips.3': 'Research specific species needs for optimal care',
+    'defaults.diagnosis.plantName': 'Unknown plant',
+    'defaults.diagnosis.summary': 'The AI could not summarize this plant\'s condition.',
+    'defaults.treatment.1': 'Isolate the plant from others until the cause is confirmed',
+    'defaults.treatment.2': 'Remove badly affected leaves with clean, sterilized tools',
+    'defaults.treatment.3': 'Review watering, light and drainage against the plant\'s needs',
+    'defaults.prevention.1': 'Inspect plants weekly, including the undersides of leaves',
+    'defaults.prevention.2': 'Quarantine new plants for two weeks before placing them with others',
+    'defaults.prevention.3': 'Avoid overwatering and keep good air circulation',
+
+    // General care shown when identification fails
+    'fallback.plantName': 'Plant Identification Unavailable',
+    'fallback.scientificName': 'Analysis required',
+    'fallback.family': 'Unknown family',
+    'fallback.description': 'Unable to complete plant identification. Please try again with a clearer image showing the plant\'s leaves, stems, and any distinctive features.',
+    'fallback.care.light': 'Most plants prefer bright, indirect light',
+    'fallback.care.water': 'Water when the top inch of soil feels dry',
+    'fallback.care.soil': 'Use well-draining potting soil',
+    'fallback.care.temperature': 'Keep between 65-75°F (18-24°C)',
+    'fallback.care.humidity': 'Maintain 40-60% humidity if possible',
+    'fallback.care.fertilizer': 'Feed monthly during spring and summer',
+    'fallback.care.propagation': 'Research specific methods for your plant type',
+    'fallback.care.commonIssues': 'Watch for yellowing leaves, pests, or wilting',
+    'fallback.characteristics.size': 'Varies significantly by species',
+    'fallback.characteristics.growth': 'Growth rate depends on species and care',
+    'fallback.characteristics.blooming': 'Flowering varies by plant type',
+    'fallback.characteristics.toxicity': 'Always research plant safety before handling',
+    'fallback.characteristics.difficulty': 'Care difficulty varies by species',
+    'fallback.seasons.spring': 'Resume regular feeding and increase watering',
+    'fallback.seasons.summer': 'Maintain consistent care and monitor for heat stress',
+    'fallback.seasons.fall': 'Begin reducing fertilizer and watering frequency',
+    'fallback.seasons.winter': 'Reduce watering and maintain stable environment',
+    'fallback.tips.1': 'Take clear, well-lit photos for better identification',
+    'fallback.tips.2': 'Include multiple angles showing leaves, stems, and growth pattern',
+    'fallback.tips.3': 'Note the plant\'s current growing conditions and any issues'
+});
\ No newline at end of file
@@ -0,0 +1,483 @@
+/**
+ * Spanish UI strings
+ * Keys missing here fall back to the English catalog
+ */
+window.i18n.registerCatalog('es', {
+    // Page chrome
+    'app.title': 'PlantID AI - Asistente de identificación de plantas',
+    'nav.home': 'Inicio',
+    'nav.identify': 'Identificar',
+    'nav.history': 'Historial',
+    'nav.guide': 'Guía de plantas',
+    'nav.language': 'Idioma',
+    'nav.units': 'Unidades',
+    'nav.usage': 'Uso',
+    'nav.settings': 'Ajustes',
+
+    'home.title': 'Descubre plantas con el <span class="text-green">poder de la IA</span>',
+    'home.description': 'Sube o toma una foto de cualquier planta y obtén una identificación al instante con instrucciones de cuidado detalladas. Nuestra IA avanzada reconoce miles de especies con gran precisión.',
+    'home.start': 'Empezar a identificar',
+    'home.browse': 'Explorar plantas',
+    'home.heroAlt': 'Jardín botánico con especies de plantas diversas bajo luz natural',
+    'home.feature.recognition.title': 'Reconocimiento instantáneo',
+    'home.feature.recognition.text': 'Toma una foto o sube una imagen y obtén al momento la identificación de la planta gracias a una IA avanzada.',
+    'home.feature.care.title': 'Instrucciones de cuidado',
+    'home.feature.care.text': 'Recibe guías de cuidado detalladas con riego, luz, tipo de suelo y consejos para cada estación.',
+    'home.feature.database.title': 'Base de datos de plantas',
+    'home.feature.database.text': 'Consulta información completa sobre familias, nombres científicos y características botánicas.',
+    'home.feature.history.title': 'Historial',
+    'home.feature.history.text': 'Guarda todas tus identificaciones con un historial con búsqueda y registros detallados.',
+
+    'footer.tagline': 'Identificación de plantas avanzada con inteligencia artificial.',
+    'footer.features': 'Funciones',
+    'footer.features.recognition': 'Reconocimiento de plantas con IA',
+    'footer.features.care': 'Instrucciones de cuidado',
+    'footer.features.database': 'Base de datos de plantas',
+    'footer.features.history': 'Historial',
+    'footer.technology': 'Tecnología',
+    'footer.technology.models': 'Modelos de IA avanzados',
+    'footer.technology.vision': 'Visión por computador',
+    'footer.technology.taxonomy': 'Taxonomía vegetal',
+    'footer.technology.realtime': 'Análisis en tiempo real',
+    'footer.copyright': '© 2024 PlantID AI. Tecnología avanzada de identificación de plantas.',
+
+    // Identify section
+    'identify.title': 'Identificación de plantas',
+    'identify.modeLabel': 'Modo de análisis',
+    'identify.modeIdentify': '¿Qué planta es?',
+    'identify.modeDiagnose': '¿Qué le pasa?',
+    'identify.uploadTitle': 'Subir imagen de la planta',
+    'identify.uploadText': 'Suelta la imagen aquí o haz clic para buscarla',
+    'identify.chooseFile': 'Elegir archivo',
+    'identify.useCamera': 'Usar cámara',
+    'identify.capture': 'Tomar foto',
+    'identify.burst': 'Ráfaga',
+    'identify.switchCamera': 'Girar cámara',
+    'identify.torch': 'Linterna',
+    'identify.zoom': 'Zoom',
+    'identify.resolution': 'Resolución de captura',
+    'identify.focusHint': 'Toca la vista previa para enfocar',
+    'identify.cancel': 'Cancelar',
+    'identify.previewTitle': 'Vista previa',
+    'identify.previewAlt': 'Vista previa de la planta',
+    'identify.previewHint': 'Añade fotos de la hoja, la flor, el fruto o la corteza para una identificación más fiable.',
+    'identify.analyze': 'Analizar planta',
+    'identify.diagnose': 'Diagnosticar planta',
+    'identify.addPhoto': 'Añadir foto',
+    'identify.addCameraPhoto': 'Añadir desde la cámara',
+    'identify.clear': 'Quitar imagen',
+    'identify.loadingTitle': 'Analizando tu planta...',
+    'identify.loadingMessage': 'Nuestra IA está identificando la especie y reuniendo información detallada.',
+    'identify.loadingTitleDiagnose': 'Examinando tu planta...',
+    'identify.loadingMessageDiagnose': 'Nuestra IA está buscando plagas, enfermedades y carencias.',
+    'identify.stage.preparing': 'Preparando fotos',
+    'identify.stage.uploading': 'Subiendo',
+    'identify.stage.waiting': 'Esperando al modelo',
+    'identify.stage.parsing': 'Leyendo la respuesta',
+    'identify.elapsed': 'Tiempo transcurrido: {time}',
+    'identify.resultsTitle': 'Resultados de la identificación',
+
+    'images.photoAlt': 'Foto {number}',
+    'images.labelFor': 'Qué muestra la foto {number}',
+    'images.remove': 'Quitar la foto {number}',
+    'imageLabels.habit': 'Planta entera',
+    'imageLabels.leaf': 'Hoja',
+    'imageLabels.flower': 'Flor',
+    'imageLabels.fruit': 'Fruto',
+    'imageLabels.bark': 'Corteza',
+
+    // Notifications
+    'notify.tooManyPhotos': 'Puedes adjuntar hasta {max} fotos por identificación.',
+    'notify.invalidImage': 'Selecciona un archivo de imagen válido (JPG, PNG, GIF, WebP)',
+    'notify.imageTooLarge': 'La imagen es demasiado grande. Selecciona un archivo de menos de 10 MB.',
+    'notify.photosTruncated_one': 'Solo se añadió la primera foto: el límite es {max} por identificación.',
+    'notify.photosTruncated_other': 'Solo se añadieron las primeras {count} fotos: el límite es {max} por identificación.',
+    'notify.imageLoaded': '¡Imagen cargada! Haz clic en «Analizar planta» para identificarla.',
+    'notify.photoAdded': 'Foto {number} añadida. Indica qué muestra cada foto y haz clic en «Analizar planta».',
+    'notify.photoRefused': 'No se pudo preparar esta foto sin sus datos de ubicación, así que no se ha añadido. Prueba a guardarla antes como JPEG.',
+    'notify.selectImage': 'Primero selecciona una imagen',
+    'notify.inProgress': 'Ya hay un análisis en curso',
+    'notify.diagnosisComplete': '¡Diagnóstico completado!',
+    'notify.identified': '¡Planta identificada!',
+    'notify.analysisFailed': 'No se pudo analizar la planta. Inténtalo de nuevo.',
+    'notify.promoted': 'Identificación cambiada a {name}',
+
+    // Results
+    'results.confidence': 'Confianza: {value}%',
+    'results.family': 'Familia:',
+    'results.promotedNotice': 'Elegiste este candidato en lugar de la primera opción de la IA, <strong>{name}</strong> (<em>{scientificName}</em>). La descripción y los cuidados se escribieron para esa identificación original, no para esta planta.',
+    'results.defaultedNotice': 'La IA no proporcionó algunos datos y en su lugar se muestran pautas generales (marcadas como <span class="defaulted-badge">General</span>).',
+    'results.defaultedBadge': 'General',
+    'results.defaultedTitle': 'No lo proporcionó la IA: pauta general',
+    'results.loading': 'Cargando...',
+    'results.careInstructions': 'Instrucciones de cuidado',
+    'results.characteristics': 'Características de la planta',
+    'results.careTips': 'Consejos de cuidado',
+    'results.alternatives': 'Otras posibilidades',
+    'results.choose': 'Esta es mi planta',
+    'results.identifyAnother': 'Identificar otra planta',
+    'results.checkAnother': 'Revisar otra planta',
+    'results.viewHistory': 'Ver historial',
+    'results.cachedBadge': 'En caché',
+    'results.cachedNotice': 'Estas fotos se analizaron el {date}, así que se muestra el resultado anterior.',
+    'results.analyzeAgain': 'Analizar de nuevo',
+    'results.language': 'Respuesta en {language}',
+
+    'care.light': 'Luz',
+    'care.water': 'Riego',
+    'care.soil': 'Suelo',
+    'care.temperature': 'Temperatura',
+    'care.humidity': 'Humedad',
+    'care.fertilizer': 'Abono',
+    'characteristics.size': 'Tamaño',
+    'characteristics.growth': 'Crecimiento',
+    'characteristics.blooming': 'Floración',
+    'characteristics.toxicity': 'Toxicidad',
+    'characteristics.difficulty': 'Dificultad',
+    'seasons.spring': 'Primavera',
+    'seasons.summer': 'Verano',
+    'seasons.fall': 'Otoño',
+    'seasons.winter': 'Invierno',
+
+    'careParameters.title': 'De un vistazo',
+    'careParameters.lightLevel': 'Luz',
+    'careParameters.temperatureC': 'Temperatura',
+    'careParameters.humidityPercent': 'Humedad',
+    'careParameters.wateringIntervalDays': 'Riego',
+    'careParameters.fertilizingIntervalDays': 'Abonado',
+    'lightLevel.low': 'Poca luz',
+    'lightLevel.medium': 'Luz media',
+    'lightLevel.bright_indirect': 'Luz brillante e indirecta',
+    'lightLevel.direct': 'Sol directo',
+    'units.metric': 'Métrico (°C)',
+    'units.imperial': 'Imperial (°F)',
+    'units.percent': '{value} %',
+    'units.everyDays_one': 'Cada día',
+    'units.everyDays_other': 'Cada {range} días',
+
+    'diagnosis.imageAlt': 'Planta en diagnóstico',
+    'diagnosis.defaultTitle': 'Revisión de salud',
+    'diagnosis.severity': 'Gravedad:',
+    'diagnosis.symptoms': 'Síntomas observados',
+    'diagnosis.causes': 'Causas probables',
+    'diagnosis.treatment': 'Tratamiento',
+    'diagnosis.prevention': 'Prevención',
+    'severity.healthy': 'sana',
+    'severity.mild': 'leve',
+    'severity.moderate': 'moderada',
+    'severity.severe': 'grave',
+    'severity.critical': 'crítica',
+    'severity.unknown': 'desconocida',
+    'causeType.pest': 'plaga',
+    'causeType.disease': 'enfermedad',
+    'causeType.deficiency': 'carencia',
+    'causeType.environmental': 'ambiental',
+    'causeType.other': 'otra',
+
+    // Follow-up chat
+    'followUp.title': 'Pregunta sobre {name}',
+    'followUp.thisPlant': 'esta planta',
+    'followUp.placeholder': 'p. ej. ¿Es segura para los gatos?',
+    'followUp.placeholderDiagnosis': 'p. ej. ¿Cada cuánto debo aplicar el tratamiento?',
+    'followUp.ask': 'Preguntar',
+    'followUp.thinking': 'Pensando...',
+
+    // Failures
+    'failure.network.title': 'No se puede conectar con el servicio de IA',
+    'failure.network.message': 'Comprueba tu conexión a internet e inténtalo de nuevo.',
+    'failure.timeout.title': 'El análisis tardó demasiado',
+    'failure.timeout.message': 'El servicio de IA responde con lentitud. Inténtalo de nuevo o envía menos fotos.',
+    'failure.auth.title': 'El servicio de IA rechazó la solicitud',
+    'failure.auth.message': 'La clave de API o la configuración del proveedor no son válidas. Revisa la configuración del proveedor de IA.',
+    'failure.rate_limited.title': 'Demasiadas solicitudes',
+    'failure.rate_limited.message': 'El servicio de IA está limitando su uso. Espera {wait} e inténtalo de nuevo.',
+    'failure.server.title': 'Error del servicio de IA',
+    'failure.server.message': 'El servicio de IA tuvo un problema. Suele ser temporal; vuelve a intentarlo en breve.',
+    'failure.circuit_open.title': 'Solicitudes en pausa',
+    'failure.circuit_open.message': 'Fallaron varias solicitudes seguidas, así que las nuevas se pausan durante {wait} para que el servicio se recupere.',
+    'failure.invalid_request.title': 'Fotos rechazadas',
+    'failure.invalid_request.message': 'Puede que las fotos sean demasiado grandes o tengan un formato no admitido. Usa imágenes JPEG, PNG o WebP de menos de 10 MB.',
+    'failure.unparseable.title': 'No se pudo leer la respuesta',
+    'failure.unparseable.message': 'La IA respondió con un formato inesperado. Volver a intentarlo suele solucionarlo.',
+    'failure.not_a_plant.title': 'No se encontró ninguna planta',
+    'failure.not_a_plant.message': 'Parece que las fotos no muestran una planta. Toma una foto nítida en la que la planta ocupe casi todo el encuadre.',
+    'failure.unknown.title': 'No se pudo identificar la planta',
+    'failure.unknown.titleDiagnosis': 'No se pudo diagnosticar la planta',
+    'failure.unknown.message': 'Algo salió mal al analizar tus fotos.',
+    'failure.waitSeconds_one': '{count} segundo',
+    'failure.waitSeconds_other': '{count} segundos',
+    'failure.waitDefault': 'un minuto',
+    'failure.generalCare': 'Cuidados generales',
+    'failure.betterResults': 'Para mejores resultados',
+    'failure.tryAgain': 'Intentar de nuevo',
+    'failure.tryAnother': 'Probar otra imagen',
+    'failure.browseGuide': 'Ver la guía de plantas',
+
+    // History
+    'history.title': 'Historial de identificaciones',
+    'history.search': 'Buscar plantas...',
+    'history.clearAll': 'Borrar todo',
+    'history.emptyTitle': 'Aún no has identificado plantas',
+    'history.emptyText': 'Empieza a identificar plantas para ver aquí tu historial.',
+    'history.emptyAction': 'Identifica tu primera planta',
+    'history.healthDiagnosis': 'Diagnóstico de salud',
+    'history.viewDetails': 'Ver detalles',
+    'history.delete': 'Eliminar',
+    'history.close': 'Cerrar',
+    'history.plantInformation': 'Información de la planta',
+    'history.scientificName': 'Nombre científico:',
+    'history.family': 'Familia:',
+    'history.confidence': 'Confianza:',
+    'history.date': 'Fecha:',
+    'history.language': 'Idioma:',
+    'history.prompt': 'Prompt:',
+    'history.usage': 'Uso de la IA:',
+    'history.contextField': '{label}:',
+    'history.usageSummary': '{model} · {tokens} tokens · {latency} · {cost}',
+    'history.description': 'Descripción:',
+    'history.originalPick': 'Primera opción de la IA:',
+    'history.uncropped': '{label} (sin recortar)',
+    'history.seasonalCare': 'Cuidados por estación',
+    'history.diagnosis': 'Diagnóstico',
+    'history.summary': 'Resumen:',
+    'history.growth': 'Crecimiento',
+    'history.blooming': 'Floración',
+    'history.followUps': 'Preguntas de seguimiento',
+    'history.noFollowUps': 'Aún no hay preguntas.',
+    'history.continueConversation': 'Continuar la conversación',
+    'history.askQuestion': 'Hacer una pregunta',
+    'history.notFound': 'No se encontró el elemento del historial',
+    'history.confirmDelete': '¿Seguro que quieres eliminar esta identificación?',
+    'history.deleted': 'Identificación eliminada',
+    'history.deleteFailed': 'No se pudo eliminar el elemento',
+    'history.saveFailed': 'No se pudo guardar este resultado en el historial.',
+    'history.storageFull': 'El almacenamiento del historial está lleno y este resultado no se guardó. Elimina algunas entradas para liberar espacio.',
+    'history.confirmClear': '¿Seguro que quieres borrar todo el historial de identificaciones? No se puede deshacer.',
+    'history.cleared': 'Historial borrado',
+    'history.clearFailed': 'No se pudo borrar el historial',
+    'history.nothingToExport': 'No hay historial para exportar',
+    'history.exported': 'Historial exportado',
+    'history.exportFailed': 'No se pudo exportar el historial',
+    'history.none': 'Ninguno',
+
+    // Usage ledger
+    'usage.title': 'Uso de la IA',
+    'usage.description': 'Tokens y coste estimado de las solicitudes de IA hechas desde este navegador.',
+    'usage.clear': 'Borrar registro',
+    'usage.emptyTitle': 'Aún no hay uso de la IA',
+    'usage.emptyText': 'Los tokens y costes aparecerán aquí tras tu primer análisis.',
+    'usage.monthly': 'Totales mensuales',
+    'usage.daily': 'Totales diarios',
+    'usage.month': 'Mes',
+    'usage.day': 'Día',
+    'usage.requests': 'Solicitudes',
+    'usage.inputTokens': 'Tokens de entrada',
+    'usage.outputTokens': 'Tokens de salida',
+    'usage.averageLatency': 'Latencia media',
+    'usage.cost': 'Coste est.',
+    'usage.unpriced_one': '+ {count} solicitud sin precio',
+    'usage.unpriced_other': '+ {count} solicitudes sin precio',
+    'usage.seconds': '{value} s',
+    'usage.unknownCost': 'Desconocido',
+    'usage.confirmClear': '¿Borrar el registro de uso? Se perderán los totales de las solicitudes anteriores.',
+
+    // Offline queue
+    'queue.pending_one': '{count} en cola',
+    'queue.pending_other': '{count} en cola',
+    'queue.sending': 'Enviando fotos en cola...',
+    'queue.offlineHint': 'Sin conexión. Las fotos en cola se analizarán automáticamente cuando vuelva la conexión.',
+    'queue.retryHint': 'Haz clic para enviar ahora las fotos en cola',
+    'queue.queued': 'No hay conexión ahora mismo. Las fotos se han guardado y se analizarán automáticamente cuando vuelvas a estar en línea.',
+    'queue.identified': 'Foto en cola identificada como {name} y guardada en el historial',
+    'queue.diagnosed': 'Diagnóstico en cola de {name} guardado en el historial',
+    'queue.failed': 'No se pudo analizar una foto en cola: {reason}',
+
+    // Photo quality checks
+    'quality.title': 'Algunas fotos pueden dar un resultado poco fiable',
+    'quality.photo': 'Foto {number} ({label})',
+    'quality.photoWarning': 'Foto {number}: {advice}',
+    'quality.hint': 'Repite o sustituye estas fotos para obtener una respuesta más fiable, o envíalas tal como están.',
+    'quality.proceed': 'Analizar de todos modos',
+    'quality.badge': 'Aviso de calidad de la foto',
+    'quality.advice.resolution': 'Demasiado pequeña. Acércate o usa una foto más grande, de al menos 480 píxeles en el lado más corto.',
+    'quality.advice.sharpness': 'Borrosa. Sujeta la cámara con firmeza, toca la planta para enfocar y mantén al menos un palmo de distancia.',
+    'quality.advice.dark': 'Demasiado oscura. Busca luz natural o añade más luz, y evita fotografiar contra una ventana luminosa.',
+    'quality.advice.bright': 'Sobreexpuesta. Evita el sol directo y los reflejos en las hojas; la sombra abierta funciona mejor.',
+    'quality.advice.green': 'Apenas se ve la planta. Llena el encuadre con sus hojas y deja el fondo fuera.',
+
+    // Burst capture
+    'burst.title': 'Fotos de la ráfaga',
+    'burst.hint': 'Se conservó la más nítida y mejor expuesta de {count} fotos. Toca otra para usarla en su lugar.',
+    'burst.best': 'Mejor',
+    'burst.select': 'Usar la foto {number}',
+    'burst.frameAlt': 'Foto {number} de la ráfaga',
+
+    // Live mode
+    'live.start': 'Modo en vivo',
+    'live.stop': 'Detener modo en vivo',
+    'live.interval': 'Intervalo de identificación en vivo',
+    'live.every': 'Cada {seconds} s',
+    'live.guess': '{name} · {confidence} %',
+    'live.status.looking': 'Buscando una planta…',
+    'live.status.noPlant': 'No hay ninguna planta a la vista',
+    'live.status.offline': 'Sin conexión. La identificación en vivo está en pausa.',
+    'live.status.failed': 'La identificación en vivo no está disponible. Reintentando…',
+    'live.tapToSave': 'Toca la vista previa para guardar esta imagen en el historial',
+    'live.saving': 'Guardando…',
+    'live.saved': 'Guardado en el historial: {name}',
+    'live.saveFailed': 'No se pudo guardar la imagen. Inténtalo de nuevo.',
+    'live.noPlant': 'No se encontró ninguna planta en esta imagen',
+
+    // Photo editor
+    'editor.edit': 'Recortar y girar',
+    'editor.hint': 'Dibuja un recuadro alrededor de la planta que quieres analizar. Solo se envía esa parte de la foto.',
+    'editor.canvasLabel': 'Foto en edición. Arrastra para marcar la planta que quieres analizar.',
+    'editor.rotateLeft': 'Girar a la izquierda',
+    'editor.rotateRight': 'Girar a la derecha',
+    'editor.reset': 'Restablecer',
+    'editor.apply': 'Aplicar',
+    'editor.edited': 'Recortada o girada',
+    'editor.finishFirst': 'Aplica o cancela los cambios de la foto antes de analizarla.',
+    'editor.unsupported': 'Este navegador no permite editar fotos.',
+    'editor.failed': 'No se pudo editar la foto. Inténtalo de nuevo.',
+
+    // Identification context form
+    'context.title': 'Añadir detalles (opcional)',
+    'context.hint': 'Saber dónde y cómo crece la planta ayuda a reducir las opciones.',
+    'context.setting': 'Cultivada',
+    'context.notSure': 'No lo sé',
+    'context.settings.indoor': 'En interior',
+    'context.settings.outdoor': 'En exterior',
+    'context.region': 'Región o zona climática',
+    'context.regionPlaceholder': 'p. ej. sur de España, zona USDA 8b',
+    'context.heightCm': 'Altura de la planta',
+    'context.symptoms': 'Síntomas observados',
+    'context.symptomsPlaceholder': 'p. ej. hojas inferiores amarillas, manchas marrones',
+    'context.location': 'Ubicación',
+    'context.coordinates': '{latitude}; {longitude}',
+    'context.attachLocation': 'Adjuntar mi ubicación',
+    'context.removeLocation': 'Quitar ubicación',
+    'context.locating': 'Buscando tu ubicación...',
+    'context.locationAttached': 'Ubicación aproximada adjunta: {coordinates}',
+    'context.locationDenied': 'Se denegó el permiso de ubicación.',
+    'context.locationUnavailable': 'No se pudo determinar tu ubicación.',
+
+    // Settings
+    'settings.title': 'Ajustes',
+    'settings.prompts.title': 'Plantillas de prompt',
+    'settings.prompts.description': 'Elige qué revisión del prompt usa cada tipo de solicitud. Los resultados y las entradas del historial registran el prompt que los generó.',
+    'settings.prompts.identification': 'Identificación',
+    'settings.prompts.diagnosis': 'Diagnóstico de salud',
+    'settings.prompts.follow-up': 'Preguntas de seguimiento',
+    'settings.prompts.live': 'Identificación en vivo con la cámara',
+    'settings.prompts.saved': 'Plantilla de prompt actualizada',
+    'prompts.templateVersion': '{id} v{version}',
+    'settings.photos.title': 'Fotos',
+    'settings.photos.description': 'Las fotos se enderezan, se redimensionan y se vuelven a codificar antes de enviarlas o guardarlas. La ubicación y otros datos de la cámara se eliminan salvo que elijas conservarlos.',
+    'settings.photos.maxDimension': 'Tamaño máximo',
+    'settings.photos.pixels': '{size} px',
+    'settings.photos.format': 'Formato',
+    'settings.photos.formats.webp': 'WebP (archivos más pequeños)',
+    'settings.photos.formats.jpeg': 'JPEG (más compatible)',
+    'settings.photos.keepMetadata': 'Conservar la ubicación y los datos de la cámara (se guarda como JPEG)',
+    'settings.photos.sendFullImage': 'Enviar la foto sin recortar como contexto junto a las fotos recortadas',
+    'settings.photos.saved': 'Ajustes de fotos actualizados',
+
+    'settings.cache.title': 'Resultados guardados',
+    'settings.cache.description': 'Las fotos que se vuelven a analizar con el mismo contexto y la misma plantilla reutilizan la respuesta guardada. Usa Analizar de nuevo en un resultado para volver a preguntar a la IA.',
+    'settings.cache.stats_one': '{count} resultado guardado, unos {size} KB',
+    'settings.cache.stats_other': '{count} resultados guardados, unos {size} KB',
+    'settings.cache.clear': 'Borrar resultados guardados',
+    'settings.cache.cleared': 'Resultados guardados borrados',
+
+    // Plant guide
+    'guide.title': 'Guía de cuidado de plantas',
+    'guide.all': 'Todas',
+    'guide.indoor': 'De interior',
+    'guide.outdoor': 'De exterior',
+    'guide.succulents': 'Suculentas',
+    'guide.flowering': 'Con flor',
+    'guide.difficulty': 'Dificultad: {level}',
+
+    // Camera
+    'camera.notSupported': 'Este navegador no admite la cámara',
+    'camera.notActive': 'La cámara no está activa',
+    'camera.captureFailed': 'No se pudo capturar la imagen',
+    'camera.photoFailed': 'No se pudo tomar la foto',
+    'camera.accessFailed': 'No se pudo acceder a la cámara',
+    'camera.denied': 'Acceso a la cámara denegado. Permite el uso de la cámara e inténtalo de nuevo.',
+    'camera.notFound': 'No se encontró ninguna cámara. Conecta una e inténtalo de nuevo.',
+    'camera.unsupported': 'Este navegador no admite la cámara.',
+    'camera.inUse': 'Otra aplicación está usando la cámara.',
+    'camera.overconstrained': 'No se pueden cumplir los requisitos de la cámara.',
+    'camera.security': 'Acceso a la cámara bloqueado por motivos de seguridad.',
+    'camera.error': 'Error de la cámara: {message}',
+    'camera.switchFailed': 'No se pudo cambiar de cámara',
+    'camera.choose': 'Cámara',
+    'camera.unnamed': 'Cámara {number}',
+    'camera.disconnected': 'Se desconectó la cámara. Se cambió a otra cámara.',
+    'camera.resolutionHeight': '{height}p',
+    'camera.resolutionMax': 'Máxima ({width} × {height})',
+    'camera.controlFailed': 'No se pudo aplicar este ajuste de la cámara',
+    'camera.bursting': 'Capturando…',
+
+    // Generic guidance used when the AI leaves a field out
+    'defaults.plantName': 'Planta desconocida',
+    'defaults.scientificName': 'Especie desconocida',
+    'defaults.family': 'Familia desconocida',
+    'defaults.description': 'Identificación completada con la información disponible.',
+    'defaults.care.light': 'Luz brillante e indirecta',
+    'defaults.care.water': 'Regar cuando la capa superior del sustrato esté seca',
+    'defaults.care.soil': 'Sustrato con buen drenaje',
+    'defaults.care.temperature': '18-24 °C (65-75 °F)',
+    'defaults.care.humidity': 'Humedad moderada del 40-60 %',
+    'defaults.care.fertilizer': 'Abono líquido mensual durante la temporada de crecimiento',
+    'defaults.care.propagation': 'Los métodos varían según la especie',
+    'defaults.care.commonIssues': 'Vigilar plagas, enfermedades y estrés ambiental',
+    'defaults.characteristics.size': 'El tamaño varía según la especie y las condiciones de cultivo',
+    'defaults.characteristics.growth': 'Crecimiento moderado',
+    'defaults.characteristics.blooming': 'La floración depende de la especie y de los cuidados',
+    'defaults.characteristics.toxicity': 'Comprueba la toxicidad antes de manipularla; trátala como potencialmente dañina',
+    'defaults.characteristics.difficulty': 'Cuidado de nivel intermedio',
+    'defaults.seasons.spring': 'Regar con más frecuencia y empezar a abonar',
+    'defaults.seasons.summer': 'Mantener la humedad constante y proteger del calor extremo',
+    'defaults.seasons.fall': 'Reducir el abono y espaciar poco a poco el riego',
+    'defaults.seasons.winter': 'Riego mínimo y temperaturas estables',
+    'defaults.tips.1': 'Observa la planta con regularidad en busca de señales de salud o estrés',
+    'defaults.tips.2': 'Ajusta el riego según la estación y la respuesta de la planta',
+    'defaults.tips.3': 'Infórmate sobre las necesidades concretas de la especie para cuidarla mejor',
+    'defaults.diagnosis.plantName': 'Planta desconocida',
+    'defaults.diagnosis.summary': 'La IA no pudo resumir el estado de esta planta.',
+    'defaults.treatment.1': 'Aísla la planta de las demás hasta confirmar la causa',
+    'defaults.treatment.2': 'Retira las hojas muy afectadas con herramientas limpias y desinfectadas',
+    'defaults.treatment.3': 'Revisa el riego, la luz y el drenaje según las necesidades de la planta',
+    'defaults.prevention.1': 'Revisa las plantas cada semana, también el envés de las hojas',
+    'defaults.prevention.2': 'Pon en cuarentena las plantas nuevas dos semanas antes de juntarlas con las demás',
+    'defaults.prevention.3': 'Evita el exceso de riego y mantén una buena ventilación',
+
+    // General care shown when identification fails
+    'fallback.plantName': 'Identificación no disponible',
+    'fallback.scientificName': 'Requiere análisis',
+    'fallback.family': 'Familia desconocida',
+    'fallback.description': 'No se pudo completar la identificación. Inténtalo de nuevo con una imagen más nítida que muestre las hojas, los tallos y cualquier rasgo distintivo.',
+    'fallback.care.light': 'La mayoría de las plantas prefieren luz brillante e indirecta',
+    'fallback.care.water': 'Riega cuando los primeros centímetros del sustrato estén secos',
+    'fallback.care.soil': 'Usa un sustrato con buen drenaje',
+    'fallback.care.temperature': 'Mantener entre 18 y 24 °C (65-75 °F)',
+    'fallback.care.humidity': 'Mantén una humedad del 40-60 % si es posible',
+    'fallback.care.fertilizer': 'Abona una vez al mes en primavera y verano',
+    'fallback.care.propagation': 'Infórmate sobre los métodos adecuados para tu planta',
+    'fallback.care.commonIssues': 'Vigila hojas amarillas, plagas o marchitez',
+    'fallback.characteristics.size': 'Varía mucho según la especie',
+    'fallback.characteristics.growth': 'El crecimiento depende de la especie y los cuidados',
+    'fallback.characteristics.blooming': 'La floración varía según el tipo de planta',
+    'fallback.characteristics.toxicity': 'Infórmate siempre sobre la seguridad de la planta antes de manipularla',
+    'fallback.characteristics.difficulty': 'La dificultad varía según la especie',
+    'fallback.seasons.spring': 'Retoma el abono y aumenta el riego',
+    'fallback.seasons.summer': 'Mantén los cuidados y vigila el estrés por calor',
+    'fallback.seasons.fall': 'Empieza a reducir el abono y la frecuencia de riego',
+    'fallback.seasons.winter': 'Reduce el riego y mantén un entorno estable',
+    'fallback.tips.1': 'Toma fotos nítidas y bien iluminadas para una mejor identificación',
+    'fallback.tips.2': 'Incluye varios ángulos que muestren hojas, tallos y forma de crecimiento',
+    'fallback.tips.3': 'Anota las condiciones actuales de cultivo y cualquier problema'
+});
\ No newline at end of file
@@ -0,0 +1,483 @@
+/**
+ * French UI strings
+ * Keys missing here fall back to the English catalog
+ */
+window.i18n.registerCatalog('fr', {
+    // Page chrome
+    'app.title': 'PlantID AI - Assistant d\'identification des plantes',
+    'nav.home': 'Accueil',
+    'nav.identify': 'Identifier',
+    'nav.history': 'Historique',
+    'nav.guide': 'Guide des plantes',
+    'nav.language': 'Langue',
+    'nav.units': 'Unités',
+    'nav.usage': 'Utilisation',
+    'nav.settings': 'Paramètres',
+
+    'home.title': 'Découvrez les plantes grâce à <span class="text-green">l\'IA</span>',
+    'home.description': 'Importez ou prenez en photo n\'importe quelle plante et obtenez une identification immédiate avec des conseils d\'entretien détaillés. Notre IA avancée reconnaît des milliers d\'espèces avec une grande précision.',
+    'home.start': 'Commencer l\'identification',
+    'home.browse': 'Parcourir les plantes',
+    'home.heroAlt': 'Jardin botanique aux espèces variées sous une lumière naturelle',
+    'home.feature.recognition.title': 'Reconnaissance instantanée',
+    'home.feature.recognition.text': 'Prenez une photo ou importez une image et obtenez immédiatement l\'identification de la plante grâce à une IA avancée.',
+    'home.feature.care.title': 'Conseils d\'entretien',
+    'home.feature.care.text': 'Recevez des guides d\'entretien détaillés : arrosage, lumière, substrat et conseils de saison.',
+    'home.feature.database.title': 'Base de plantes',
+    'home.feature.database.text': 'Accédez à des informations complètes sur les familles, les noms scientifiques et les caractéristiques botaniques.',
+    'home.feature.history.title': 'Historique',
+    'home.feature.history.text': 'Retrouvez toutes vos identifications dans un historique consultable et détaillé.',
+
+    'footer.tagline': 'Identification avancée des plantes par intelligence artificielle.',
+    'footer.features': 'Fonctionnalités',
+    'footer.features.recognition': 'Reconnaissance des plantes par IA',
+    'footer.features.care': 'Conseils d\'entretien',
+    'footer.features.database': 'Base de plantes',
+    'footer.features.history': 'Historique',
+    'footer.technology': 'Technologie',
+    'footer.technology.models': 'Modèles d\'IA avancés',
+    'footer.technology.vision': 'Vision par ordinateur',
+    'footer.technology.taxonomy': 'Taxonomie végétale',
+    'footer.technology.realtime': 'Analyse en temps réel',
+    'footer.copyright': '© 2024 PlantID AI. Technologie avancée d\'identification des plantes.',
+
+    // Identify section
+    'identify.title': 'Identification des plantes',
+    'identify.modeLabel': 'Mode d\'analyse',
+    'identify.modeIdentify': 'Quelle est cette plante ?',
+    'identify.modeDiagnose': 'Qu\'est-ce qui ne va pas ?',
+    'identify.uploadTitle': 'Importer une photo de la plante',
+    'identify.uploadText': 'Déposez votre image ici ou cliquez pour parcourir',
+    'identify.chooseFile': 'Choisir un fichier',
+    'identify.useCamera': 'Utiliser l\'appareil photo',
+    'identify.capture': 'Prendre la photo',
+    'identify.burst': 'Rafale',
+    'identify.switchCamera': 'Changer d\'appareil photo',
+    'identify.torch': 'Lampe',
+    'identify.zoom': 'Zoom',
+    'identify.resolution': 'Résolution de capture',
+    'identify.focusHint': 'Touchez l\'aperçu pour faire la mise au point',
+    'identify.cancel': 'Annuler',
+    'identify.previewTitle': 'Aperçu',
+    'identify.previewAlt': 'Aperçu de la plante',
+    'identify.previewHint': 'Ajoutez des photos de la feuille, de la fleur, du fruit ou de l\'écorce pour une identification plus fiable.',
+    'identify.analyze': 'Analyser la plante',
+    'identify.diagnose': 'Diagnostiquer la plante',
+    'identify.addPhoto': 'Ajouter une photo',
+    'identify.addCameraPhoto': 'Ajouter depuis l\'appareil photo',
+    'identify.clear': 'Retirer l\'image',
+    'identify.loadingTitle': 'Analyse de votre plante...',
+    'identify.loadingMessage': 'Notre IA identifie l\'espèce et rassemble des informations détaillées.',
+    'identify.loadingTitleDiagnose': 'Examen de votre plante...',
+    'identify.loadingMessageDiagnose': 'Notre IA recherche des ravageurs, des maladies et des carences.',
+    'identify.stage.preparing': 'Préparation des photos',
+    'identify.stage.uploading': 'Envoi',
+    'identify.stage.waiting': 'En attente du modèle',
+    'identify.stage.parsing': 'Lecture de la réponse',
+    'identify.elapsed': 'Temps écoulé : {time}',
+    'identify.resultsTitle': 'Résultats de l\'identification',
+
+    'images.photoAlt': 'Photo {number}',
+    'images.labelFor': 'Ce que montre la photo {number}',
+    'images.remove': 'Retirer la photo {number}',
+    'imageLabels.habit': 'Plante entière',
+    'imageLabels.leaf': 'Feuille',
+    'imageLabels.flower': 'Fleur',
+    'imageLabels.fruit': 'Fruit',
+    'imageLabels.bark': 'Écorce',
+
+    // Notifications
+    'notify.tooManyPhotos': 'Vous pouvez joindre jusqu\'à {max} photos par identification.',
+    'notify.invalidImage': 'Sélectionnez un fichier image valide (JPG, PNG, GIF, WebP)',
+    'notify.imageTooLarge': 'L\'image est trop volumineuse. Sélectionnez un fichier de moins de 10 Mo.',
+    'notify.photosTruncated_one': 'Seule la première photo a été ajoutée : la limite est de {max} par identification.',
+    'notify.photosTruncated_other': 'Seules les {count} premières photos ont été ajoutées : la limite est de {max} par identification.',
+    'notify.imageLoaded': 'Image chargée ! Cliquez sur « Analyser la plante » pour l\'identifier.',
+    'notify.photoAdded': 'Photo {number} ajoutée. Indiquez ce que montre chaque photo, puis cliquez sur « Analyser la plante ».',
+    'notify.photoRefused': 'Cette photo n\'a pas pu être préparée sans ses données de localisation, elle n\'a donc pas été ajoutée. Essayez de l\'enregistrer d\'abord en JPEG.',
+    'notify.selectImage': 'Sélectionnez d\'abord une image',
+    'notify.inProgress': 'Une analyse est déjà en cours',
+    'notify.diagnosisComplete': 'Diagnostic terminé !',
+    'notify.identified': 'Plante identifiée !',
+    'notify.analysisFailed': 'Impossible d\'analyser la plante. Veuillez réessayer.',
+    'notify.promoted': 'Identification remplacée par {name}',
+
+    // Results
+    'results.confidence': 'Confiance : {value} %',
+    'results.family': 'Famille :',
+    'results.promotedNotice': 'Vous avez choisi ce candidat plutôt que le premier choix de l\'IA, <strong>{name}</strong> (<em>{scientificName}</em>). La description et les conseils d\'entretien ont été rédigés pour cette identification d\'origine, pas pour cette plante.',
+    'results.defaultedNotice': 'L\'IA n\'a pas fourni certains détails, remplacés par des conseils généraux (signalés par <span class="defaulted-badge">Général</span>).',
+    'results.defaultedBadge': 'Général',
+    'results.defaultedTitle': 'Non fourni par l\'IA : conseil général',
+    'results.loading': 'Chargement...',
+    'results.careInstructions': 'Conseils d\'entretien',
+    'results.characteristics': 'Caractéristiques de la plante',
+    'results.careTips': 'Astuces d\'entretien',
+    'results.alternatives': 'Autres possibilités',
+    'results.choose': 'C\'est ma plante',
+    'results.identifyAnother': 'Identifier une autre plante',
+    'results.checkAnother': 'Examiner une autre plante',
+    'results.viewHistory': 'Voir l\'historique',
+    'results.cachedBadge': 'En cache',
+    'results.cachedNotice': 'Ces photos ont été analysées le {date}, le résultat précédent est donc affiché.',
+    'results.analyzeAgain': 'Analyser à nouveau',
+    'results.language': 'Réponse en {language}',
+
+    'care.light': 'Lumière',
+    'care.water': 'Arrosage',
+    'care.soil': 'Substrat',
+    'care.temperature': 'Température',
+    'care.humidity': 'Humidité',
+    'care.fertilizer': 'Engrais',
+    'characteristics.size': 'Taille',
+    'characteristics.growth': 'Croissance',
+    'characteristics.blooming': 'Floraison',
+    'characteristics.toxicity': 'Toxicité',
+    'characteristics.difficulty': 'Difficulté',
+    'seasons.spring': 'Printemps',
+    'seasons.summer': 'Été',
+    'seasons.fall': 'Automne',
+    'seasons.winter': 'Hiver',
+
+    'careParameters.title': 'En un coup d\'œil',
+    'careParameters.lightLevel': 'Lumière',
+    'careParameters.temperatureC': 'Température',
+    'careParameters.humidityPercent': 'Humidité',
+    'careParameters.wateringIntervalDays': 'Arrosage',
+    'careParameters.fertilizingIntervalDays': 'Fertilisation',
+    'lightLevel.low': 'Faible luminosité',
+    'lightLevel.medium': 'Luminosité moyenne',
+    'lightLevel.bright_indirect': 'Lumière vive et indirecte',
+    'lightLevel.direct': 'Plein soleil',
+    'units.metric': 'Métrique (°C)',
+    'units.imperial': 'Impérial (°F)',
+    'units.percent': '{value} %',
+    'units.everyDays_one': 'Tous les jours',
+    'units.everyDays_other': 'Tous les {range} jours',
+
+    'diagnosis.imageAlt': 'Plante en cours de diagnostic',
+    'diagnosis.defaultTitle': 'Bilan de santé',
+    'diagnosis.severity': 'Gravité :',
+    'diagnosis.symptoms': 'Symptômes observés',
+    'diagnosis.causes': 'Causes probables',
+    'diagnosis.treatment': 'Traitement',
+    'diagnosis.prevention': 'Prévention',
+    'severity.healthy': 'saine',
+    'severity.mild': 'légère',
+    'severity.moderate': 'modérée',
+    'severity.severe': 'grave',
+    'severity.critical': 'critique',
+    'severity.unknown': 'inconnue',
+    'causeType.pest': 'ravageur',
+    'causeType.disease': 'maladie',
+    'causeType.deficiency': 'carence',
+    'causeType.environmental': 'environnement',
+    'causeType.other': 'autre',
+
+    // Follow-up chat
+    'followUp.title': 'Questions sur {name}',
+    'followUp.thisPlant': 'cette plante',
+    'followUp.placeholder': 'ex. : Est-elle sans danger pour les chats ?',
+    'followUp.placeholderDiagnosis': 'ex. : À quelle fréquence appliquer le traitement ?',
+    'followUp.ask': 'Demander',
+    'followUp.thinking': 'Réflexion...',
+
+    // Failures
+    'failure.network.title': 'Service d\'IA injoignable',
+    'failure.network.message': 'Vérifiez votre connexion internet, puis réessayez.',
+    'failure.timeout.title': 'L\'analyse a pris trop de temps',
+    'failure.timeout.message': 'Le service d\'IA répond lentement. Réessayez ou envoyez moins de photos.',
+    'failure.auth.title': 'Le service d\'IA a refusé la requête',
+    'failure.auth.message': 'La clé d\'API ou les paramètres du fournisseur ne sont pas valides. Vérifiez la configuration du fournisseur d\'IA.',
+    'failure.rate_limited.title': 'Trop de requêtes',
+    'failure.rate_limited.message': 'Le service d\'IA limite la fréquence d\'utilisation. Patientez {wait} puis réessayez.',
+    'failure.server.title': 'Erreur du service d\'IA',
+    'failure.server.message': 'Le service d\'IA a rencontré un problème. C\'est généralement temporaire ; réessayez dans un instant.',
+    'failure.circuit_open.title': 'Requêtes suspendues',
+    'failure.circuit_open.message': 'Plusieurs requêtes ont échoué d\'affilée : les nouvelles sont suspendues pendant {wait} le temps que le service se rétablisse.',
+    'failure.invalid_request.title': 'Photos refusées',
+    'failure.invalid_request.message': 'Les photos sont peut-être trop volumineuses ou dans un format non pris en charge. Utilisez des images JPEG, PNG ou WebP de moins de 10 Mo.',
+    'failure.unparseable.title': 'Réponse illisible',
+    'failure.unparseable.message': 'L\'IA a répondu dans un format inattendu. Réessayer règle généralement le problème.',
+    'failure.not_a_plant.title': 'Aucune plante détectée',
+    'failure.not_a_plant.message': 'Les photos ne semblent pas montrer de plante. Prenez une photo nette où la plante occupe la majeure partie du cadre.',
+    'failure.unknown.title': 'Impossible d\'identifier la plante',
+    'failure.unknown.titleDiagnosis': 'Impossible de diagnostiquer la plante',
+    'failure.unknown.message': 'Un problème est survenu lors de l\'analyse de vos photos.',
+    'failure.waitSeconds_one': '{count} seconde',
+    'failure.waitSeconds_other': '{count} secondes',
+    'failure.waitDefault': 'une minute',
+    'failure.generalCare': 'Entretien général',
+    'failure.betterResults': 'Pour de meilleurs résultats',
+    'failure.tryAgain': 'Réessayer',
+    'failure.tryAnother': 'Essayer une autre image',
+    'failure.browseGuide': 'Parcourir le guide des plantes',
+
+    // History
+    'history.title': 'Historique des identifications',
+    'history.search': 'Rechercher des plantes...',
+    'history.clearAll': 'Tout effacer',
+    'history.emptyTitle': 'Aucune plante identifiée pour l\'instant',
+    'history.emptyText': 'Commencez à identifier des plantes pour voir votre historique ici.',
+    'history.emptyAction': 'Identifier ma première plante',
+    'history.healthDiagnosis': 'Diagnostic de santé',
+    'history.viewDetails': 'Voir les détails',
+    'history.delete': 'Supprimer',
+    'history.close': 'Fermer',
+    'history.plantInformation': 'Informations sur la plante',
+    'history.scientificName': 'Nom scientifique :',
+    'history.family': 'Famille :',
+    'history.confidence': 'Confiance :',
+    'history.date': 'Date :',
+    'history.language': 'Langue :',
+    'history.prompt': 'Prompt :',
+    'history.usage': 'Utilisation de l\'IA :',
+    'history.contextField': '{label} :',
+    'history.usageSummary': '{model} · {tokens} jetons · {latency} · {cost}',
+    'history.description': 'Description :',
+    'history.originalPick': 'Premier choix de l\'IA :',
+    'history.uncropped': '{label} (non recadrée)',
+    'history.seasonalCare': 'Entretien saisonnier',
+    'history.diagnosis': 'Diagnostic',
+    'history.summary': 'Résumé :',
+    'history.growth': 'Croissance',
+    'history.blooming': 'Floraison',
+    'history.followUps': 'Questions de suivi',
+    'history.noFollowUps': 'Aucune question pour l\'instant.',
+    'history.continueConversation': 'Poursuivre la conversation',
+    'history.askQuestion': 'Poser une question',
+    'history.notFound': 'Élément d\'historique introuvable',
+    'history.confirmDelete': 'Voulez-vous vraiment supprimer cette identification ?',
+    'history.deleted': 'Identification supprimée',
+    'history.deleteFailed': 'Impossible de supprimer l\'élément',
+    'history.saveFailed': 'Ce résultat n\'a pas pu être enregistré dans l\'historique.',
+    'history.storageFull': 'L\'espace de l\'historique est plein : ce résultat n\'a pas été enregistré. Supprimez quelques entrées pour libérer de la place.',
+    'history.confirmClear': 'Voulez-vous vraiment effacer tout l\'historique des identifications ? Cette action est irréversible.',
+    'history.cleared': 'Historique effacé',
+    'history.clearFailed': 'Impossible d\'effacer l\'historique',
+    'history.nothingToExport': 'Aucun historique à exporter',
+    'history.exported': 'Historique exporté',
+    'history.exportFailed': 'Impossible d\'exporter l\'historique',
+    'history.none': 'Aucun',
+
+    // Usage ledger
+    'usage.title': 'Utilisation de l\'IA',
+    'usage.description': 'Nombre de jetons et coût estimé des requêtes d\'IA envoyées depuis ce navigateur.',
+    'usage.clear': 'Effacer le registre',
+    'usage.emptyTitle': 'Aucune utilisation de l\'IA pour l\'instant',
+    'usage.emptyText': 'Les jetons et les coûts s\'afficheront ici après votre première analyse.',
+    'usage.monthly': 'Totaux mensuels',
+    'usage.daily': 'Totaux quotidiens',
+    'usage.month': 'Mois',
+    'usage.day': 'Jour',
+    'usage.requests': 'Requêtes',
+    'usage.inputTokens': 'Jetons d\'entrée',
+    'usage.outputTokens': 'Jetons de sortie',
+    'usage.averageLatency': 'Latence moy.',
+    'usage.cost': 'Coût est.',
+    'usage.unpriced_one': '+ {count} requête sans tarif',
+    'usage.unpriced_other': '+ {count} requêtes sans tarif',
+    'usage.seconds': '{value} s',
+    'usage.unknownCost': 'Inconnu',
+    'usage.confirmClear': 'Effacer le registre d\'utilisation ? Les totaux des requêtes passées seront perdus.',
+
+    // Offline queue
+    'queue.pending_one': '{count} en attente',
+    'queue.pending_other': '{count} en attente',
+    'queue.sending': 'Envoi des photos en attente...',
+    'queue.offlineHint': 'Hors ligne. Les photos en attente seront analysées automatiquement au retour de la connexion.',
+    'queue.retryHint': 'Cliquez pour envoyer maintenant les photos en attente',
+    'queue.queued': 'Pas de connexion pour le moment. Les photos sont enregistrées et seront analysées automatiquement dès votre retour en ligne.',
+    'queue.identified': 'Photo en attente identifiée comme {name} et enregistrée dans l\'historique',
+    'queue.diagnosed': 'Diagnostic en attente pour {name} enregistré dans l\'historique',
+    'queue.failed': 'Une photo en attente n\'a pas pu être analysée : {reason}',
+
+    // Photo quality checks
+    'quality.title': 'Certaines photos risquent de donner un résultat peu fiable',
+    'quality.photo': 'Photo {number} ({label})',
+    'quality.photoWarning': 'Photo {number} : {advice}',
+    'quality.hint': 'Reprenez ou remplacez ces photos pour une réponse plus fiable, ou envoyez-les telles quelles.',
+    'quality.proceed': 'Analyser quand même',
+    'quality.badge': 'Avertissement sur la qualité de la photo',
+    'quality.advice.resolution': 'Trop petite. Rapprochez-vous ou utilisez une photo plus grande, d\'au moins 480 pixels sur le côté le plus court.',
+    'quality.advice.sharpness': 'Floue. Tenez l\'appareil immobile, touchez la plante pour faire la mise au point et restez à au moins une main de distance.',
+    'quality.advice.dark': 'Trop sombre. Placez-vous à la lumière du jour ou ajoutez de la lumière, et évitez le contre-jour d\'une fenêtre.',
+    'quality.advice.bright': 'Surexposée. Évitez le soleil direct et les reflets sur les feuilles ; l\'ombre claire est idéale.',
+    'quality.advice.green': 'La plante est peu visible. Remplissez le cadre avec ses feuilles et laissez l\'arrière-plan de côté.',
+
+    // Burst capture
+    'burst.title': 'Images de la rafale',
+    'burst.hint': 'La plus nette et la mieux exposée des {count} images a été conservée. Touchez une autre image pour l\'utiliser à la place.',
+    'burst.best': 'Meilleure',
+    'burst.select': 'Utiliser l\'image {number}',
+    'burst.frameAlt': 'Image {number} de la rafale',
+
+    // Live mode
+    'live.start': 'Mode direct',
+    'live.stop': 'Arrêter le mode direct',
+    'live.interval': 'Intervalle d\'identification en direct',
+    'live.every': 'Toutes les {seconds} s',
+    'live.guess': '{name} · {confidence} %',
+    'live.status.looking': 'Recherche d\'une plante…',
+    'live.status.noPlant': 'Aucune plante en vue',
+    'live.status.offline': 'Hors ligne. L\'identification en direct est en pause.',
+    'live.status.failed': 'L\'identification en direct est indisponible. Nouvel essai…',
+    'live.tapToSave': 'Touchez l\'aperçu pour enregistrer cette image dans l\'historique',
+    'live.saving': 'Enregistrement…',
+    'live.saved': 'Enregistré dans l\'historique : {name}',
+    'live.saveFailed': 'Impossible d\'enregistrer l\'image. Réessayez.',
+    'live.noPlant': 'Aucune plante trouvée dans cette image',
+
+    // Photo editor
+    'editor.edit': 'Recadrer et pivoter',
+    'editor.hint': 'Tracez un cadre autour de la plante à analyser. Seule cette partie de la photo est envoyée.',
+    'editor.canvasLabel': 'Photo en cours de modification. Faites glisser pour indiquer la plante à analyser.',
+    'editor.rotateLeft': 'Pivoter à gauche',
+    'editor.rotateRight': 'Pivoter à droite',
+    'editor.reset': 'Réinitialiser',
+    'editor.apply': 'Appliquer',
+    'editor.edited': 'Recadrée ou pivotée',
+    'editor.finishFirst': 'Appliquez ou annulez vos modifications de la photo avant l\'analyse.',
+    'editor.unsupported': 'Ce navigateur ne permet pas de modifier les photos.',
+    'editor.failed': 'La photo n\'a pas pu être modifiée. Veuillez réessayer.',
+
+    // Identification context form
+    'context.title': 'Ajouter des détails (facultatif)',
+    'context.hint': 'Savoir où et comment la plante pousse aide à réduire les possibilités.',
+    'context.setting': 'Cultivée',
+    'context.notSure': 'Je ne sais pas',
+    'context.settings.indoor': 'En intérieur',
+    'context.settings.outdoor': 'En extérieur',
+    'context.region': 'Région ou zone climatique',
+    'context.regionPlaceholder': 'ex. sud de l\'Espagne, zone USDA 8b',
+    'context.heightCm': 'Hauteur de la plante',
+    'context.symptoms': 'Symptômes observés',
+    'context.symptomsPlaceholder': 'ex. feuilles du bas jaunies, taches brunes',
+    'context.location': 'Localisation',
+    'context.coordinates': '{latitude} ; {longitude}',
+    'context.attachLocation': 'Joindre ma position',
+    'context.removeLocation': 'Retirer la position',
+    'context.locating': 'Recherche de votre position...',
+    'context.locationAttached': 'Position approximative jointe : {coordinates}',
+    'context.locationDenied': 'L\'accès à la position a été refusé.',
+    'context.locationUnavailable': 'Impossible de déterminer votre position.',
+
+    // Settings
+    'settings.title': 'Paramètres',
+    'settings.prompts.title': 'Modèles de prompt',
+    'settings.prompts.description': 'Choisissez la révision du prompt utilisée pour chaque type de requête. Les résultats et l\'historique indiquent le prompt qui les a produits.',
+    'settings.prompts.identification': 'Identification',
+    'settings.prompts.diagnosis': 'Diagnostic de santé',
+    'settings.prompts.follow-up': 'Questions de suivi',
+    'settings.prompts.live': 'Identification en direct avec l\'appareil photo',
+    'settings.prompts.saved': 'Modèle de prompt mis à jour',
+    'prompts.templateVersion': '{id} v{version}',
+    'settings.photos.title': 'Photos',
+    'settings.photos.description': 'Les photos sont redressées, redimensionnées et réencodées avant d\'être envoyées ou enregistrées. La position et les autres informations de l\'appareil sont supprimées, sauf si vous choisissez de les conserver.',
+    'settings.photos.maxDimension': 'Taille maximale',
+    'settings.photos.pixels': '{size} px',
+    'settings.photos.format': 'Format',
+    'settings.photos.formats.webp': 'WebP (fichiers plus légers)',
+    'settings.photos.formats.jpeg': 'JPEG (le plus compatible)',
+    'settings.photos.keepMetadata': 'Conserver la position et les informations de l\'appareil (enregistré en JPEG)',
+    'settings.photos.sendFullImage': 'Envoyer la photo non recadrée comme contexte avec les photos recadrées',
+    'settings.photos.saved': 'Paramètres des photos mis à jour',
+
+    'settings.cache.title': 'Résultats enregistrés',
+    'settings.cache.description': 'Les photos analysées à nouveau avec le même contexte et le même modèle de prompt réutilisent la réponse enregistrée. Utilisez Analyser à nouveau sur un résultat pour interroger l\'IA une nouvelle fois.',
+    'settings.cache.stats_one': '{count} résultat enregistré, environ {size} Ko',
+    'settings.cache.stats_other': '{count} résultats enregistrés, environ {size} Ko',
+    'settings.cache.clear': 'Effacer les résultats enregistrés',
+    'settings.cache.cleared': 'Résultats enregistrés effacés',
+
+    // Plant guide
+    'guide.title': 'Guide d\'entretien des plantes',
+    'guide.all': 'Toutes',
+    'guide.indoor': 'Plantes d\'intérieur',
+    'guide.outdoor': 'Plantes d\'extérieur',
+    'guide.succulents': 'Succulentes',
+    'guide.flowering': 'Plantes à fleurs',
+    'guide.difficulty': 'Difficulté : {level}',
+
+    // Camera
+    'camera.notSupported': 'Appareil photo non pris en charge par ce navigateur',
+    'camera.notActive': 'L\'appareil photo n\'est pas actif',
+    'camera.captureFailed': 'Impossible de capturer l\'image',
+    'camera.photoFailed': 'Impossible de prendre la photo',
+    'camera.accessFailed': 'Impossible d\'accéder à l\'appareil photo',
+    'camera.denied': 'Accès à l\'appareil photo refusé. Autorisez l\'appareil photo puis réessayez.',
+    'camera.notFound': 'Aucun appareil photo détecté. Branchez-en un puis réessayez.',
+    'camera.unsupported': 'Appareil photo non pris en charge par ce navigateur.',
+    'camera.inUse': 'L\'appareil photo est utilisé par une autre application.',
+    'camera.overconstrained': 'Les contraintes de l\'appareil photo ne peuvent pas être satisfaites.',
+    'camera.security': 'Accès à l\'appareil photo bloqué pour des raisons de sécurité.',
+    'camera.error': 'Erreur de l\'appareil photo : {message}',
+    'camera.switchFailed': 'Impossible de changer d\'appareil photo',
+    'camera.choose': 'Appareil photo',
+    'camera.unnamed': 'Appareil photo {number}',
+    'camera.disconnected': 'L\'appareil photo a été déconnecté. Passage à un autre appareil photo.',
+    'camera.resolutionHeight': '{height}p',
+    'camera.resolutionMax': 'Maximale ({width} × {height})',
+    'camera.controlFailed': 'Impossible d\'appliquer ce réglage de l\'appareil photo',
+    'camera.bursting': 'Capture…',
+
+    // Generic guidance used when the AI leaves a field out
+    'defaults.plantName': 'Plante inconnue',
+    'defaults.scientificName': 'Espèce inconnue',
+    'defaults.family': 'Famille inconnue',
+    'defaults.description': 'Identification réalisée avec les informations disponibles.',
+    'defaults.care.light': 'Lumière vive et indirecte',
+    'defaults.care.water': 'Arroser quand la surface du substrat est sèche',
+    'defaults.care.soil': 'Terreau bien drainant',
+    'defaults.care.temperature': '18-24 °C (65-75 °F)',
+    'defaults.care.humidity': 'Humidité modérée de 40 à 60 %',
+    'defaults.care.fertilizer': 'Engrais liquide mensuel pendant la période de croissance',
+    'defaults.care.propagation': 'Les méthodes varient selon l\'espèce',
+    'defaults.care.commonIssues': 'Surveiller les ravageurs, les maladies et le stress environnemental',
+    'defaults.characteristics.size': 'La taille varie selon l\'espèce et les conditions de culture',
+    'defaults.characteristics.growth': 'Croissance modérée',
+    'defaults.characteristics.blooming': 'La floraison dépend de l\'espèce et de l\'entretien',
+    'defaults.characteristics.toxicity': 'Vérifier la toxicité avant de la manipuler ; la considérer comme potentiellement nocive',
+    'defaults.characteristics.difficulty': 'Entretien de niveau intermédiaire',
+    'defaults.seasons.spring': 'Arroser plus souvent et commencer à fertiliser',
+    'defaults.seasons.summer': 'Maintenir une humidité régulière et protéger des fortes chaleurs',
+    'defaults.seasons.fall': 'Réduire l\'engrais et espacer progressivement les arrosages',
+    'defaults.seasons.winter': 'Arrosage minimal et températures stables',
+    'defaults.tips.1': 'Observez régulièrement la plante pour repérer les signes de bonne santé ou de stress',
+    'defaults.tips.2': 'Adaptez l\'arrosage aux saisons et à la réaction de la plante',
+    'defaults.tips.3': 'Renseignez-vous sur les besoins propres à l\'espèce pour un entretien optimal',
+    'defaults.diagnosis.plantName': 'Plante inconnue',
+    'defaults.diagnosis.summary': 'L\'IA n\'a pas pu résumer l\'état de cette plante.',
+    'defaults.treatment.1': 'Isolez la plante des autres jusqu\'à ce que la cause soit confirmée',
+    'defaults.treatment.2': 'Retirez les feuilles très atteintes avec des outils propres et désinfectés',
+    'defaults.treatment.3': 'Vérifiez l\'arrosage, la lumière et le drainage au regard des besoins de la plante',
+    'defaults.prevention.1': 'Inspectez les plantes chaque semaine, y compris le revers des feuilles',
+    'defaults.prevention.2': 'Mettez les nouvelles plantes en quarantaine deux semaines avant de les rapprocher des autres',
+    'defaults.prevention.3': 'Évitez l\'excès d\'arrosage et assurez une bonne circulation de l\'air',
+
+    // General care shown when identification fails
+    'fallback.plantName': 'Identification indisponible',
+    'fallback.scientificName': 'Analyse nécessaire',
+    'fallback.family': 'Famille inconnue',
+    'fallback.description': 'Impossible de terminer l\'identification. Réessayez avec une image plus nette montrant les feuilles, les tiges et tout trait distinctif.',
+    'fallback.care.light': 'La plupart des plantes préfèrent une lumière vive et indirecte',
+    'fallback.care.water': 'Arrosez quand les premiers centimètres du substrat sont secs',
+    'fallback.care.soil': 'Utilisez un terreau bien drainant',
+    'fallback.care.temperature': 'Maintenir entre 18 et 24 °C (65-75 °F)',
+    'fallback.care.humidity': 'Maintenez si possible 40 à 60 % d\'humidité',
+    'fallback.care.fertilizer': 'Fertilisez une fois par mois au printemps et en été',
+    'fallback.care.propagation': 'Renseignez-vous sur les méthodes adaptées à votre plante',
+    'fallback.care.commonIssues': 'Surveillez le jaunissement des feuilles, les ravageurs ou le flétrissement',
+    'fallback.characteristics.size': 'Varie beaucoup selon l\'espèce',
+    'fallback.characteristics.growth': 'La croissance dépend de l\'espèce et de l\'entretien',
+    'fallback.characteristics.blooming': 'La floraison varie selon le type de plante',
+    'fallback.characteristics.toxicity': 'Renseignez-vous toujours sur la sécurité de la plante avant de la manipuler',
+    'fallback.characteristics.difficulty': 'La difficulté varie selon l\'espèce',
+    'fallback.seasons.spring': 'Reprenez la fertilisation et augmentez l\'arrosage',
+    'fallback.seasons.summer': 'Maintenez l\'entretien et surveillez le stress dû à la chaleur',
+    'fallback.seasons.fall': 'Commencez à réduire l\'engrais et la fréquence d\'arrosage',
+    'fallback.seasons.winter': 'Réduisez l\'arrosage et gardez un environnement stable',
+    'fallback.tips.1': 'Prenez des photos nettes et bien éclairées pour une meilleure identification',
+    'fallback.tips.2': 'Variez les angles pour montrer les feuilles, les tiges et le port de la plante',
+    'fallback.tips.3': 'Notez les conditions de culture actuelles et les éventuels problèmes'
+});
\ No newline at end of file
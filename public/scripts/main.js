@@ -5,8 +5,17 @@
 class PlantIdentificationApp {
     constructor() {
         this.currentSection = 'home';
-        this.currentImageFile = null;
+        this.currentImages = []; // [{ file, label, url }] photos of the plant being identified
+        this.selectedImageIndex = 0;
+        this.currentResult = null;
+        this.currentHistoryId = null;
+        this.analysisMode = 'identify'; // 'identify' or 'diagnose'
         this.isIdentifying = false;
+        this.analysisController = null; // aborts the analysis in flight
+        this.analysisStage = null;
+        this.loadingTimer = null;
+        this.qualityWarningAccepted = false; // analyze the current photos despite quality warnings
+        this.isAskingFollowUp = false;
         this.plantGuideData = null;
     }
 
@@ -14,6 +23,7 @@ class PlantIdentificationApp {
      * Initialize application
      */
     init() {
+        this.setupPreferences();
         this.setupEventListeners();
         this.setupFileHandling();
         this.setupNavigation();
@@ -22,6 +32,219 @@ class PlantIdentificationApp {
         this.checkAPIConnection();
     }
 
+    /**
+     * Translate static markup, fill the language and units pickers and
+     * re-render dynamic content whenever either setting changes
+     */
+    setupPreferences() {
+        const i18n = window.i18n;
+        const languageSelect = document.getElementById('languageSelect');
+        const unitsSelect = document.getElementById('unitsSelect');
+
+        i18n.translatePage();
+
+        if (languageSelect) {
+            languageSelect.innerHTML = Object.entries(i18n.languages).map(([code, language]) => `
+                <option value="${code}" ${code === i18n.language ? 'selected' : ''}>${language.nativeName}</option>
+            `).join('');
+            languageSelect.addEventListener('change', () => i18n.setLanguage(languageSelect.value));
+        }
+
+        if (unitsSelect) {
+            this.renderUnitsOptions();
+            unitsSelect.addEventListener('change', () => window.unitsService.setSystem(unitsSelect.value));
+        }
+
+        this.setupPromptSettings();
+        this.setupPhotoSettings();
+        this.setupCacheSettings();
+
+        document.addEventListener('languagechanged', () => {
+            this.renderUnitsOptions();
+            this.renderPromptSettings();
+            this.renderPhotoSettings();
+            this.renderCacheSettings();
+            this.renderLoadingStage(this.analysisStage);
+            this.setAnalysisMode(this.analysisMode);
+            this.renderImageList();
+            this.renderQualityWarning();
+            this.displayPlantGuide();
+            this.refreshCurrentResult();
+        });
+
+        document.addEventListener('unitschanged', () => this.refreshCurrentResult());
+    }
+
+    /**
+     * Fill the units picker with option names in the current language
+     */
+    renderUnitsOptions() {
+        const unitsSelect = document.getElementById('unitsSelect');
+        if (!unitsSelect) return;
+
+        const units = window.unitsService;
+        unitsSelect.innerHTML = units.systems.map(system => `
+            <option value="${system}" ${system === units.system ? 'selected' : ''}>${this.t(`units.${system}`)}</option>
+        `).join('');
+    }
+
+    /**
+     * Fill the prompt template pickers and switch templates on change
+     */
+    setupPromptSettings() {
+        const promptSettings = document.getElementById('promptSettings');
+        if (!promptSettings || !window.promptLibrary) return;
+
+        this.renderPromptSettings();
+
+        promptSettings.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-prompt-task]');
+            if (!select) return;
+
+            window.promptLibrary.setActive(select.dataset.promptTask, select.value);
+            this.showNotification(this.t('settings.prompts.saved'), 'success');
+        });
+    }
+
+    /**
+     * One picker per task listing every registered template version
+     */
+    renderPromptSettings() {
+        const promptSettings = document.getElementById('promptSettings');
+        const library = window.promptLibrary;
+        if (!promptSettings || !library) return;
+
+        promptSettings.innerHTML = library.tasks.map(task => {
+            const active = library.getActive(task);
+
+            return `
+                <label class="settings-field">
+                    <span>${this.t(`settings.prompts.${task}`)}</span>
+                    <select class="language-select" data-prompt-task="${task}">
+                        ${library.getTemplates(task).map(template => `
+                            <option value="${library.getRef(template)}" ${template === active ? 'selected' : ''}>
+                                ${this.t('prompts.templateVersion', { id: this.escapeHtml(template.id), version: template.version })} - ${this.escapeHtml(template.description)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fill the photo processing fields and save them on change
+     */
+    setupPhotoSettings() {
+        const photoSettings = document.getElementById('photoSettings');
+        if (!photoSettings || !window.imageProcessor) return;
+
+        this.renderPhotoSettings();
+
+        photoSettings.addEventListener('change', (e) => {
+            const field = e.target.closest('[data-photo-setting]');
+            if (!field) return;
+
+            const values = {
+                maxDimension: () => parseInt(field.value, 10),
+                format: () => field.value,
+                keepMetadata: () => field.checked,
+                sendFullImage: () => field.checked
+            };
+            const setting = field.dataset.photoSetting;
+
+            window.imageProcessor.setSettings({ [setting]: values[setting]() });
+            this.showNotification(this.t('settings.photos.saved'), 'success');
+        });
+    }
+
+    /**
+     * Maximum size and format pickers plus the keep-metadata and
+     * send-uncropped-photo opt-ins
+     */
+    renderPhotoSettings() {
+        const photoSettings = document.getElementById('photoSettings');
+        const processor = window.imageProcessor;
+        if (!photoSettings || !processor) return;
+
+        const { maxDimension, format, keepMetadata, sendFullImage } = processor.settings;
+        // A size set through window.PLANTID_IMAGE_PROCESSING stays selectable
+        const sizes = [...new Set([...processor.maxDimensions, maxDimension])].sort((a, b) => a - b);
+
+        photoSettings.innerHTML = `
+            <label class="settings-field">
+                <span>${this.t('settings.photos.maxDimension')}</span>
+                <select class="language-select" data-photo-setting="maxDimension">
+                    ${sizes.map(size => `
+                        <option value="${size}" ${size === maxDimension ? 'selected' : ''}>${this.t('settings.photos.pixels', { size })}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="settings-field">
+                <span>${this.t('settings.photos.format')}</span>
+                <select class="language-select" data-photo-setting="format">
+                    ${processor.formats.map(type => `
+                        <option value="${type}" ${type === format ? 'selected' : ''}>${this.t(`settings.photos.formats.${type.split('/')[1]}`)}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="settings-field">
+                <span>${this.t('settings.photos.keepMetadata')}</span>
+                <input type="checkbox" class="settings-checkbox" data-photo-setting="keepMetadata" ${keepMetadata ? 'checked' : ''}>
+            </label>
+            <label class="settings-field">
+                <span>${this.t('settings.photos.sendFullImage')}</span>
+                <input type="checkbox" class="settings-checkbox" data-photo-setting="sendFullImage" ${sendFullImage ? 'checked' : ''}>
+            </label>
+        `;
+    }
+
+    /**
+     * Show how much the result cache holds and empty it on request
+     */
+    setupCacheSettings() {
+        const cacheSettings = document.getElementById('cacheSettings');
+        if (!cacheSettings || !window.resultCache) return;
+
+        this.renderCacheSettings();
+
+        cacheSettings.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-cache-action="clear"]')) return;
+
+            window.resultCache.clear();
+            this.renderCacheSettings();
+            this.showNotification(this.t('settings.cache.cleared'), 'success');
+        });
+    }
+
+    /**
+     * Entry count and approximate size of the result cache
+     */
+    renderCacheSettings() {
+        const cacheSettings = document.getElementById('cacheSettings');
+        if (!cacheSettings || !window.resultCache) return;
+
+        const { entries, bytes } = window.resultCache.getStats();
+
+        cacheSettings.innerHTML = `
+            <div class="settings-field">
+                <span>${this.t('settings.cache.stats', { count: entries, size: Math.ceil(bytes / 1024) })}</span>
+                <button class="btn btn-secondary btn-small" type="button" data-cache-action="clear" ${entries === 0 ? 'disabled' : ''}>
+                    ${this.t('settings.cache.clear')}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Re-render the result on screen after a display setting changes
+     */
+    refreshCurrentResult() {
+        if (this.currentResult && !this.isIdentifying) {
+            this.displayResults(this.currentResult);
+        }
+    }
+
     /**
      * Setup main event listeners
      */
@@ -38,12 +261,49 @@ class PlantIdentificationApp {
             analyzeBtn.addEventListener('click', () => this.analyzeCurrentImage());
         }
 
+        // Cancel the analysis in flight
+        const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+        if (cancelAnalysisBtn) {
+            cancelAnalysisBtn.addEventListener('click', () => this.cancelAnalysis());
+        }
+
+        // Add more photos of the same plant
+        const addPhotoBtn = document.getElementById('addPhotoBtn');
+        if (addPhotoBtn) {
+            addPhotoBtn.addEventListener('click', () => {
+                const fileInput = document.getElementById('fileInput');
+                if (fileInput) {
+                    fileInput.click();
+                }
+            });
+        }
+
+        const addCameraPhotoBtn = document.getElementById('addCameraPhotoBtn');
+        if (addCameraPhotoBtn) {
+            addCameraPhotoBtn.addEventListener('click', () => {
+                if (window.cameraService) {
+                    window.cameraService.startCamera();
+                }
+            });
+        }
+
         // Clear button
         const clearBtn = document.getElementById('clearBtn');
         if (clearBtn) {
             clearBtn.addEventListener('click', () => this.clearCurrentImage());
         }
 
+        // Crop and rotate the photo in the preview
+        const editImageBtn = document.getElementById('editImageBtn');
+        if (editImageBtn) {
+            editImageBtn.addEventListener('click', () => this.editSelectedImage());
+        }
+
+        // Identify / diagnose mode toggle
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setAnalysisMode(btn.dataset.mode));
+        });
+
         // Plant guide category buttons
         document.addEventListener('click', (e) => {
             const target = e.target;
@@ -130,6 +390,26 @@ class PlantIdentificationApp {
         if (window.historyService) {
             window.historyService.init();
         }
+
+        // Pick up analyses queued while offline
+        if (window.offlineQueue) {
+            window.offlineQueue.init();
+        }
+
+        // Initialize usage ledger view
+        if (window.usageService) {
+            window.usageService.init();
+        }
+
+        // Initialize identification context form
+        if (window.contextForm) {
+            window.contextForm.init();
+        }
+
+        // Initialize photo editor
+        if (window.imageEditor) {
+            window.imageEditor.init();
+        }
     }
 
     /**
@@ -163,32 +443,61 @@ class PlantIdentificationApp {
             if (window.historyService) {
                 window.historyService.displayHistory();
             }
+        } else if (sectionName === 'usage') {
+            if (window.usageService) {
+                window.usageService.displayUsage();
+            }
+        } else if (sectionName === 'settings') {
+            this.renderCacheSettings();
         }
     }
 
     /**
      * Handle file selection (upload or drag-drop)
      */
-    handleFileSelection(event) {
+    async handleFileSelection(event) {
         const files = event.target.files;
         if (!files || files.length === 0) return;
 
-        const file = files[0];
+        const maxImages = window.aiService ? window.aiService.maxImages : 5;
+        const available = maxImages - this.currentImages.length;
 
-        // Validate file type
-        if (!this.isValidImageFile(file)) {
-            this.showNotification('Please select a valid image file (JPG, PNG, GIF, WebP)', 'error');
+        if (available <= 0) {
+            this.showNotification(this.t('notify.tooManyPhotos', { max: maxImages }), 'error');
             return;
         }
 
-        // Validate file size (max 10MB)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showNotification('Image file is too large. Please select a file smaller than 10MB.', 'error');
-            return;
+        const accepted = [];
+
+        for (const file of Array.from(files)) {
+            // Validate file type
+            if (!this.isValidImageFile(file)) {
+                this.showNotification(this.t('notify.invalidImage'), 'error');
+                return;
+            }
+
+            // Validate file size (max 10MB)
+            if (file.size > 10 * 1024 * 1024) {
+                this.showNotification(this.t('notify.imageTooLarge'), 'error');
+                return;
+            }
+
+            accepted.push(file);
+        }
+
+        if (accepted.length > available) {
+            this.showNotification(this.t('notify.photosTruncated', { count: available, max: maxImages }), 'error');
+        }
+
+        // Allow the same file to be picked again after it is removed
+        if (event.target instanceof HTMLInputElement) {
+            event.target.value = '';
         }
 
-        // Process the file
-        this.processImageFile(file);
+        // Process the files one at a time so they keep their order
+        for (const file of accepted.slice(0, available)) {
+            await this.processImageFile(file);
+        }
     }
 
     /**
@@ -200,304 +509,1352 @@ class PlantIdentificationApp {
     }
 
     /**
-     * Process selected image file
+     * Add an image file (uploaded or captured) to the current identification,
+     * after the image processor has made it upright, resized it and stripped
+     * its metadata. quality is the photo's quality metrics when the caller
+     * already measured them (camera captures); otherwise the file is checked here.
+     * burst is { frames, best, selected } for a frame picked from a burst capture.
+     * Once the photo is cropped or rotated, original holds the unedited file
+     * and edit the { rotation, region } applied to it.
      */
-    processImageFile(file) {
+    async processImageFile(file, quality, burst) {
         const previewArea = document.getElementById('previewArea');
-        const previewImage = document.getElementById('previewImage');
         const uploadArea = document.getElementById('uploadArea');
 
-        if (previewImage && previewArea) {
-            // Create object URL for preview
-            const imageUrl = URL.createObjectURL(file);
-            previewImage.src = imageUrl;
-            
-            // Store file reference
-            this.currentImageFile = file;
-            if (typeof window !== 'undefined') {
-                window.currentImageFile = file;
+        if (!previewArea) return;
+
+        let processed;
+        try {
+            processed = window.imageProcessor ? await window.imageProcessor.process(file) : file;
+        } catch (error) {
+            console.error('Error processing photo:', error);
+            this.showNotification(this.t('notify.photoRefused'), 'error');
+            return;
+        }
+
+        const image = {
+            file: processed,
+            label: this.getNextImageLabel(),
+            url: URL.createObjectURL(processed),
+            quality: null,
+            qualityCheck: null,
+            burst: null,
+            original: null,
+            edit: null
+        };
+
+        if (burst) {
+            burst.frames.forEach(frame => {
+                frame.url = URL.createObjectURL(frame.file);
+            });
+            image.burst = burst;
+        }
+
+        this.currentImages.push(image);
+        this.resetQualityWarning();
+        this.selectImage(this.currentImages.length - 1);
+
+        // Show preview area
+        previewArea.style.display = 'block';
+        if (uploadArea) {
+            uploadArea.style.display = 'none';
+        }
+
+        // Scroll to preview
+        previewArea.scrollIntoView({ behavior: 'smooth' });
+
+        const message = this.currentImages.length === 1
+            ? this.t('notify.imageLoaded')
+            : this.t('notify.photoAdded', { number: this.currentImages.length });
+        this.showNotification(message, 'success');
+
+        // Any quality warning replaces the notice above
+        image.qualityCheck = this.checkImageQuality(image, quality);
+    }
+
+    /**
+     * Measure a photo's quality (unless metrics are given), then mark its
+     * thumbnail and warn right away if it fails any check. Resolves with
+     * the metrics, or null when they can't be measured.
+     */
+    async checkImageQuality(image, metrics) {
+        const imageQuality = window.imageQuality;
+        if (!imageQuality) return null;
+
+        image.quality = metrics !== undefined ? metrics : await imageQuality.checkFile(image.file);
+
+        // The photo may have been removed while it was being measured
+        const index = this.currentImages.indexOf(image);
+        if (index === -1) return image.quality;
+
+        const issues = this.getImageIssues(image);
+        this.renderImageList();
+        if (issues.length > 0) {
+            this.showNotification(this.t('quality.photoWarning', {
+                number: index + 1,
+                advice: this.t(`quality.advice.${issues[0]}`)
+            }), 'error');
+        }
+
+        return image.quality;
+    }
+
+    /**
+     * Quality checks an attached photo fails
+     */
+    getImageIssues(image) {
+        return window.imageQuality ? window.imageQuality.getIssues(image.quality, image.label) : [];
+    }
+
+    /**
+     * Wait for the attached photos' quality checks and list any failures
+     * with retake advice. Resolves true if a warning is shown.
+     */
+    async showQualityWarning() {
+        await Promise.all(this.currentImages.map(image => image.qualityCheck));
+        return this.renderQualityWarning(true);
+    }
+
+    /**
+     * Render the quality warning in the preview area. It stays hidden unless
+     * show is set or it is already on screen. Returns whether it is shown.
+     */
+    renderQualityWarning(show = false) {
+        const qualityWarning = document.getElementById('qualityWarning');
+        if (!qualityWarning) return false;
+
+        const flagged = this.currentImages
+            .map((image, index) => ({ index, label: image.label, issues: this.getImageIssues(image) }))
+            .filter(photo => photo.issues.length > 0);
+
+        if (flagged.length === 0 || (!show && qualityWarning.style.display !== 'block')) {
+            qualityWarning.style.display = 'none';
+            return false;
+        }
+
+        qualityWarning.innerHTML = `
+            <h4>${this.t('quality.title')}</h4>
+            <ul class="quality-warning-list">
+                ${flagged.map(photo => `
+                <li>
+                    <strong>${this.t('quality.photo', { number: photo.index + 1, label: this.t(`imageLabels.${photo.label}`) })}</strong>
+                    <ul>
+                        ${photo.issues.map(issue => `<li>${this.t(`quality.advice.${issue}`)}</li>`).join('')}
+                    </ul>
+                </li>
+                `).join('')}
+            </ul>
+            <p class="quality-warning-hint">${this.t('quality.hint')}</p>
+            <button class="btn btn-secondary" onclick="plantApp.analyzeDespiteQuality()">${this.t('quality.proceed')}</button>
+        `;
+        qualityWarning.style.display = 'block';
+
+        return true;
+    }
+
+    /**
+     * Send the current photos even though some failed the quality checks
+     */
+    analyzeDespiteQuality() {
+        this.qualityWarningAccepted = true;
+        this.resetQualityWarning(true);
+        this.analyzeCurrentImage();
+    }
+
+    /**
+     * Hide the quality warning. The photos changed, so it has to be accepted
+     * again, unless keepAccepted is set.
+     */
+    resetQualityWarning(keepAccepted = false) {
+        const qualityWarning = document.getElementById('qualityWarning');
+
+        if (!keepAccepted) {
+            this.qualityWarningAccepted = false;
+        }
+        if (qualityWarning) {
+            qualityWarning.style.display = 'none';
+        }
+    }
+
+    /**
+     * Pick the first organ label not yet used, starting with the whole plant
+     */
+    getNextImageLabel() {
+        const labels = Object.keys(window.aiService ? window.aiService.imageLabels : { habit: 'habit' });
+        const used = this.currentImages.map(image => image.label);
+        return labels.find(label => !used.includes(label)) || labels[0];
+    }
+
+    /**
+     * Show one of the attached photos in the main preview
+     */
+    selectImage(index) {
+        const previewImage = document.getElementById('previewImage');
+        const image = this.currentImages[index];
+
+        if (!image) return;
+
+        // Unapplied edits belong to the photo shown before
+        if (window.imageEditor) {
+            window.imageEditor.close();
+        }
+
+        this.selectedImageIndex = index;
+        if (previewImage) {
+            previewImage.src = image.url;
+        }
+        this.renderImageList();
+    }
+
+    /**
+     * Use another frame of the selected photo's burst instead of the one
+     * picked automatically
+     */
+    async selectBurstFrame(frameIndex) {
+        const image = this.currentImages[this.selectedImageIndex];
+        const frame = image && image.burst ? image.burst.frames[frameIndex] : null;
+        if (!frame || frameIndex === image.burst.selected) return;
+
+        const previous = image.burst.selected;
+        image.burst.selected = frameIndex;
+        this.renderBurstReview();
+
+        let processed;
+        try {
+            processed = window.imageProcessor ? await window.imageProcessor.process(frame.file) : frame.file;
+        } catch (error) {
+            console.error('Error processing photo:', error);
+            this.showNotification(this.t('notify.photoRefused'), 'error');
+            if (image.burst.selected === frameIndex) {
+                image.burst.selected = previous;
+                this.renderBurstReview();
             }
+            return;
+        }
+
+        // The photo may have been removed, or another frame picked, meanwhile
+        const index = this.currentImages.indexOf(image);
+        if (index === -1 || image.burst.selected !== frameIndex) return;
+
+        // Crops and turns were made on the previous frame
+        URL.revokeObjectURL(image.url);
+        image.file = processed;
+        image.url = URL.createObjectURL(processed);
+        image.original = null;
+        image.edit = null;
+        this.resetQualityWarning();
+        this.selectImage(index);
+        image.qualityCheck = this.checkImageQuality(image, frame.quality);
+    }
+
+    /**
+     * Open the photo editor on the selected photo, starting from the
+     * unedited file with the last edits applied
+     */
+    editSelectedImage() {
+        const image = this.currentImages[this.selectedImageIndex];
+        if (!image || !window.imageEditor) return;
+
+        window.imageEditor.open(image.original || image.file, image.edit, result => this.applyImageEdit(image, result));
+    }
+
+    /**
+     * Use the edited copy of a photo, or go back to the original when
+     * result is null. The new file is quality-checked again.
+     */
+    applyImageEdit(image, result) {
+        const index = this.currentImages.indexOf(image);
+        if (index === -1 || (!result && !image.original)) return;
+
+        const original = image.original || image.file;
+        const file = result ? result.file : original;
+
+        URL.revokeObjectURL(image.url);
+        image.file = file;
+        image.url = URL.createObjectURL(file);
+        image.original = result ? original : null;
+        image.edit = result ? result.edit : null;
+        this.resetQualityWarning();
+        this.selectImage(index);
+        image.qualityCheck = this.checkImageQuality(image);
+    }
+
+    /**
+     * Thumbnails of the burst the selected photo came from, with the frame
+     * in use highlighted and the automatic pick marked
+     */
+    renderBurstReview() {
+        const burstReview = document.getElementById('burstReview');
+        if (!burstReview) return;
+
+        const image = this.currentImages[this.selectedImageIndex];
+        const burst = image ? image.burst : null;
+
+        if (!burst) {
+            burstReview.style.display = 'none';
+            burstReview.innerHTML = '';
+            return;
+        }
+
+        burstReview.innerHTML = `
+            <h4>${this.t('burst.title')}</h4>
+            <p class="burst-review-hint">${this.t('burst.hint', { count: burst.frames.length })}</p>
+            <div class="burst-frames">
+                ${burst.frames.map((frame, index) => `
+                <button class="burst-frame ${index === burst.selected ? 'active' : ''}" onclick="plantApp.selectBurstFrame(${index})" aria-pressed="${index === burst.selected}" aria-label="${this.t('burst.select', { number: index + 1 })}">
+                    <img src="${frame.url}" alt="${this.t('burst.frameAlt', { number: index + 1 })}">
+                    ${index === burst.best ? `<span class="burst-frame-best">${this.t('burst.best')}</span>` : ''}
+                </button>
+                `).join('')}
+            </div>
+        `;
+        burstReview.style.display = 'block';
+    }
+
+    /**
+     * Free the object URLs of a photo and its burst frames
+     */
+    releaseImage(image) {
+        URL.revokeObjectURL(image.url);
+        if (image.burst) {
+            image.burst.frames.forEach(frame => URL.revokeObjectURL(frame.url));
+        }
+    }
+
+    /**
+     * Change the organ label of an attached photo
+     */
+    setImageLabel(index, label) {
+        if (this.currentImages[index]) {
+            this.currentImages[index].label = label;
+            // The green check depends on the organ shown
+            this.renderImageList();
+            this.renderQualityWarning();
+        }
+    }
+
+    /**
+     * Remove one attached photo
+     */
+    removeImage(index) {
+        const [removed] = this.currentImages.splice(index, 1);
+        if (removed) {
+            this.releaseImage(removed);
+        }
+        this.resetQualityWarning();
+
+        if (this.currentImages.length === 0) {
+            this.clearCurrentImage();
+            return;
+        }
+
+        this.selectImage(Math.min(this.selectedImageIndex, this.currentImages.length - 1));
+    }
+
+    /**
+     * Render thumbnails with organ labels for the attached photos
+     */
+    renderImageList() {
+        const imageList = document.getElementById('imageList');
+        if (!imageList) return;
+
+        const labels = Object.keys(window.aiService ? window.aiService.imageLabels : { habit: 'habit' });
+
+        imageList.innerHTML = this.currentImages.map((image, index) => {
+            const issues = this.getImageIssues(image);
+
+            return `
+            <div class="image-thumb ${index === this.selectedImageIndex ? 'active' : ''} ${issues.length > 0 ? 'has-warning' : ''}">
+                <img src="${image.url}" alt="${this.t('images.photoAlt', { number: index + 1 })}" onclick="plantApp.selectImage(${index})">
+                ${image.edit ? `<span class="image-thumb-edited" title="${this.t('editor.edited')}" aria-label="${this.t('editor.edited')}">✂</span>` : ''}
+                ${issues.length > 0 ? `
+                <span class="image-thumb-warning" title="${this.escapeHtml(issues.map(issue => this.t(`quality.advice.${issue}`)).join(' '))}" aria-label="${this.t('quality.badge')}">⚠</span>
+                ` : ''}
+                <select onchange="plantApp.setImageLabel(${index}, this.value)" aria-label="${this.t('images.labelFor', { number: index + 1 })}">
+                    ${labels.map(value => `
+                        <option value="${value}" ${value === image.label ? 'selected' : ''}>${this.t(`imageLabels.${value}`)}</option>
+                    `).join('')}
+                </select>
+                <button class="image-thumb-remove" onclick="plantApp.removeImage(${index})" aria-label="${this.t('images.remove', { number: index + 1 })}">×</button>
+            </div>
+        `;
+        }).join('');
+
+        this.renderBurstReview();
+    }
+
+    /**
+     * Switch between identifying a plant and diagnosing its health problems
+     */
+    setAnalysisMode(mode) {
+        this.analysisMode = mode === 'diagnose' ? 'diagnose' : 'identify';
+        const isDiagnosis = this.analysisMode === 'diagnose';
+
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            const active = btn.dataset.mode === this.analysisMode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+
+        const analyzeBtn = document.getElementById('analyzeBtn');
+        const loadingTitle = document.getElementById('loadingTitle');
+        const loadingMessage = document.getElementById('loadingMessage');
+
+        if (analyzeBtn) {
+            analyzeBtn.textContent = this.t(isDiagnosis ? 'identify.diagnose' : 'identify.analyze');
+        }
+        if (loadingTitle) {
+            loadingTitle.textContent = this.t(isDiagnosis ? 'identify.loadingTitleDiagnose' : 'identify.loadingTitle');
+        }
+        if (loadingMessage) {
+            loadingMessage.textContent = this.t(isDiagnosis ? 'identify.loadingMessageDiagnose' : 'identify.loadingMessage');
+        }
+    }
+
+    /**
+     * Attached photos as passed to the AI service: [{ file, label }], plus
+     * the uncropped fullFile for edited photos and whether to send it along
+     * as context
+     */
+    getAnalysisImages() {
+        const sendFullImage = Boolean(window.imageProcessor && window.imageProcessor.settings.sendFullImage);
+
+        return this.currentImages.map(({ file, label, original }) => (original
+            ? { file, label, fullFile: original, fullAsContext: sendFullImage }
+            : { file, label }));
+    }
+
+    /**
+     * Analyze current image
+     */
+    async analyzeCurrentImage({ forceRefresh = false } = {}) {
+        if (this.currentImages.length === 0) {
+            this.showNotification(this.t('notify.selectImage'), 'error');
+            return;
+        }
+
+        if (this.isIdentifying) {
+            this.showNotification(this.t('notify.inProgress'), 'error');
+            return;
+        }
+
+        if (window.imageEditor && window.imageEditor.isOpen) {
+            this.showNotification(this.t('editor.finishFirst'), 'error');
+            return;
+        }
+
+        // Taken before the first await so a second click can't start another run
+        this.isIdentifying = true;
+
+        try {
+            await this.runAnalysis(forceRefresh);
+        } finally {
+            this.stopLoadingTimer();
+            this.analysisController = null;
+            this.isIdentifying = false;
+        }
+    }
+
+    /**
+     * The analysis itself, once analyzeCurrentImage holds the in-progress
+     * guard: quality warning, offline queueing, then the AI call
+     */
+    async runAnalysis(forceRefresh) {
+        // Give the user a chance to retake poor photos before sending them
+        if (!this.qualityWarningAccepted && await this.showQualityWarning()) {
+            return;
+        }
+
+        const images = this.getAnalysisImages();
+        const isDiagnosis = this.analysisMode === 'diagnose';
+        const type = isDiagnosis ? 'diagnosis' : 'identification';
+        const context = window.contextForm ? window.contextForm.getAnswers() : null;
+        const additionalContext = context ? window.contextForm.serialize(context) : '';
+
+        // Without a connection, keep the photos for later instead of failing
+        if (navigator.onLine === false && await this.queueForLater(images, type, context)) {
+            return;
+        }
+
+        // Show loading state
+        this.analysisController = new AbortController();
+        this.showLoadingState();
+
+        try {
+            // Analyze with AI service, rendering fields as they stream in
+            const options = {
+                onPartial: (partial) => this.displayPartialResults(partial, type),
+                onProgress: (stage) => this.renderLoadingStage(stage),
+                signal: this.analysisController.signal,
+                forceRefresh
+            };
+            const result = isDiagnosis
+                ? await window.aiService.diagnosePlant(images, additionalContext, options)
+                : await window.aiService.identifyPlant(images, additionalContext, options);
+
+            if (result.success) {
+                result.context = context;
+
+                // Display results
+                this.displayResults(result);
+                
+                // Save to history
+                if (window.historyService) {
+                    this.currentHistoryId = await window.historyService.saveToHistory(result);
+                }
+
+                // A failed save has already told the user why
+                if (!window.historyService || this.currentHistoryId) {
+                    this.showNotification(this.t(isDiagnosis ? 'notify.diagnosisComplete' : 'notify.identified'), 'success');
+                }
+            } else if (result.cancelled) {
+                this.handleAnalysisCancelled();
+            } else {
+                // The connection dropped mid-request: queue it rather than fail
+                const queued = result.errorKind === window.AIError.KINDS.NETWORK &&
+                    await this.queueForLater(images, type, context);
+
+                if (!queued) {
+                    // Handle analysis failure
+                    this.handleAnalysisFailure(result);
+                }
+            }
+        } catch (error) {
+            console.error('Analysis error:', error);
+            this.showNotification(this.t('notify.analysisFailed'), 'error');
+            this.hideLoadingState();
+        }
+    }
+
+    /**
+     * Store the photos and context form answers in the offline queue to be
+     * analyzed once the connection returns. Resolves false if they could not
+     * be queued.
+     */
+    async queueForLater(images, type, context) {
+        const offlineQueue = window.offlineQueue;
+        if (!offlineQueue || !offlineQueue.isSupported) return false;
+
+        try {
+            await offlineQueue.enqueue({ type, images, context });
+        } catch (error) {
+            console.error('Error queueing analysis:', error);
+            return false;
+        }
+
+        const resultsArea = document.getElementById('resultsArea');
+        this.hideLoadingState();
+        if (resultsArea) {
+            resultsArea.style.display = 'none';
+        }
+
+        this.showNotification(this.t('queue.queued'), 'success');
+        return true;
+    }
+
+    /**
+     * Abort the analysis in flight; analyzeCurrentImage then restores the preview
+     */
+    cancelAnalysis() {
+        if (this.analysisController) {
+            this.analysisController.abort();
+        }
+    }
+
+    /**
+     * Show loading state during analysis
+     */
+    showLoadingState() {
+        const loadingContainer = document.getElementById('loadingContainer');
+        const previewArea = document.getElementById('previewArea');
+        const resultsArea = document.getElementById('resultsArea');
+
+        if (loadingContainer) {
+            loadingContainer.style.display = 'block';
+            loadingContainer.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        if (previewArea) {
+            previewArea.style.display = 'none';
+        }
+
+        if (resultsArea) {
+            resultsArea.style.display = 'none';
+        }
+
+        this.renderLoadingStage(null);
+        this.startLoadingTimer();
+    }
+
+    /**
+     * List the analysis stages, marking those already passed and the current one
+     */
+    renderLoadingStage(stage) {
+        const loadingStages = document.getElementById('loadingStages');
+        this.analysisStage = stage;
+        if (!loadingStages || !window.aiService) return;
+
+        const stages = window.aiService.analysisStages;
+        const current = stages.indexOf(stage);
+
+        loadingStages.innerHTML = stages.map((name, index) => {
+            const state = index < current ? 'done' : index === current ? 'active' : '';
+            return `<li class="loading-stage ${state}">${this.t(`identify.stage.${name}`)}</li>`;
+        }).join('');
+    }
+
+    /**
+     * Show elapsed time in the loading panel, updated every second
+     */
+    startLoadingTimer() {
+        const loadingElapsed = document.getElementById('loadingElapsed');
+        const startedAt = Date.now();
+
+        const update = () => {
+            if (!loadingElapsed) return;
+            const seconds = Math.floor((Date.now() - startedAt) / 1000);
+            loadingElapsed.textContent = this.t('identify.elapsed', {
+                time: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+            });
+        };
+
+        this.stopLoadingTimer();
+        update();
+        this.loadingTimer = setInterval(update, 1000);
+    }
+
+    /**
+     * Stop the elapsed time counter
+     */
+    stopLoadingTimer() {
+        if (this.loadingTimer) {
+            clearInterval(this.loadingTimer);
+            this.loadingTimer = null;
+        }
+    }
+
+    /**
+     * Hide loading state
+     */
+    hideLoadingState() {
+        const loadingContainer = document.getElementById('loadingContainer');
+        const previewArea = document.getElementById('previewArea');
+
+        if (loadingContainer) {
+            loadingContainer.style.display = 'none';
+        }
+
+        if (previewArea) {
+            previewArea.style.display = 'block';
+        }
+    }
+
+    /**
+     * Display identification results
+     */
+    displayResults(result) {
+        const resultsArea = document.getElementById('resultsArea');
+        const resultsContent = document.getElementById('resultsContent');
+        const loadingContainer = document.getElementById('loadingContainer');
+
+        if (!resultsArea || !resultsContent) return;
+
+        // Hide loading state
+        if (loadingContainer) {
+            loadingContainer.style.display = 'none';
+        }
+
+        this.currentResult = result;
+        if (!result.followUps) {
+            result.followUps = [];
+        }
+
+        // Create results HTML
+        const resultsHTML = this.createResultsHTML(result);
+        resultsContent.innerHTML = this.createCachedNoticeHTML(result) +
+            this.createLanguageNoticeHTML(result) +
+            resultsHTML +
+            this.createFollowUpHTML(result);
+        this.setupFollowUpForm();
+
+        // Show results area
+        resultsArea.style.display = 'block';
+        resultsArea.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Render a streamed answer as it arrives, below the loading panel so the
+     * request can still be cancelled. Nothing shows until the plant name is
+     * known; sections show placeholders until they complete.
+     */
+    displayPartialResults(partial, type = 'identification') {
+        const isDiagnosis = type === 'diagnosis';
+        if (!(isDiagnosis ? partial.summary : partial.plantName)) return;
+
+        const resultsArea = document.getElementById('resultsArea');
+        const resultsContent = document.getElementById('resultsContent');
+        const previewImage = document.getElementById('previewImage');
+
+        if (!resultsArea || !resultsContent) return;
+
+        const imageSrc = previewImage ? previewImage.src : '';
+        resultsContent.innerHTML = isDiagnosis
+            ? this.createDiagnosisHTML(partial, imageSrc, true)
+            : this.createPartialResultsHTML(partial, imageSrc);
+
+        if (resultsArea.style.display !== 'block') {
+            resultsArea.style.display = 'block';
+            resultsArea.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Create HTML for results display
+     */
+    createResultsHTML(result) {
+        const data = result.data;
+
+        if (result.type === 'diagnosis') {
+            return this.createDiagnosisHTML(data, result.imageData, false);
+        }
+        
+        const defaulted = data.defaultedFields || [];
+        
+        return `
+            ${this.createPlantInfoHTML(data, result.imageData)}
+
+            ${data.originalIdentification ? `
+            <div class="promoted-notice">
+                ${this.t('results.promotedNotice', {
+                    name: this.escapeHtml(data.originalIdentification.plantName),
+                    scientificName: this.escapeHtml(data.originalIdentification.scientificName)
+                })}
+            </div>
+            ` : ''}
+
+            ${defaulted.length > 0 ? `
+            <div class="defaulted-notice">
+                ${this.t('results.defaultedNotice')}
+            </div>
+            ` : ''}
+
+            <div class="plant-details">
+                ${this.createCareParametersHTML(data.careParameters)}
+
+                ${this.createCareSectionHTML(data.careInstructions, defaulted)}
+
+                ${this.createCharacteristicsSectionHTML(data.characteristics, defaulted)}
+
+                ${this.createTipsSectionHTML(data.tips, defaulted)}
+
+                ${this.createAlternativesSectionHTML(data.alternatives, true)}
+
+                <div class="result-actions">
+                    <button class="btn btn-primary" onclick="plantApp.clearCurrentImage()">${this.t('results.identifyAnother')}</button>
+                    <button class="btn btn-secondary" onclick="plantApp.switchSection('history')">${this.t('results.viewHistory')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a partially streamed result
+     */
+    createPartialResultsHTML(partial, imageSrc) {
+        const pending = (title) => `
+            <div class="detail-section section-pending">
+                <h5>${title}</h5>
+                <p class="pending-text">${this.t('results.loading')}</p>
+            </div>
+        `;
+
+        return `
+            ${this.createPlantInfoHTML(partial, imageSrc)}
+
+            <div class="plant-details">
+                ${partial.careParameters ? this.createCareParametersHTML(window.aiService.normalizeCareParameters(partial.careParameters)) : ''}
+
+                ${partial.careInstructions ? this.createCareSectionHTML(partial.careInstructions) : pending(this.t('results.careInstructions'))}
+
+                ${partial.characteristics ? this.createCharacteristicsSectionHTML(partial.characteristics) : pending(this.t('results.characteristics'))}
+
+                ${this.createTipsSectionHTML(partial.tips)}
+
+                ${this.createAlternativesSectionHTML(partial.alternatives, false)}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the image, name, confidence and description block
+     */
+    createPlantInfoHTML(data, imageSrc) {
+        const defaulted = data.defaultedFields || [];
+
+        return `
+            <div class="plant-result">
+                <img src="${imageSrc}" alt="${this.escapeHtml(data.plantName)}" class="plant-image">
+                <div class="plant-info">
+                    <h4>${this.escapeHtml(data.plantName)}${this.defaultedMarker(defaulted, 'plantName')}</h4>
+                    ${data.scientificName ? `<div class="scientific-name">${this.escapeHtml(data.scientificName)}${this.defaultedMarker(defaulted, 'scientificName')}</div>` : ''}
+                    ${data.confidence !== undefined ? `<div class="confidence-score">${this.t('results.confidence', { value: data.confidence })}${this.defaultedMarker(defaulted, 'confidence')}</div>` : ''}
+                    ${data.family ? `<div class="plant-family"><strong>${this.t('results.family')}</strong> ${this.escapeHtml(data.family)}${this.defaultedMarker(defaulted, 'family')}</div>` : ''}
+                    ${data.description ? `
+                    <div class="plant-description">
+                        <p>${this.escapeHtml(data.description)}${this.defaultedMarker(defaulted, 'description')}</p>
+                    </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the care instructions section
+     */
+    createCareSectionHTML(care, defaulted = []) {
+        const fields = ['light', 'water', 'soil', 'temperature', 'humidity', 'fertilizer'];
+
+        return `
+            <div class="detail-section">
+                <h5>${this.t('results.careInstructions')}</h5>
+                <div class="care-grid">
+                    ${fields.map(key => this.createDetailItemHTML(this.t(`care.${key}`), care[key], defaulted, `careInstructions.${key}`)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the plant characteristics section
+     */
+    createCharacteristicsSectionHTML(characteristics, defaulted = []) {
+        const fields = ['size', 'growth', 'blooming', 'toxicity', 'difficulty'];
+
+        return `
+            <div class="detail-section">
+                <h5>${this.t('results.characteristics')}</h5>
+                <div class="care-grid">
+                    ${fields.map(key => this.createDetailItemHTML(this.t(`characteristics.${key}`), characteristics[key], defaulted, `characteristics.${key}`)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the numeric care parameters in the preferred units.
+     * Results saved before these existed have none, so nothing is shown.
+     */
+    createCareParametersHTML(parameters) {
+        const rows = window.unitsService.describeCareParameters(parameters);
+        if (rows.length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h5>${this.t('careParameters.title')}</h5>
+                <div class="care-grid">
+                    ${rows.map(row => `
+                    <div class="care-item">
+                        <h6>${row.label}</h6>
+                        <p>${this.escapeHtml(row.value)}</p>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for one labelled care/characteristic cell
+     */
+    createDetailItemHTML(label, value, defaulted, path) {
+        const isDefaulted = defaulted.includes(path);
+
+        return `
+            <div class="care-item ${isDefaulted ? 'defaulted' : ''}">
+                <h6>${label}${this.defaultedMarker(defaulted, path)}</h6>
+                <p>${this.escapeHtml(value)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Badge marking a field that holds a generic default rather than model output
+     */
+    defaultedMarker(defaulted, path) {
+        return defaulted && defaulted.includes(path)
+            ? ` <span class="defaulted-badge" title="${this.t('results.defaultedTitle')}">${this.t('results.defaultedBadge')}</span>`
+            : '';
+    }
+
+    /**
+     * Create HTML for the care tips list
+     */
+    createTipsSectionHTML(tips, defaulted = []) {
+        if (!tips || tips.length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h5>${this.t('results.careTips')}${this.defaultedMarker(defaulted, 'tips')}</h5>
+                <ul class="care-tips">
+                    ${tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a health diagnosis. While streaming, sections that have
+     * not arrived yet show placeholders.
+     */
+    createDiagnosisHTML(data, imageSrc, isPartial) {
+        const defaulted = data.defaultedFields || [];
+        const pending = (title) => `
+            <div class="detail-section section-pending">
+                <h5>${title}</h5>
+                <p class="pending-text">${this.t('results.loading')}</p>
+            </div>
+        `;
+        const section = (title, items, render) => {
+            if (!items) return isPartial ? pending(title) : '';
+            if (items.length === 0) return '';
+            return `
+                <div class="detail-section">
+                    <h5>${title}</h5>
+                    ${render(items)}
+                </div>
+            `;
+        };
+
+        return `
+            <div class="plant-result">
+                <img src="${imageSrc}" alt="${this.t('diagnosis.imageAlt')}" class="plant-image">
+                <div class="plant-info">
+                    <h4>${this.escapeHtml(data.plantName || this.t('diagnosis.defaultTitle'))}${this.defaultedMarker(defaulted, 'plantName')}</h4>
+                    ${data.severity ? `
+                    <div class="diagnosis-severity">
+                        ${this.t('diagnosis.severity')} <span class="severity-badge severity-${this.escapeHtml(data.severity)}">${this.escapeHtml(this.t(`severity.${data.severity}`))}</span>
+                    </div>
+                    ` : ''}
+                    <div class="plant-description">
+                        <p>${this.escapeHtml(data.summary)}${this.defaultedMarker(defaulted, 'summary')}</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="plant-details">
+                ${section(this.t('diagnosis.symptoms'), data.symptoms, symptoms => `
+                    <ul class="care-tips">
+                        ${symptoms.map(item => `
+                            <li>${this.escapeHtml(item.symptom)}${item.location ? ` <span class="symptom-location">(${this.escapeHtml(item.location)})</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                `)}
+
+                ${section(this.t('diagnosis.causes'), data.causes, causes => `
+                    <ol class="alternatives-list">
+                        ${causes.map(cause => `
+                            <li class="alternative-item">
+                                <div class="alternative-header">
+                                    <div>
+                                        <strong>${this.escapeHtml(cause.name)}</strong>
+                                        <em class="alternative-scientific">${this.escapeHtml(this.t(`causeType.${cause.type}`))}</em>
+                                    </div>
+                                    <span class="alternative-confidence">${Number(cause.probability) || 0}%</span>
+                                </div>
+                                ${cause.evidence ? `<p>${this.escapeHtml(cause.evidence)}</p>` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                `)}
+
+                ${section(`${this.t('diagnosis.treatment')}${this.defaultedMarker(defaulted, 'treatment')}`, data.treatment, steps => `
+                    <ol class="treatment-steps">
+                        ${steps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
+                    </ol>
+                `)}
+
+                ${section(`${this.t('diagnosis.prevention')}${this.defaultedMarker(defaulted, 'prevention')}`, data.prevention, tips => `
+                    <ul class="care-tips">
+                        ${tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
+                    </ul>
+                `)}
+
+                ${isPartial ? '' : `
+                <div class="result-actions">
+                    <button class="btn btn-primary" onclick="plantApp.clearCurrentImage()">${this.t('results.checkAnother')}</button>
+                    <button class="btn btn-secondary" onclick="plantApp.switchSection('history')">${this.t('results.viewHistory')}</button>
+                </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the ranked list of alternative candidates
+     */
+    createAlternativesSectionHTML(alternatives, selectable) {
+        if (!alternatives || alternatives.length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h5>${this.t('results.alternatives')}</h5>
+                <ol class="alternatives-list">
+                    ${alternatives.map((candidate, index) => `
+                        <li class="alternative-item">
+                            <div class="alternative-header">
+                                <div>
+                                    <strong>${this.escapeHtml(candidate.plantName)}</strong>
+                                    <em class="alternative-scientific">${this.escapeHtml(candidate.scientificName)}</em>
+                                </div>
+                                <span class="alternative-confidence">${Number(candidate.confidence) || 0}%</span>
+                            </div>
+                            ${candidate.distinguishingFeatures ? `<p>${this.escapeHtml(candidate.distinguishingFeatures)}</p>` : ''}
+                            ${selectable ? `
+                            <button class="btn btn-secondary btn-small" onclick="plantApp.promoteAlternative(${index})">${this.t('results.choose')}</button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Make an alternative candidate the primary identification. The previous
+     * primary joins the alternatives so the full ranked list is kept. Only the
+     * names and confidence change: the description and care sections stay
+     * the original pick's, and the promoted notice says so.
+     */
+    promoteAlternative(index) {
+        const result = this.currentResult;
+        const data = result && result.data;
+        const candidate = data && data.alternatives ? data.alternatives[index] : null;
+
+        if (!candidate) return;
+
+        const previous = {
+            plantName: data.plantName,
+            scientificName: data.scientificName,
+            family: data.family,
+            confidence: data.confidence,
+            // The model's own pick has no distinguishing features; a promoted candidate keeps its own
+            ...(data.distinguishingFeatures ? { distinguishingFeatures: data.distinguishingFeatures } : {})
+        };
+
+        if (!data.originalIdentification) {
+            data.originalIdentification = {
+                plantName: data.plantName,
+                scientificName: data.scientificName
+            };
+        }
+
+        data.plantName = candidate.plantName;
+        data.scientificName = candidate.scientificName;
+        data.family = candidate.family;
+        data.confidence = candidate.confidence;
+        if (candidate.distinguishingFeatures) {
+            data.distinguishingFeatures = candidate.distinguishingFeatures;
+        } else {
+            delete data.distinguishingFeatures;
+        }
+
+        data.alternatives = data.alternatives
+            .filter((_, i) => i !== index)
+            .concat(previous)
+            .sort((a, b) => b.confidence - a.confidence);
+
+        // Switching back to the model's own pick clears the override
+        if (data.scientificName === data.originalIdentification.scientificName) {
+            delete data.originalIdentification;
+        }
+
+        this.displayResults(result);
+
+        if (window.historyService && this.currentHistoryId) {
+            window.historyService.updateHistoryItem(this.currentHistoryId, {
+                plantName: data.plantName,
+                scientificName: data.scientificName,
+                family: data.family,
+                confidence: data.confidence,
+                distinguishingFeatures: data.distinguishingFeatures || null,
+                alternatives: data.alternatives,
+                originalIdentification: data.originalIdentification || null
+            });
+        }
+
+        this.showNotification(this.t('notify.promoted', { name: this.escapeHtml(candidate.plantName) }), 'success');
+    }
+
+    /**
+     * Badge for results answered from the result cache, with a way to ask
+     * the model again
+     */
+    createCachedNoticeHTML(result) {
+        if (!result.cached) return '';
+
+        return `
+            <div class="cached-notice">
+                <span class="cached-badge">${this.t('results.cachedBadge')}</span>
+                ${this.t('results.cachedNotice', { date: this.escapeHtml(window.i18n.formatDate(result.cachedAt)) })}
+                ${this.currentImages.length > 0 ? `<button class="btn btn-secondary btn-small" onclick="plantApp.analyzeCurrentImage({ forceRefresh: true })">${this.t('results.analyzeAgain')}</button>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Note for results generated in a language other than the current one
+     */
+    createLanguageNoticeHTML(result) {
+        const i18n = window.i18n;
+        if (!result.language || result.language === i18n.language) return '';
+
+        const language = i18n.languages[result.language];
+
+        return `
+            <div class="cached-notice">
+                ${this.t('results.language', { language: this.escapeHtml(language ? language.nativeName : result.language) })}
+            </div>
+        `;
+    }
+
+    /**
+     * Create the follow-up Q&A panel shown under a result
+     */
+    createFollowUpHTML(result) {
+        const subject = result.data.plantName || this.t('followUp.thisPlant');
+        const placeholder = this.t(result.type === 'diagnosis' ? 'followUp.placeholderDiagnosis' : 'followUp.placeholder');
+
+        return `
+            <div class="follow-up-panel">
+                <h5>${this.t('followUp.title', { name: this.escapeHtml(subject) })}</h5>
+                <div class="follow-up-thread" id="followUpThread">
+                    ${result.followUps.map(message => this.createFollowUpMessageHTML(message)).join('')}
+                </div>
+                <form class="follow-up-form" id="followUpForm">
+                    <input type="text" id="followUpInput" class="follow-up-input" placeholder="${placeholder}" maxlength="500" autocomplete="off" required>
+                    <button type="submit" class="btn btn-primary">${this.t('followUp.ask')}</button>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for one message in the follow-up thread
+     */
+    createFollowUpMessageHTML(message) {
+        return `
+            <div class="follow-up-message follow-up-${message.role}">
+                <p>${this.escapeHtml(message.content)}</p>
+            </div>
+        `;
+    }
 
-            // Show preview area
-            previewArea.style.display = 'block';
-            if (uploadArea) {
-                uploadArea.style.display = 'none';
-            }
+    /**
+     * Bind the follow-up form rendered with the current result
+     */
+    setupFollowUpForm() {
+        const form = document.getElementById('followUpForm');
+        const input = document.getElementById('followUpInput');
 
-            // Scroll to preview
-            previewArea.scrollIntoView({ behavior: 'smooth' });
+        if (!form || !input) return;
 
-            this.showNotification('Image loaded successfully! Click "Analyze Plant" to identify.', 'success');
-        }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitFollowUp(input.value);
+        });
     }
 
     /**
-     * Analyze current image
+     * Ask a follow-up question about the current result. The answer streams
+     * into the thread and the whole exchange is saved on the history item.
      */
-    async analyzeCurrentImage() {
-        if (!this.currentImageFile && !window.currentImageFile) {
-            this.showNotification('Please select an image first', 'error');
-            return;
-        }
-
-        if (this.isIdentifying) {
-            this.showNotification('Analysis already in progress', 'error');
-            return;
-        }
+    async submitFollowUp(question) {
+        const result = this.currentResult;
+        const text = question.trim();
 
-        const imageFile = this.currentImageFile || window.currentImageFile;
+        if (!result || !text || this.isAskingFollowUp) return;
 
-        // Show loading state
-        this.showLoadingState();
-        this.isIdentifying = true;
+        const thread = document.getElementById('followUpThread');
+        const input = document.getElementById('followUpInput');
+        const submitBtn = document.querySelector('#followUpForm button[type="submit"]');
 
-        try {
-            // Analyze with AI service
-            const result = await window.aiService.identifyPlant(imageFile);
+        this.isAskingFollowUp = true;
+        if (input) input.value = '';
+        if (submitBtn) submitBtn.disabled = true;
 
-            if (result.success) {
-                // Display results
-                this.displayResults(result);
-                
-                // Save to history
-                if (window.historyService) {
-                    window.historyService.saveToHistory(result);
-                }
-                
-                this.showNotification('Plant identified successfully!', 'success');
-            } else {
-                // Handle analysis failure
-                this.handleAnalysisFailure(result);
-            }
-        } catch (error) {
-            console.error('Analysis error:', error);
-            this.showNotification('Failed to analyze plant. Please try again.', 'error');
-            this.hideLoadingState();
+        if (thread) {
+            thread.insertAdjacentHTML('beforeend', this.createFollowUpMessageHTML({ role: 'user', content: text }));
+            thread.insertAdjacentHTML('beforeend', `
+                <div class="follow-up-message follow-up-assistant pending">
+                    <p>${this.t('followUp.thinking')}</p>
+                </div>
+            `);
         }
+        const pending = thread ? thread.lastElementChild : null;
+        const pendingText = pending ? pending.querySelector('p') : null;
 
-        this.isIdentifying = false;
-    }
+        const response = await window.aiService.askFollowUp(result, result.followUps, text, {
+            onDelta: (answerSoFar) => {
+                if (pendingText) pendingText.textContent = answerSoFar;
+            }
+        });
 
-    /**
-     * Show loading state during analysis
-     */
-    showLoadingState() {
-        const loadingContainer = document.getElementById('loadingContainer');
-        const previewArea = document.getElementById('previewArea');
-        const resultsArea = document.getElementById('resultsArea');
+        if (response.success) {
+            result.followUps.push(
+                { role: 'user', content: text, timestamp: response.timestamp },
+                { role: 'assistant', content: response.answer, timestamp: response.timestamp, usage: response.usage, prompt: response.prompt }
+            );
 
-        if (loadingContainer) {
-            loadingContainer.style.display = 'block';
-            loadingContainer.scrollIntoView({ behavior: 'smooth' });
-        }
+            if (pending) pending.classList.remove('pending');
+            if (pendingText) pendingText.textContent = response.answer;
 
-        if (previewArea) {
-            previewArea.style.display = 'none';
+            if (window.historyService && this.currentHistoryId) {
+                window.historyService.updateHistoryItem(this.currentHistoryId, {
+                    followUps: result.followUps
+                });
+            }
+        } else {
+            // Drop the unanswered question so the thread only holds complete exchanges
+            if (pending) {
+                pending.previousElementSibling.remove();
+                pending.remove();
+            }
+            if (input) input.value = text;
+            this.showNotification(this.getFailureGuidance({ ...response, type: result.type }).title, 'error');
         }
 
-        if (resultsArea) {
-            resultsArea.style.display = 'none';
-        }
+        if (submitBtn) submitBtn.disabled = false;
+        this.isAskingFollowUp = false;
     }
 
     /**
-     * Hide loading state
+     * Show a saved history item as the current result so its follow-up
+     * conversation can continue
      */
-    hideLoadingState() {
-        const loadingContainer = document.getElementById('loadingContainer');
-        const previewArea = document.getElementById('previewArea');
+    reopenFromHistory(item) {
+        const { id, type, timestamp, imageData, images, followUps, language, usage, prompt, context, cacheId, ...data } = item;
 
-        if (loadingContainer) {
-            loadingContainer.style.display = 'none';
-        }
+        this.clearCurrentImage();
+        this.switchSection('identify');
+        this.setAnalysisMode(type === 'diagnosis' ? 'diagnose' : 'identify');
 
-        if (previewArea) {
-            previewArea.style.display = 'block';
-        }
+        const uploadArea = document.getElementById('uploadArea');
+        if (uploadArea) uploadArea.style.display = 'none';
+
+        this.currentHistoryId = id;
+        this.displayResults({
+            success: true,
+            type: type || 'identification',
+            data,
+            timestamp,
+            imageData,
+            images,
+            followUps: followUps || [],
+            language: language || window.i18n.defaultLanguage,
+            usage: usage || null,
+            prompt: prompt || null,
+            context: context || null
+        });
     }
 
     /**
-     * Display identification results
+     * Return to the photo preview after the user cancels, dropping any
+     * partially streamed results. Not an error, so no toast.
      */
-    displayResults(result) {
+    handleAnalysisCancelled() {
         const resultsArea = document.getElementById('resultsArea');
-        const resultsContent = document.getElementById('resultsContent');
-        const loadingContainer = document.getElementById('loadingContainer');
 
-        if (!resultsArea || !resultsContent) return;
+        this.hideLoadingState();
 
-        // Hide loading state
-        if (loadingContainer) {
-            loadingContainer.style.display = 'none';
+        if (resultsArea) {
+            resultsArea.style.display = 'none';
         }
-
-        // Create results HTML
-        const resultsHTML = this.createResultsHTML(result);
-        resultsContent.innerHTML = resultsHTML;
-
-        // Show results area
-        resultsArea.style.display = 'block';
-        resultsArea.scrollIntoView({ behavior: 'smooth' });
     }
 
     /**
-     * Create HTML for results display
+     * Handle analysis failure
      */
-    createResultsHTML(result) {
-        const data = result.data;
-        
-        return `
-            <div class="plant-result">
-                <img src="${result.imageData}" alt="${data.plantName}" class="plant-image">
-                <div class="plant-info">
-                    <h4>${this.escapeHtml(data.plantName)}</h4>
-                    <div class="scientific-name">${this.escapeHtml(data.scientificName)}</div>
-                    <div class="confidence-score">Confidence: ${data.confidence}%</div>
-                    <div class="plant-family"><strong>Family:</strong> ${this.escapeHtml(data.family)}</div>
-                    <div class="plant-description">
-                        <p>${this.escapeHtml(data.description)}</p>
-                    </div>
-                </div>
-            </div>
-
-            <div class="plant-details">
-                <div class="detail-section">
-                    <h5>Care Instructions</h5>
-                    <div class="care-grid">
-                        <div class="care-item">
-                            <h6>Light</h6>
-                            <p>${this.escapeHtml(data.careInstructions.light)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Water</h6>
-                            <p>${this.escapeHtml(data.careInstructions.water)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Soil</h6>
-                            <p>${this.escapeHtml(data.careInstructions.soil)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Temperature</h6>
-                            <p>${this.escapeHtml(data.careInstructions.temperature)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Humidity</h6>
-                            <p>${this.escapeHtml(data.careInstructions.humidity)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Fertilizer</h6>
-                            <p>${this.escapeHtml(data.careInstructions.fertilizer)}</p>
-                        </div>
-                    </div>
-                </div>
+    handleAnalysisFailure(result) {
+        this.hideLoadingState();
 
-                <div class="detail-section">
-                    <h5>Plant Characteristics</h5>
-                    <div class="care-grid">
-                        <div class="care-item">
-                            <h6>Size</h6>
-                            <p>${this.escapeHtml(data.characteristics.size)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Growth Rate</h6>
-                            <p>${this.escapeHtml(data.characteristics.growth)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Flowering</h6>
-                            <p>${this.escapeHtml(data.characteristics.blooming)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Toxicity</h6>
-                            <p>${this.escapeHtml(data.characteristics.toxicity)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Difficulty</h6>
-                            <p>${this.escapeHtml(data.characteristics.difficulty)}</p>
-                        </div>
-                    </div>
-                </div>
+        this.showNotification(this.getFailureGuidance(result).title, 'error');
 
-                ${data.tips && data.tips.length > 0 ? `
-                <div class="detail-section">
-                    <h5>Care Tips</h5>
-                    <ul class="care-tips">
-                        ${data.tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
-                    </ul>
-                </div>
-                ` : ''}
+        const resultsArea = document.getElementById('resultsArea');
+        const resultsContent = document.getElementById('resultsContent');
 
-                <div class="result-actions">
-                    <button class="btn btn-primary" onclick="plantApp.clearCurrentImage()">Identify Another Plant</button>
-                    <button class="btn btn-secondary" onclick="plantApp.switchSection('history')">View History</button>
-                </div>
-            </div>
-        `;
+        // Replaces any partially streamed results
+        if (resultsArea && resultsContent) {
+            resultsContent.innerHTML = this.createFailureHTML(result);
+            resultsArea.style.display = 'block';
+        }
     }
 
     /**
-     * Handle analysis failure
+     * What to tell the user for each kind of analysis failure (see AIError.KINDS)
      */
-    handleAnalysisFailure(result) {
-        this.hideLoadingState();
-
-        const errorMessage = result.error || 'Failed to identify plant';
-        this.showNotification(errorMessage, 'error');
-
-        // Show fallback information if available
-        if (result.fallback) {
-            const resultsArea = document.getElementById('resultsArea');
-            const resultsContent = document.getElementById('resultsContent');
-
-            if (resultsArea && resultsContent) {
-                const fallbackHTML = this.createFallbackHTML(result.fallback);
-                resultsContent.innerHTML = fallbackHTML;
-                resultsArea.style.display = 'block';
-            }
+    getFailureGuidance(result) {
+        const wait = result.retryAfter
+            ? this.t('failure.waitSeconds', { count: result.retryAfter })
+            : this.t('failure.waitDefault');
+        const retryable = ['network', 'timeout', 'rate_limited', 'server', 'circuit_open', 'unparseable'];
+        const known = retryable.concat(['auth', 'invalid_request', 'not_a_plant']);
+
+        if (!known.includes(result.errorKind)) {
+            return {
+                title: this.t(result.type === 'diagnosis' ? 'failure.unknown.titleDiagnosis' : 'failure.unknown.title'),
+                message: this.t('failure.unknown.message'),
+                canRetry: true
+            };
         }
+
+        return {
+            title: this.t(`failure.${result.errorKind}.title`),
+            message: this.t(`failure.${result.errorKind}.message`, { wait }),
+            canRetry: retryable.includes(result.errorKind)
+        };
     }
 
     /**
-     * Create HTML for fallback response
+     * Create HTML for a failed analysis: guidance for the error kind, plus
+     * general care guidelines when the service supplied a fallback
      */
-    createFallbackHTML(fallbackData) {
+    createFailureHTML(result) {
+        const guidance = this.getFailureGuidance(result);
+        const fallbackData = result.fallback;
+
         return `
             <div class="analysis-failed">
                 <div class="error-icon">⚠️</div>
-                <h4>Unable to Identify Plant</h4>
-                <p>We couldn't identify this plant with confidence. Here are some general plant care guidelines:</p>
+                <h4>${guidance.title}</h4>
+                <p>${guidance.message}</p>
+                ${result.errorKind === 'not_a_plant' ? `<p class="failure-detail">${this.escapeHtml(result.error)}</p>` : ''}
                 
+                ${fallbackData ? `
                 <div class="fallback-care">
-                    <h5>General Plant Care</h5>
+                    <h5>${this.t('failure.generalCare')}</h5>
                     <div class="care-grid">
+                        ${['light', 'water', 'soil', 'temperature'].map(key => `
                         <div class="care-item">
-                            <h6>Light</h6>
-                            <p>${this.escapeHtml(fallbackData.careInstructions.light)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Water</h6>
-                            <p>${this.escapeHtml(fallbackData.careInstructions.water)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Soil</h6>
-                            <p>${this.escapeHtml(fallbackData.careInstructions.soil)}</p>
-                        </div>
-                        <div class="care-item">
-                            <h6>Temperature</h6>
-                            <p>${this.escapeHtml(fallbackData.careInstructions.temperature)}</p>
+                            <h6>${this.t(`care.${key}`)}</h6>
+                            <p>${this.escapeHtml(fallbackData.careInstructions[key])}</p>
                         </div>
+                        `).join('')}
                     </div>
                 </div>
 
                 <div class="improvement-tips">
-                    <h5>For Better Results</h5>
+                    <h5>${this.t('failure.betterResults')}</h5>
                     <ul>
                         ${fallbackData.tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('')}
                     </ul>
                 </div>
+                ` : ''}
 
                 <div class="result-actions">
-                    <button class="btn btn-primary" onclick="plantApp.clearCurrentImage()">Try Another Image</button>
-                    <button class="btn btn-secondary" onclick="plantApp.switchSection('guide')">Browse Plant Guide</button>
+                    ${guidance.canRetry ? `<button class="btn btn-primary" onclick="plantApp.analyzeCurrentImage()">${this.t('failure.tryAgain')}</button>` : ''}
+                    <button class="btn ${guidance.canRetry ? 'btn-secondary' : 'btn-primary'}" onclick="plantApp.clearCurrentImage()">${this.t('failure.tryAnother')}</button>
+                    <button class="btn btn-secondary" onclick="plantApp.switchSection('guide')">${this.t('failure.browseGuide')}</button>
                 </div>
             </div>
         `;
@@ -529,10 +1886,22 @@ class PlantIdentificationApp {
             fileInput.value = '';
         }
 
-        // Clear stored image
-        this.currentImageFile = null;
-        if (typeof window !== 'undefined') {
-            window.currentImageFile = null;
+        this.currentResult = null;
+        this.currentHistoryId = null;
+
+        // Clear stored images
+        if (window.imageEditor) {
+            window.imageEditor.close();
+        }
+        this.currentImages.forEach(image => this.releaseImage(image));
+        this.currentImages = [];
+        this.selectedImageIndex = 0;
+        this.renderImageList();
+        this.resetQualityWarning();
+
+        // Context answers describe the plant just cleared
+        if (window.contextForm) {
+            window.contextForm.reset();
         }
 
         // Reset identification state
@@ -623,7 +1992,7 @@ class PlantIdentificationApp {
                     <div class="plant-tags">
                         ${plant.tags.map(tag => `<span class="plant-tag">${tag}</span>`).join('')}
                     </div>
-                    <div class="plant-difficulty">Difficulty: ${plant.difficulty}</div>
+                    <div class="plant-difficulty">${this.t('guide.difficulty', { level: plant.difficulty })}</div>
                 </div>
             </div>
         `).join('');
@@ -677,6 +2046,13 @@ class PlantIdentificationApp {
         e.stopPropagation();
     }
 
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -739,6 +2115,11 @@ const additionalStyles = `
             padding: var(--spacing-lg);
         }
 
+        .failure-detail {
+            color: var(--text-light-gray);
+            font-size: var(--font-size-sm);
+        }
+
         .error-icon {
             font-size: var(--font-size-4xl);
             margin-bottom: var(--spacing-md);
@@ -768,6 +2149,176 @@ const additionalStyles = `
             color: var(--text-gray);
         }
 
+        .section-pending {
+            opacity: 0.6;
+        }
+
+        .section-pending .pending-text {
+            color: var(--text-light-gray);
+            font-style: italic;
+            animation: pulse 1.5s ease-in-out infinite;
+        }
+
+        @keyframes pulse {
+            0%, 100% { opacity: 1; }
+            50% { opacity: 0.4; }
+        }
+
+        .alternatives-list {
+            list-style: none;
+            padding: 0;
+            counter-reset: alternative;
+        }
+
+        .alternative-item {
+            background: var(--tertiary-black);
+            border: 1px solid var(--border-gray);
+            border-radius: 8px;
+            padding: var(--spacing-sm);
+            margin-bottom: var(--spacing-xs);
+        }
+
+        .alternative-item p {
+            margin: var(--spacing-xs) 0;
+        }
+
+        .alternative-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            gap: var(--spacing-sm);
+        }
+
+        .alternative-header strong::before {
+            counter-increment: alternative;
+            content: counter(alternative) ". ";
+            color: var(--secondary-green);
+        }
+
+        .alternative-scientific {
+            color: var(--text-light-gray);
+            margin-left: var(--spacing-xs);
+        }
+
+        .alternative-confidence {
+            color: var(--primary-green);
+            font-weight: 600;
+        }
+
+        .diagnosis-severity {
+            margin: var(--spacing-xs) 0;
+            color: var(--text-gray);
+        }
+
+        .symptom-location {
+            color: var(--text-light-gray);
+            font-size: var(--font-size-sm);
+        }
+
+        .treatment-steps {
+            padding-left: var(--spacing-md);
+        }
+
+        .treatment-steps li {
+            margin-bottom: var(--spacing-xs);
+            color: var(--text-gray);
+        }
+
+        .promoted-notice {
+            background: rgba(0, 255, 65, 0.08);
+            border: 1px solid var(--tertiary-green);
+            border-radius: 8px;
+            color: var(--text-gray);
+            font-size: var(--font-size-sm);
+            padding: var(--spacing-sm);
+            margin: var(--spacing-md) 0;
+        }
+
+        .cached-notice {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: var(--spacing-xs);
+            background: var(--tertiary-black);
+            border: 1px solid var(--border-gray);
+            border-radius: 8px;
+            color: var(--text-gray);
+            font-size: var(--font-size-sm);
+            padding: var(--spacing-xs) var(--spacing-sm);
+            margin-bottom: var(--spacing-md);
+        }
+
+        .cached-badge {
+            background: var(--dark-green);
+            color: var(--primary-green);
+            border-radius: 4px;
+            font-size: var(--font-size-xs);
+            font-weight: 600;
+            padding: 2px 8px;
+            text-transform: uppercase;
+        }
+
+        .follow-up-panel {
+            margin-top: var(--spacing-lg);
+            padding-top: var(--spacing-md);
+            border-top: 1px solid var(--border-gray);
+        }
+
+        .follow-up-thread {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-xs);
+            margin: var(--spacing-sm) 0;
+        }
+
+        .follow-up-message {
+            max-width: 85%;
+            padding: var(--spacing-xs) var(--spacing-sm);
+            border-radius: 8px;
+            white-space: pre-wrap;
+        }
+
+        .follow-up-message p {
+            margin: 0;
+        }
+
+        .follow-up-user {
+            align-self: flex-end;
+            background: var(--dark-green);
+            color: var(--text-white);
+        }
+
+        .follow-up-assistant {
+            align-self: flex-start;
+            background: var(--tertiary-black);
+            border-left: 3px solid var(--primary-green);
+            color: var(--text-gray);
+        }
+
+        .follow-up-assistant.pending {
+            animation: pulse 1.5s ease-in-out infinite;
+        }
+
+        .follow-up-form {
+            display: flex;
+            gap: var(--spacing-xs);
+        }
+
+        .follow-up-input {
+            flex: 1;
+            background: var(--tertiary-black);
+            border: 1px solid var(--border-gray);
+            border-radius: 8px;
+            color: var(--text-white);
+            padding: var(--spacing-xs) var(--spacing-sm);
+            font-family: var(--font-family);
+        }
+
+        .follow-up-input:focus {
+            outline: none;
+            border-color: var(--primary-green);
+        }
+
         .plant-difficulty {
             margin-top: var(--spacing-sm);
             font-size: var(--font-size-sm);
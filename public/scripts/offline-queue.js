@@ -0,0 +1,267 @@
+/**
+ * Offline Queue for Plant Analysis
+ * Keeps analyses attempted without a connection in IndexedDB and runs them
+ * once the browser is back online
+ */
+class OfflineQueue {
+    constructor() {
+        this.dbName = 'plantid-offline';
+        this.dbVersion = 1;
+        this.storeName = 'queue';
+        // Retry delay while the browser reports a connection but the AI service is unreachable
+        this.retryDelayMs = 60000;
+        this.db = null;
+        this.pendingCount = 0;
+        this.isProcessing = false;
+        this.retryTimer = null;
+    }
+
+    /**
+     * Whether the browser can store queued photos
+     */
+    get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Initialize queue: show the indicator and run anything left from an
+     * earlier visit
+     */
+    async init() {
+        if (!this.isSupported) return;
+
+        this.setupEventListeners();
+        await this.refreshIndicator();
+
+        if (navigator.onLine !== false) {
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const queueIndicator = document.getElementById('queueIndicator');
+
+        if (queueIndicator) {
+            queueIndicator.addEventListener('click', () => this.processQueue());
+        }
+
+        window.addEventListener('online', () => this.processQueue());
+        window.addEventListener('offline', () => this.renderIndicator());
+        document.addEventListener('languagechanged', () => this.renderIndicator());
+    }
+
+    /**
+     * Open (and on first use create) the queue database
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one object store request in its own transaction and resolve with
+     * its result once the transaction commits
+     */
+    async runRequest(mode, makeRequest) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queue an analysis for later. images is [{ file, label, fullFile,
+     * fullAsContext }] as passed to identifyPlant; the files themselves are
+     * stored, not data URLs. context
+     * is the context form answers, or null. Resolves with the new entry's id.
+     */
+    async enqueue({ type, images, context = null }) {
+        const id = await this.runRequest('readwrite', store => store.add({
+            type,
+            context,
+            images: images.map(({ file, label, fullFile, fullAsContext }) => (fullFile
+                ? { file, label, fullFile, fullAsContext: Boolean(fullAsContext) }
+                : { file, label })),
+            queuedAt: new Date().toISOString()
+        }));
+
+        await this.refreshIndicator();
+        // The browser may still report a connection the AI service can't use
+        this.scheduleRetry();
+
+        return id;
+    }
+
+    /**
+     * Every queued entry, oldest first
+     */
+    async getAll() {
+        const entries = await this.runRequest('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Drop one queued entry
+     */
+    async remove(id) {
+        await this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Send queued analyses one at a time, oldest first. Each success is
+     * saved to history; an answer that can never succeed (not a plant,
+     * unreadable response, ...) is dropped with a notice. Stops at the first
+     * transient failure and tries again when the connection returns or after
+     * retryDelayMs.
+     */
+    async processQueue() {
+        if (!this.isSupported || this.isProcessing || !window.aiService) return;
+        if (navigator.onLine === false) return;
+
+        this.isProcessing = true;
+        clearTimeout(this.retryTimer);
+        this.renderIndicator();
+
+        try {
+            for (const entry of await this.getAll()) {
+                const context = entry.context || null;
+                const additionalContext = context && window.contextForm ? window.contextForm.serialize(context) : '';
+                const result = entry.type === 'diagnosis'
+                    ? await window.aiService.diagnosePlant(entry.images, additionalContext)
+                    : await window.aiService.identifyPlant(entry.images, additionalContext);
+
+                if (result.success) {
+                    result.context = context;
+                    const saved = window.historyService ? await window.historyService.saveToHistory(result) : true;
+                    await this.remove(entry.id);
+                    // A failed save has already told the user why
+                    if (saved) {
+                        this.showNotification(this.t(entry.type === 'diagnosis' ? 'queue.diagnosed' : 'queue.identified', {
+                            name: this.escapeHtml(result.data.plantName)
+                        }), 'success');
+                    }
+                } else if (this.isTransient(result)) {
+                    this.scheduleRetry();
+                    break;
+                } else {
+                    await this.remove(entry.id);
+                    // Notifications are markup, and a raw error can quote the model or server
+                    this.showNotification(this.t('queue.failed', {
+                        reason: this.escapeHtml(window.plantApp ? window.plantApp.getFailureGuidance(result).title : result.error)
+                    }), 'error');
+                }
+
+                await this.refreshIndicator();
+            }
+        } catch (error) {
+            console.error('Error processing offline queue:', error);
+        } finally {
+            this.isProcessing = false;
+            await this.refreshIndicator();
+        }
+    }
+
+    /**
+     * Whether a failed result is worth sending again later
+     */
+    isTransient(result) {
+        return window.AIError.RETRYABLE.includes(result.errorKind) ||
+            result.errorKind === window.AIError.KINDS.CIRCUIT_OPEN;
+    }
+
+    /**
+     * Try again after retryDelayMs, unless the browser is offline, in which
+     * case the 'online' event restarts processing
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (navigator.onLine === false) return;
+
+        this.retryTimer = setTimeout(() => this.processQueue(), this.retryDelayMs);
+    }
+
+    /**
+     * Re-count queued entries and update the indicator
+     */
+    async refreshIndicator() {
+        try {
+            this.pendingCount = (await this.getAll()).length;
+        } catch (error) {
+            console.error('Error reading offline queue:', error);
+        }
+
+        this.renderIndicator();
+    }
+
+    /**
+     * Show how many analyses are waiting, hidden when there are none
+     */
+    renderIndicator() {
+        const queueIndicator = document.getElementById('queueIndicator');
+        if (!queueIndicator) return;
+
+        queueIndicator.style.display = this.pendingCount > 0 ? 'inline-flex' : 'none';
+        queueIndicator.textContent = this.t(this.isProcessing ? 'queue.sending' : 'queue.pending', {
+            count: this.pendingCount
+        });
+        queueIndicator.title = this.t(navigator.onLine === false ? 'queue.offlineHint' : 'queue.retryHint');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        // Reuse camera service notification system
+        if (window.cameraService) {
+            if (type === 'success') {
+                window.cameraService.showSuccess(message);
+            } else {
+                window.cameraService.showError(message);
+            }
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.offlineQueue = new OfflineQueue();
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Prompt Library
+ * Holds named, versioned prompt templates and which version each task uses,
+ * and turns them into chat messages. The /api/identify route loads this
+ * file and the templates too, so both sides build the same prompts.
+ */
+class PromptLibrary {
+    constructor() {
+        this.storageKey = 'plantid-prompt-templates';
+        this.tasks = ['identification', 'diagnosis', 'follow-up', 'live'];
+        this.templates = {};
+        // Photo labels as the model reads them
+        this.imageLabels = {
+            habit: 'Whole plant',
+            leaf: 'Leaf',
+            flower: 'Flower',
+            fruit: 'Fruit',
+            bark: 'Bark'
+        };
+        this.active = this.loadActive();
+    }
+
+    /**
+     * Resolve the active template per task ({ task: 'id@version' }):
+     * localStorage override, then page-level window.PLANTID_PROMPTS, then
+     * nothing (each task falls back to its newest template)
+     */
+    loadActive() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (error) {
+            console.error('Error loading prompt template setting:', error);
+        }
+
+        return window.PLANTID_PROMPTS || {};
+    }
+
+    /**
+     * Add one template version. Called by each scripts/prompts file.
+     * template is { id, version, task, description, system, user? } where
+     * system and user may contain {{variable}} placeholders.
+     */
+    register(template) {
+        if (!template.id || !Number.isInteger(template.version) || !this.tasks.includes(template.task)) {
+            throw new Error(`Invalid prompt template: ${template.id}@${template.version}`);
+        }
+
+        this.templates[this.getRef(template)] = template;
+    }
+
+    /**
+     * 'id@version' reference used in settings and on results
+     */
+    getRef(template) {
+        return `${template.id}@${template.version}`;
+    }
+
+    /**
+     * Every template for a task, by id and then newest version first
+     */
+    getTemplates(task) {
+        return Object.values(this.templates)
+            .filter(template => template.task === task)
+            .sort((a, b) => a.id.localeCompare(b.id) || b.version - a.version);
+    }
+
+    /**
+     * The template a task currently uses: the chosen one if it still exists,
+     * otherwise the newest version of the template named after the task
+     */
+    getActive(task) {
+        const chosen = this.templates[this.active[task]];
+        if (chosen && chosen.task === task) return chosen;
+
+        const templates = this.getTemplates(task);
+        return templates.find(template => template.id === task) || templates[0] || null;
+    }
+
+    /**
+     * Choose the template a task uses and remember it
+     */
+    setActive(task, ref) {
+        const template = this.templates[ref];
+        if (!template || template.task !== task) return;
+
+        this.active = { ...this.active, [task]: ref };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.active));
+    }
+
+    /**
+     * Forget any stored choices and return to the defaults
+     */
+    resetActive() {
+        localStorage.removeItem(this.storageKey);
+        this.active = this.loadActive();
+    }
+
+    /**
+     * Whether the template's text depends on a variable
+     */
+    usesVariable(template, name) {
+        const placeholder = `{{${name}}}`;
+        return template.system.includes(placeholder) || Boolean(template.user && template.user.includes(placeholder));
+    }
+
+    /**
+     * Fill a template's {{variables}}, returning { system, user }. A
+     * placeholder without a value is an error rather than literal text in
+     * the prompt.
+     */
+    render(template, variables = {}) {
+        const fill = text => text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+            if (variables[name] === undefined || variables[name] === null) {
+                throw new Error(`Prompt ${this.getRef(template)} has no value for ${placeholder}`);
+            }
+            return String(variables[name]);
+        });
+
+        return {
+            system: fill(template.system),
+            user: template.user ? fill(template.user) : ''
+        };
+    }
+
+    /**
+     * Chat messages for a template: its system prompt, an opening user
+     * message carrying the photos, then turns, the [{ role, content }]
+     * exchange that followed. input is { language, units, images, context,
+     * analysis }: the English name of the answer language, 'metric' or
+     * 'imperial', the photos as [{ label, imageData, originalOf }], the
+     * user's notes and, for follow-ups, the type of the earlier analysis.
+     */
+    buildMessages(template, input, turns = []) {
+        const images = input.images || [];
+        const rendered = this.render(template, {
+            language: input.language,
+            units: input.units === 'imperial'
+                ? 'imperial units (°F, inches, feet, US gallons)'
+                : 'metric units (°C, centimeters, meters, liters)',
+            images: this.describeImages(images),
+            context: input.context || 'none',
+            analysis: input.analysis === 'diagnosis' ? 'health diagnosis' : 'identification'
+        });
+
+        // Follow-ups reopen the conversation the earlier analysis started
+        let opening = rendered.user;
+        if (template.task === 'follow-up') {
+            opening = input.analysis === 'diagnosis'
+                ? 'Please diagnose any health problems with this plant.'
+                : 'Please identify this plant and provide care information.';
+        }
+
+        return [
+            {
+                role: 'system',
+                content: rendered.system
+            },
+            {
+                role: 'user',
+                content: [
+                    {
+                        type: 'text',
+                        text: opening
+                    },
+                    ...images.map(image => ({
+                        type: 'image_url',
+                        image_url: {
+                            url: image.imageData
+                        }
+                    }))
+                ]
+            },
+            ...turns.map(turn => ({ role: turn.role, content: turn.content }))
+        ];
+    }
+
+    /**
+     * Tell the model which organ each attached photo shows, and which
+     * photos are uncropped originals (marked with originalOf, the index of
+     * the cropped photo among the others) sent only as context
+     */
+    describeImages(images) {
+        if (images.length <= 1) return '';
+
+        const photos = images.filter(image => image.originalOf === undefined);
+        const labels = images.map((image, index) => (image.originalOf === undefined
+            ? `photo ${index + 1}: ${(this.imageLabels[image.label] || image.label).toLowerCase()}`
+            : `photo ${index + 1}: uncropped original of photo ${images.indexOf(photos[image.originalOf]) + 1}`));
+
+        if (photos.length === images.length) {
+            return `The ${images.length} attached photos all show the same plant (${labels.join(', ')}). Combine evidence from every photo.`;
+        }
+
+        return `The ${images.length} attached photos show the same plant (${labels.join(', ')}). ` +
+            'Photos with an uncropped original were cropped to the plant the user wants analyzed; use the originals only as context for surroundings, scale and growth habit.' +
+            (photos.length > 1 ? ' Combine evidence from every cropped photo.' : '');
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.promptLibrary = new PromptLibrary();
+}
\ No newline at end of file
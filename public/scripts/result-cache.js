@@ -0,0 +1,240 @@
+/**
+ * Result Cache for Plant Analysis
+ * Remembers earlier results by image fingerprint so repeat photos skip the model call
+ */
+class ResultCache {
+    constructor() {
+        this.storageKey = 'plantid-result-cache';
+        this.maxEntries = 50;
+        this.maxBytes = 1024 * 1024; // Serialized size limit; photos are never stored
+        this.maxAgeMs = 30 * 24 * 60 * 60 * 1000;
+        // Perceptual hashes this many bits apart or closer count as the same photo
+        this.nearDuplicateDistance = 6;
+    }
+
+    /**
+     * Fingerprint an image file: a SHA-256 of its bytes for exact repeats and
+     * a 64-bit difference hash (dHash) for near-duplicates such as burst
+     * shots or re-saved copies. Either part is null if the browser can't
+     * compute it.
+     */
+    async fingerprint(file) {
+        const [sha256, dhash] = await Promise.all([
+            this.contentHash(file).catch(() => null),
+            this.perceptualHash(file).catch(() => null)
+        ]);
+
+        return { sha256, dhash };
+    }
+
+    /**
+     * Hex SHA-256 of the file contents
+     */
+    async contentHash(file) {
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Difference hash: shrink to 9x8 greyscale and record whether each pixel
+     * is brighter than its right-hand neighbour, as 16 hex digits
+     */
+    async perceptualHash(file) {
+        if (typeof createImageBitmap !== 'function') return null;
+
+        const bitmap = await createImageBitmap(file);
+        const hash = this.hashImage(bitmap);
+        if (bitmap.close) bitmap.close();
+
+        return hash;
+    }
+
+    /**
+     * Difference hash of anything drawImage accepts, such as a playing
+     * video; null if the canvas can't be read
+     */
+    hashImage(source) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+
+        const context = canvas.getContext('2d');
+        if (!context) return null;
+
+        context.drawImage(source, 0, 0, 9, 8);
+
+        const pixels = context.getImageData(0, 0, 9, 8).data;
+        const grey = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+            grey.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+        }
+
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let nibble = 0;
+            for (let col = 0; col < 8; col++) {
+                nibble = (nibble << 1) | (grey[row * 9 + col] > grey[row * 9 + col + 1] ? 1 : 0);
+                if (col % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+
+        return hash;
+    }
+
+    /**
+     * Number of differing bits between two hex hashes of equal length
+     */
+    hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * Whether two fingerprints show the same photo
+     */
+    isSameImage(a, b) {
+        if (a.sha256 && a.sha256 === b.sha256) return true;
+        return Boolean(a.dhash && b.dhash && this.hammingDistance(a.dhash, b.dhash) <= this.nearDuplicateDistance);
+    }
+
+    /**
+     * Whether an entry was made for the same key
+     * ({ type, prompt, language, units, context }) and photos
+     * ([{ label, sha256, dhash }] in upload order). Entries saved before
+     * prompts were versioned never match.
+     */
+    matches(entry, key, fingerprints) {
+        return entry.type === key.type &&
+            entry.prompt === key.prompt &&
+            entry.language === key.language &&
+            (entry.units || null) === (key.units || null) &&
+            entry.context === key.context &&
+            entry.fingerprints.length === fingerprints.length &&
+            entry.fingerprints.every((fingerprint, index) =>
+                fingerprint.label === fingerprints[index].label &&
+                this.isSameImage(fingerprint, fingerprints[index])
+            );
+    }
+
+    /**
+     * Find a cached result for these photos. Marks the entry as used.
+     */
+    lookup(key, fingerprints) {
+        const entries = this.getEntries();
+        const entry = entries.find(candidate => this.matches(candidate, key, fingerprints));
+
+        if (!entry) return null;
+
+        entry.lastUsedAt = Date.now();
+        this.saveEntries(entries);
+
+        return entry;
+    }
+
+    /**
+     * Remember a successful result's data for these photos. Returns the new
+     * entry's id, or null when the photos can't be matched later.
+     */
+    store(key, fingerprints, data) {
+        // Nothing to match a later photo against
+        if (!fingerprints.every(fingerprint => fingerprint.sha256 || fingerprint.dhash)) return null;
+
+        const now = Date.now();
+        const id = now.toString(36) + Math.random().toString(36).substr(2);
+        const entries = this.getEntries().filter(entry => !this.matches(entry, key, fingerprints));
+
+        entries.unshift({
+            id,
+            type: key.type,
+            prompt: key.prompt,
+            language: key.language,
+            units: key.units || null,
+            context: key.context,
+            fingerprints,
+            data,
+            createdAt: now,
+            lastUsedAt: now
+        });
+
+        this.saveEntries(entries);
+
+        return id;
+    }
+
+    /**
+     * Get cached entries from localStorage, dropping any that have expired
+     */
+    getEntries() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const entries = stored ? JSON.parse(stored) : [];
+            const cutoff = Date.now() - this.maxAgeMs;
+            return entries.filter(entry => entry.createdAt >= cutoff);
+        } catch (error) {
+            console.error('Error loading result cache:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save entries, evicting the least recently used until both the entry
+     * count and the size limit are met
+     */
+    saveEntries(entries) {
+        const kept = entries
+            .slice()
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+            .slice(0, this.maxEntries);
+
+        let serialized = JSON.stringify(kept);
+        while (kept.length > 0 && serialized.length > this.maxBytes) {
+            kept.pop();
+            serialized = JSON.stringify(kept);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, serialized);
+        } catch (error) {
+            // Storage is full; the cache is the first thing to give up space
+            console.warn('Result cache could not be saved, clearing it:', error);
+            this.clear();
+        }
+    }
+
+    /**
+     * Drop every cached result
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Entry count and approximate storage used, for display
+     */
+    getStats() {
+        const stored = localStorage.getItem(this.storageKey) || '';
+        return {
+            entries: this.getEntries().length,
+            bytes: stored.length
+        };
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.resultCache = new ResultCache();
+}
\ No newline at end of file
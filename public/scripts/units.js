@@ -0,0 +1,122 @@
+/**
+ * Units Service
+ * Holds the metric/imperial preference and formats numeric care parameters
+ */
+class UnitsService {
+    constructor() {
+        this.storageKey = 'plantid-units';
+        this.systems = ['metric', 'imperial'];
+        // Regions that still use Fahrenheit for everyday temperatures
+        this.imperialRegions = ['US', 'LR', 'MM'];
+        this.system = this.loadSystem();
+    }
+
+    /**
+     * Stored choice, otherwise guessed from the browser's region
+     */
+    loadSystem() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored && this.systems.includes(stored)) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading units setting:', error);
+        }
+
+        const region = (navigator.language || '').split('-')[1] || '';
+        return this.imperialRegions.includes(region.toUpperCase()) ? 'imperial' : 'metric';
+    }
+
+    /**
+     * Switch unit system, remember it and notify the rest of the app with a
+     * 'unitschanged' event on document
+     */
+    setSystem(system) {
+        if (!this.systems.includes(system) || system === this.system) return;
+
+        this.system = system;
+        localStorage.setItem(this.storageKey, system);
+
+        document.dispatchEvent(new CustomEvent('unitschanged', { detail: { system } }));
+    }
+
+    /**
+     * "min–max" with locale number formatting, or a single value when both
+     * ends are equal
+     */
+    formatRange(min, max, fractionDigits = 0) {
+        const format = value => new Intl.NumberFormat(window.i18n.getLocale(), {
+            maximumFractionDigits: fractionDigits
+        }).format(value);
+
+        return min === max ? format(min) : `${format(min)}–${format(max)}`;
+    }
+
+    /**
+     * Temperature range given in °C, shown in the preferred system
+     */
+    formatTemperature({ min, max }) {
+        if (this.system === 'imperial') {
+            const toFahrenheit = celsius => Math.round(celsius * 9 / 5 + 32);
+            return `${this.formatRange(toFahrenheit(min), toFahrenheit(max))} °F`;
+        }
+
+        return `${this.formatRange(min, max)} °C`;
+    }
+
+    /**
+     * Humidity range in percent
+     */
+    formatHumidity({ min, max }) {
+        return window.i18n.t('units.percent', { value: this.formatRange(min, max) });
+    }
+
+    /**
+     * Interval range in days, e.g. "Every 7–10 days"
+     */
+    formatInterval({ min, max }) {
+        return window.i18n.t('units.everyDays', { count: max, range: this.formatRange(min, max) });
+    }
+
+    /**
+     * Length given in cm, shown in cm or inches
+     */
+    formatLength(centimeters) {
+        if (this.system === 'imperial') {
+            return `${this.formatRange(centimeters / 2.54, centimeters / 2.54)} in`;
+        }
+
+        return `${this.formatRange(centimeters, centimeters)} cm`;
+    }
+
+    /**
+     * Display rows for whichever care parameters are present, as
+     * [{ key, label, value }] in a fixed order
+     */
+    describeCareParameters(parameters) {
+        if (!parameters) return [];
+
+        const t = (key, params) => window.i18n.t(key, params);
+        const formatters = {
+            lightLevel: level => t(`lightLevel.${level}`),
+            temperatureC: range => this.formatTemperature(range),
+            humidityPercent: range => this.formatHumidity(range),
+            wateringIntervalDays: range => this.formatInterval(range),
+            fertilizingIntervalDays: range => this.formatInterval(range)
+        };
+
+        return Object.keys(formatters)
+            .filter(key => parameters[key] !== undefined && parameters[key] !== null)
+            .map(key => ({
+                key,
+                label: t(`careParameters.${key}`),
+                value: formatters[key](parameters[key])
+            }));
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.unitsService = new UnitsService();
+}
\ No newline at end of file
@@ -0,0 +1,386 @@
+/**
+ * Usage Service for AI Calls
+ * Keeps a rolling local ledger of token counts, latency and estimated cost,
+ * and shows daily and monthly totals
+ */
+class UsageService {
+    constructor() {
+        this.storageKey = 'plantid-usage-ledger';
+        this.pricesStorageKey = 'plantid-ai-prices';
+        this.maxEntries = 5000;
+        this.maxAgeMs = 400 * 24 * 60 * 60 * 1000; // a full year of monthly totals
+        this.currency = 'USD';
+        // USD per million tokens. Models are matched exactly, then by the
+        // longest key contained in the model name.
+        this.defaultPrices = {
+            'claude-sonnet-4': { input: 3, output: 15 },
+            'claude-3-5-haiku': { input: 0.8, output: 4 },
+            'gpt-4o': { input: 2.5, output: 10 },
+            'gpt-4o-mini': { input: 0.15, output: 0.6 },
+            'gpt-4.1': { input: 2, output: 8 },
+            'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+            'mock-botanist': { input: 0, output: 0 }
+        };
+        this.prices = this.loadPrices();
+    }
+
+    /**
+     * Initialize usage view
+     */
+    init() {
+        this.setupEventListeners();
+        this.displayUsage();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const clearUsageBtn = document.getElementById('clearUsageBtn');
+
+        if (clearUsageBtn) {
+            clearUsageBtn.addEventListener('click', () => {
+                this.confirmClearLedger();
+            });
+        }
+
+        document.addEventListener('languagechanged', () => this.displayUsage());
+    }
+
+    /**
+     * Resolve the price table: localStorage override, then page-level
+     * window.PLANTID_AI_PRICES, then the built-in defaults. Tables that
+     * don't pass isValidPriceTable are skipped.
+     */
+    loadPrices() {
+        try {
+            const stored = localStorage.getItem(this.pricesStorageKey);
+            if (stored) {
+                const prices = JSON.parse(stored);
+                if (this.isValidPriceTable(prices)) {
+                    return prices;
+                }
+                console.warn('Ignoring invalid stored AI price table:', prices);
+            }
+        } catch (error) {
+            console.error('Error loading AI price table:', error);
+        }
+
+        if (this.isValidPriceTable(window.PLANTID_AI_PRICES)) {
+            return window.PLANTID_AI_PRICES;
+        }
+
+        return this.defaultPrices;
+    }
+
+    /**
+     * Whether every model in a price table has finite, non-negative input
+     * and output prices
+     */
+    isValidPriceTable(prices) {
+        if (!prices || typeof prices !== 'object' || Array.isArray(prices)) return false;
+
+        const isPrice = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        return Object.values(prices).every(price => price !== null && typeof price === 'object' &&
+            isPrice(price.input) && isPrice(price.output));
+    }
+
+    /**
+     * Replace the price table ({ model: { input, output } } in USD per
+     * million tokens) and remember it. Throws if the table is malformed.
+     */
+    setPrices(prices) {
+        if (!this.isValidPriceTable(prices)) {
+            throw new TypeError('Prices must be { model: { input, output } } with non-negative numbers');
+        }
+
+        this.prices = prices;
+        localStorage.setItem(this.pricesStorageKey, JSON.stringify(prices));
+        this.displayUsage();
+    }
+
+    /**
+     * Forget any stored price table and return to the default
+     */
+    resetPrices() {
+        localStorage.removeItem(this.pricesStorageKey);
+        this.prices = this.loadPrices();
+        this.displayUsage();
+    }
+
+    /**
+     * Price entry for a model name, or null when it has none
+     */
+    getPrice(model) {
+        if (!model) return null;
+        if (this.prices[model]) return this.prices[model];
+
+        const key = Object.keys(this.prices)
+            .filter(candidate => model.includes(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return key ? this.prices[key] : null;
+    }
+
+    /**
+     * Estimated cost in USD of one call, or null for unpriced models
+     */
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        if (!price) return null;
+
+        return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Build and store a ledger record for one completed provider call.
+     * usage is the provider's { prompt_tokens, completion_tokens, total_tokens },
+     * or null when it reported none; prompt is the template's { id, version }.
+     */
+    record({ purpose, prompt, model, usage, latencyMs }) {
+        const promptTokens = (usage && Number(usage.prompt_tokens)) || 0;
+        const completionTokens = (usage && Number(usage.completion_tokens)) || 0;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            purpose,
+            prompt: prompt || null,
+            model: model || '',
+            promptTokens,
+            completionTokens,
+            totalTokens: (usage && Number(usage.total_tokens)) || promptTokens + completionTokens,
+            latencyMs: Math.round(latencyMs),
+            cost: this.estimateCost(model, promptTokens, completionTokens),
+            reported: Boolean(usage)
+        };
+
+        try {
+            const ledger = this.getLedger();
+            ledger.push(entry);
+            this.saveLedger(ledger);
+        } catch (error) {
+            console.error('Error saving usage record:', error);
+        }
+
+        this.displayUsage();
+
+        return entry;
+    }
+
+    /**
+     * Combine the records of one analysis (first call plus any repairs) into
+     * the summary kept on its result and history item
+     */
+    summarize(entries) {
+        if (!entries || entries.length === 0) return null;
+
+        const sum = key => entries.reduce((total, entry) => total + entry[key], 0);
+
+        return {
+            requests: entries.length,
+            model: entries[entries.length - 1].model,
+            promptTokens: sum('promptTokens'),
+            completionTokens: sum('completionTokens'),
+            totalTokens: sum('totalTokens'),
+            latencyMs: sum('latencyMs'),
+            cost: entries.some(entry => entry.cost === null) ? null : sum('cost')
+        };
+    }
+
+    /**
+     * Get ledger records from localStorage, dropping any past the retention window
+     */
+    getLedger() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const ledger = stored ? JSON.parse(stored) : [];
+            const cutoff = Date.now() - this.maxAgeMs;
+            return ledger.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+        } catch (error) {
+            console.error('Error loading usage ledger:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the ledger, keeping only the newest maxEntries records
+     */
+    saveLedger(ledger) {
+        localStorage.setItem(this.storageKey, JSON.stringify(ledger.slice(-this.maxEntries)));
+    }
+
+    /**
+     * Totals per local calendar day ('day') or month ('month'), newest first.
+     * cost only covers priced calls; unpricedRequests counts the rest.
+     */
+    getTotals(period) {
+        const groups = new Map();
+
+        this.getLedger().forEach(entry => {
+            const date = new Date(entry.timestamp);
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const key = period === 'month'
+                ? `${date.getFullYear()}-${month}`
+                : `${date.getFullYear()}-${month}-${String(date.getDate()).padStart(2, '0')}`;
+
+            const totals = groups.get(key) || {
+                period: key,
+                requests: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0,
+                latencyMs: 0,
+                cost: 0,
+                unpricedRequests: 0
+            };
+
+            totals.requests += 1;
+            totals.promptTokens += entry.promptTokens;
+            totals.completionTokens += entry.completionTokens;
+            totals.totalTokens += entry.totalTokens;
+            totals.latencyMs += entry.latencyMs;
+            if (entry.cost === null) {
+                totals.unpricedRequests += 1;
+            } else {
+                totals.cost += entry.cost;
+            }
+
+            groups.set(key, totals);
+        });
+
+        return Array.from(groups.values()).sort((a, b) => b.period.localeCompare(a.period));
+    }
+
+    /**
+     * Display daily and monthly totals
+     */
+    displayUsage() {
+        const usageContent = document.getElementById('usageContent');
+        const emptyUsage = document.getElementById('emptyUsage');
+
+        if (!usageContent || !emptyUsage) return;
+
+        const monthly = this.getTotals('month');
+
+        if (monthly.length === 0) {
+            usageContent.style.display = 'none';
+            emptyUsage.style.display = 'block';
+            return;
+        }
+
+        usageContent.style.display = 'block';
+        emptyUsage.style.display = 'none';
+
+        usageContent.innerHTML = `
+            <h3>${this.t('usage.monthly')}</h3>
+            ${this.renderTotalsTable(monthly, 'month')}
+            <h3>${this.t('usage.daily')}</h3>
+            ${this.renderTotalsTable(this.getTotals('day').slice(0, 31), 'day')}
+        `;
+    }
+
+    /**
+     * Render one table of period totals
+     */
+    renderTotalsTable(rows, period) {
+        return `
+            <div class="usage-table-wrapper">
+                <table class="usage-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t(period === 'month' ? 'usage.month' : 'usage.day')}</th>
+                            <th>${this.t('usage.requests')}</th>
+                            <th>${this.t('usage.inputTokens')}</th>
+                            <th>${this.t('usage.outputTokens')}</th>
+                            <th>${this.t('usage.averageLatency')}</th>
+                            <th>${this.t('usage.cost')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                        <tr>
+                            <td>${this.formatPeriod(row.period, period)}</td>
+                            <td>${this.formatNumber(row.requests)}</td>
+                            <td>${this.formatNumber(row.promptTokens)}</td>
+                            <td>${this.formatNumber(row.completionTokens)}</td>
+                            <td>${this.formatLatency(row.latencyMs / row.requests)}</td>
+                            <td>
+                                ${this.formatCost(row.cost)}
+                                ${row.unpricedRequests > 0 ? `<span class="usage-unpriced">${this.t('usage.unpriced', { count: row.unpricedRequests })}</span>` : ''}
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Confirm and clear the ledger
+     */
+    confirmClearLedger() {
+        if (!confirm(this.t('usage.confirmClear'))) {
+            return;
+        }
+
+        localStorage.removeItem(this.storageKey);
+        this.displayUsage();
+    }
+
+    // Utility methods
+
+    /**
+     * Label a 'YYYY-MM' or 'YYYY-MM-DD' period key in the current language
+     */
+    formatPeriod(key, period) {
+        const [year, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day || 1);
+
+        return period === 'month'
+            ? window.i18n.formatDate(date, { year: 'numeric', month: 'long' })
+            : window.i18n.formatDate(date, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Format an integer for the current language
+     */
+    formatNumber(value) {
+        return new Intl.NumberFormat(window.i18n.getLocale()).format(value);
+    }
+
+    /**
+     * Format milliseconds as seconds
+     */
+    formatLatency(ms) {
+        return this.t('usage.seconds', {
+            value: new Intl.NumberFormat(window.i18n.getLocale(), { maximumFractionDigits: 1 }).format(ms / 1000)
+        });
+    }
+
+    /**
+     * Format an estimated cost, keeping sub-cent amounts visible
+     */
+    formatCost(cost) {
+        if (cost === null || cost === undefined) return this.t('usage.unknownCost');
+
+        return new Intl.NumberFormat(window.i18n.getLocale(), {
+            style: 'currency',
+            currency: this.currency,
+            maximumFractionDigits: cost > 0 && cost < 0.01 ? 4 : 2
+        }).format(cost);
+    }
+
+    /**
+     * Translate a UI string in the current language
+     */
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.usageService = new UsageService();
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { NextResponse } from "next/server"
+
+import { parseIdentifyRequest, RequestError, type IdentifyRequest } from "@/lib/identify-request"
+
+export const runtime = "nodejs"
+
+const DEFAULT_ENDPOINT = "https://oi-server.onrender.com/chat/completions"
+const DEFAULT_MODEL = "openrouter/claude-sonnet-4"
+const DEFAULT_TIMEOUT_MS = 120_000
+
+type Envelope =
+  | { success: true; data: { content: string; usage: unknown; model: string } }
+  | { success: false; error: string }
+
+function fail(error: string, status: number, headers?: HeadersInit) {
+  return NextResponse.json<Envelope>({ success: false, error }, { status, headers })
+}
+
+/**
+ * Status to report for a failed upstream call. Auth, rate-limit and timeout
+ * failures keep their meaning so the browser can react to each; anything
+ * else is a bad gateway.
+ */
+function upstreamFailureStatus(status: number) {
+  if ([401, 403, 429].includes(status)) return status
+  if (status === 408 || status === 504) return 504
+  return 502
+}
+
+function getUpstreamConfig() {
+  const headers: Record<string, string> = { "Content-Type": "application/json" }
+
+  if (process.env.PLANTID_AI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.PLANTID_AI_API_KEY}`
+  }
+  if (process.env.PLANTID_AI_CUSTOMER_ID) {
+    headers.CustomerId = process.env.PLANTID_AI_CUSTOMER_ID
+  }
+
+  return {
+    endpoint: process.env.PLANTID_AI_ENDPOINT || DEFAULT_ENDPOINT,
+    model: process.env.PLANTID_AI_MODEL || DEFAULT_MODEL,
+    timeoutMs: Number(process.env.PLANTID_AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    headers,
+  }
+}
+
+/**
+ * Run one of the app's tasks against the configured model endpoint,
+ * keeping the upstream credentials on the server. The request names the
+ * task and its photos and context; the prompt is built here from the app's
+ * templates, so the route can't be used for arbitrary completions. With
+ * `stream: true` the upstream server-sent events are piped straight back
+ * to the client.
+ */
+export async function POST(req: Request) {
+  let request: IdentifyRequest
+  try {
+    request = parseIdentifyRequest(await req.json())
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return fail(error.message, error.status)
+    }
+    return fail("Request body must be valid JSON", 400)
+  }
+
+  const upstream = getUpstreamConfig()
+
+  // The timeout covers waiting for the model to start answering, not a long stream
+  const controller = new AbortController()
+  const timeoutId = setTimeout(
+    () => controller.abort(new DOMException("Upstream did not answer in time", "TimeoutError")),
+    upstream.timeoutMs
+  )
+  // Stop paying for an answer nobody is waiting for
+  req.signal.addEventListener("abort", () => controller.abort(), { once: true })
+
+  let response: Response
+  try {
+    response = await fetch(upstream.endpoint, {
+      method: "POST",
+      headers: upstream.headers,
+      body: JSON.stringify({
+        model: upstream.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        stream: request.stream,
+        // Streams only report token usage in a final chunk when asked to
+        ...(request.stream ? { stream_options: { include_usage: true } } : {}),
+      }),
+      signal: controller.signal,
+    })
+  } catch (error) {
+    clearTimeout(timeoutId)
+    if (error instanceof Error && error.name === "TimeoutError") {
+      return fail("Request timeout - plant analysis took too long", 504)
+    }
+    console.error("Identify proxy upstream error:", error)
+    return fail("Could not reach the identification service", 502)
+  }
+
+  if (!response.ok) {
+    clearTimeout(timeoutId)
+    const retryAfter = response.headers.get("Retry-After")
+    return fail(
+      `API request failed: ${response.status} ${response.statusText}`,
+      upstreamFailureStatus(response.status),
+      retryAfter ? { "Retry-After": retryAfter } : undefined
+    )
+  }
+
+  // Streamed completions are relayed as-is; the browser parses the SSE chunks
+  if (request.stream && response.body) {
+    clearTimeout(timeoutId)
+    // Anything but an event stream (an HTML error page, a JSON body) would be unreadable as SSE
+    if (!response.headers.get("content-type")?.toLowerCase().startsWith("text/event-stream")) {
+      await response.body.cancel().catch(() => undefined)
+      return fail("Invalid API response structure: expected an event stream", 502)
+    }
+    return new Response(response.body, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+      },
+    })
+  }
+
+  const data = await response.json().catch(() => null)
+  clearTimeout(timeoutId)
+  if (controller.signal.aborted) {
+    return fail("Request timeout - plant analysis took too long", 504)
+  }
+
+  const message = data?.choices?.[0]?.message
+  if (!message || typeof message.content !== "string") {
+    return fail("Invalid API response structure", 502)
+  }
+
+  return NextResponse.json<Envelope>({
+    success: true,
+    data: {
+      content: message.content,
+      usage: data.usage ?? null,
+      model: data.model ?? upstream.model,
+    },
+  })
+}
+
+/**
+ * Lightweight health check used by AIService.testConnection().
+ */
+export async function GET() {
+  const upstream = getUpstreamConfig()
+  return NextResponse.json({
+    success: true,
+    data: { model: upstream.model, configured: Boolean(process.env.PLANTID_AI_API_KEY) },
+  })
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server"
+
+import { formatIssues, isResponseSchemaName, responseSchemas } from "@/lib/plant-schema"
+
+type Envelope =
+  | { success: true; data: { valid: true; value: unknown } | { valid: false; issues: string[] } }
+  | { success: false; error: string }
+
+/**
+ * Validate parsed model output against one of the named response schemas.
+ * The browser scripts are not bundled, so this is how they reach zod.
+ */
+export async function POST(req: Request) {
+  const body: { schema?: unknown; value?: unknown } | null = await req.json().catch(() => null)
+  const schema = body?.schema
+
+  if (!body || !isResponseSchemaName(schema)) {
+    return NextResponse.json<Envelope>(
+      { success: false, error: `Unknown schema. Expected one of: ${Object.keys(responseSchemas).join(", ")}` },
+      { status: 400 }
+    )
+  }
+
+  const result = responseSchemas[schema].safeParse(body.value)
+
+  return NextResponse.json<Envelope>({
+    success: true,
+    data: result.success
+      ? { valid: true, value: result.data }
+      : { valid: false, issues: formatIssues(result.error) },
+  })
+}
@@ -0,0 +1,217 @@
+import fs from "node:fs"
+import path from "node:path"
+import vm from "node:vm"
+
+import { z } from "zod"
+
+import { formatIssues } from "./plant-schema"
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024
+const MAX_IMAGES = 5
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp"]
+const MAX_CONTEXT_LENGTH = 4000
+const MAX_TURNS = 40
+const MAX_TURN_LENGTH = 20_000
+
+const tasks = ["identification", "diagnosis", "follow-up", "live"] as const
+
+type Task = (typeof tasks)[number]
+
+/**
+ * Sampling per task. The browser's values are not trusted, so a request
+ * can't buy itself a longer answer than its task needs.
+ */
+const TASK_SETTINGS: Record<Task, { temperature: number; maxTokens: number }> = {
+  identification: { temperature: 0.3, maxTokens: 2000 },
+  diagnosis: { temperature: 0.3, maxTokens: 2000 },
+  "follow-up": { temperature: 0.5, maxTokens: 800 },
+  live: { temperature: 0.2, maxTokens: 150 },
+}
+
+type ContentPart =
+  | { type: "text"; text: string }
+  | { type: "image_url"; image_url: { url: string } }
+
+type ChatMessage = {
+  role: "system" | "user" | "assistant"
+  content: string | ContentPart[]
+}
+
+/**
+ * What the app sends: the task and its inputs. The system prompt and the
+ * opening message are built here, so the only free text is the user's
+ * context and the user and assistant turns of a follow-up or repair.
+ */
+const identifyRequestSchema = z
+  .object({
+    task: z.enum(tasks),
+    prompt: z.object({ id: z.string().min(1), version: z.number().int() }).strict().optional(),
+    language: z.string().regex(/^[a-z]{2,3}$/),
+    units: z.enum(["metric", "imperial"]),
+    images: z.array(
+      z
+        .object({
+          label: z.string(),
+          imageData: z.string(),
+          originalOf: z.number().int().min(0).optional(),
+        })
+        .strict()
+    ),
+    context: z.string().max(MAX_CONTEXT_LENGTH).default(""),
+    analysis: z.enum(["identification", "diagnosis"]).nullable().optional(),
+    turns: z
+      .array(
+        z
+          .object({
+            role: z.enum(["user", "assistant"]),
+            content: z.string().max(MAX_TURN_LENGTH),
+          })
+          .strict()
+      )
+      .max(MAX_TURNS)
+      .default([]),
+    stream: z.boolean().optional(),
+  })
+  .strict()
+
+type AppRequest = z.infer<typeof identifyRequestSchema>
+
+export type IdentifyRequest = {
+  messages: ChatMessage[]
+  temperature: number
+  maxTokens: number
+  stream: boolean
+}
+
+type PromptTemplate = { id: string; version: number; task: Task }
+
+type PromptLibrary = {
+  templates: Record<string, PromptTemplate>
+  imageLabels: Record<string, string>
+  getActive(task: Task): PromptTemplate | null
+  buildMessages(
+    template: PromptTemplate,
+    input: Pick<AppRequest, "units" | "images" | "context" | "analysis"> & { language: string },
+    turns: AppRequest["turns"]
+  ): ChatMessage[]
+}
+
+export class RequestError extends Error {
+  constructor(
+    message: string,
+    public status: number
+  ) {
+    super(message)
+  }
+}
+
+let promptLibrary: PromptLibrary | null = null
+
+/**
+ * The browser's prompt library with every template in
+ * public/scripts/prompts registered, so the server builds exactly the
+ * prompts the app shows and records. Nothing is stored on the server, so
+ * a request without a prompt gets its task's newest template.
+ */
+function loadPromptLibrary(): PromptLibrary {
+  if (promptLibrary) return promptLibrary
+
+  const scriptsDir = path.join(process.cwd(), "public", "scripts")
+  const templates = fs
+    .readdirSync(path.join(scriptsDir, "prompts"))
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => path.join("prompts", file))
+
+  const context = vm.createContext({ console, localStorage: { getItem: () => null } })
+  context.window = context
+
+  for (const file of ["prompt-library.js", ...templates]) {
+    const filename = path.join(scriptsDir, file)
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename })
+  }
+
+  promptLibrary = context.promptLibrary as PromptLibrary
+  return promptLibrary
+}
+
+/**
+ * Check a data: URL image against the allowed types and size limit.
+ */
+function validateImage(url: string) {
+  const match = /^data:([^;,]+);base64,([\s\S]*)$/.exec(url)
+  if (!match) {
+    throw new RequestError("Images must be sent as base64 data URLs", 400)
+  }
+
+  const [, mimeType, base64] = match
+  if (!ALLOWED_IMAGE_TYPES.includes(mimeType.toLowerCase())) {
+    throw new RequestError(`Unsupported image type: ${mimeType}`, 415)
+  }
+
+  const padding = base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0
+  const bytes = (base64.length * 3) / 4 - padding
+  if (bytes > MAX_IMAGE_BYTES) {
+    throw new RequestError("Image is too large. Please send an image smaller than 10MB.", 413)
+  }
+}
+
+/**
+ * English name of a language code, as the prompts name the answer language.
+ */
+function languageName(code: string) {
+  const name = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" }).of(code)
+  if (!name) {
+    throw new RequestError(`Unsupported language: ${code}`, 400)
+  }
+  return name
+}
+
+/**
+ * Validate an /api/identify request body and build the chat completion
+ * it asks for. Throws a RequestError with the status to answer with.
+ */
+export function parseIdentifyRequest(body: unknown): IdentifyRequest {
+  const parsed = identifyRequestSchema.safeParse(body)
+  if (!parsed.success) {
+    throw new RequestError(`Invalid request: ${formatIssues(parsed.error).join("; ")}`, 400)
+  }
+
+  const request = parsed.data
+  const library = loadPromptLibrary()
+
+  if (request.images.length > MAX_IMAGES) {
+    throw new RequestError(`Too many images. Please send at most ${MAX_IMAGES} per request.`, 413)
+  }
+
+  for (const image of request.images) {
+    if (!Object.prototype.hasOwnProperty.call(library.imageLabels, image.label)) {
+      throw new RequestError(`Unknown photo label: ${image.label}`, 400)
+    }
+    if (image.originalOf !== undefined && image.originalOf >= request.images.length) {
+      throw new RequestError("originalOf must point at another photo in the request", 400)
+    }
+    validateImage(image.imageData)
+  }
+
+  const template = request.prompt
+    ? library.templates[`${request.prompt.id}@${request.prompt.version}`]
+    : library.getActive(request.task)
+  if (!template || template.task !== request.task) {
+    throw new RequestError(`Unknown ${request.task} prompt`, 400)
+  }
+
+  const messages = library.buildMessages(
+    template,
+    {
+      language: languageName(request.language),
+      units: request.units,
+      images: request.images,
+      context: request.context,
+      analysis: request.analysis,
+    },
+    request.turns
+  )
+
+  return { messages, ...TASK_SETTINGS[request.task], stream: Boolean(request.stream) }
+}
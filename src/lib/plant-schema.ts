@@ -0,0 +1,147 @@
+import { z } from "zod"
+
+const text = z.string().trim().min(1)
+
+export const careInstructionsSchema = z.object({
+  light: text,
+  water: text,
+  soil: text,
+  temperature: text,
+  humidity: text,
+  fertilizer: text,
+  propagation: text,
+  commonIssues: text,
+})
+
+export const lightLevels = ["low", "medium", "bright_indirect", "direct"] as const
+
+/**
+ * Inclusive numeric range with both ends inside [lowest, highest].
+ */
+const range = (lowest: number, highest: number) =>
+  z
+    .object({
+      min: z.number().min(lowest).max(highest),
+      max: z.number().min(lowest).max(highest),
+    })
+    .refine((value) => value.min <= value.max, { message: "min must not be greater than max" })
+
+/**
+ * Machine-readable counterparts of the care prose, in fixed units:
+ * temperatures in °C, humidity in percent, intervals in days.
+ */
+export const careParametersSchema = z.object({
+  temperatureC: range(-50, 60),
+  humidityPercent: range(0, 100),
+  wateringIntervalDays: range(1, 365),
+  lightLevel: z.enum(lightLevels),
+  fertilizingIntervalDays: range(1, 365),
+})
+
+export type CareParameters = z.infer<typeof careParametersSchema>
+
+export const characteristicsSchema = z.object({
+  size: text,
+  growth: text,
+  blooming: text,
+  toxicity: text,
+  difficulty: text,
+})
+
+export const seasonalCareSchema = z.object({
+  spring: text,
+  summer: text,
+  fall: text,
+  winter: text,
+})
+
+export const alternativeSchema = z.object({
+  plantName: text,
+  scientificName: text,
+  family: text.optional(),
+  confidence: z.number().min(0).max(100),
+  distinguishingFeatures: text,
+})
+
+/**
+ * Shape the model is prompted to return from an identification request.
+ */
+export const identificationSchema = z.object({
+  plantName: text,
+  scientificName: text,
+  family: text,
+  confidence: z.number().min(0).max(100),
+  description: text,
+  careInstructions: careInstructionsSchema,
+  careParameters: careParametersSchema,
+  characteristics: characteristicsSchema,
+  seasonalCare: seasonalCareSchema,
+  tips: z.array(text).min(1),
+  alternatives: z.array(alternativeSchema).max(4).default([]),
+})
+
+export type Identification = z.infer<typeof identificationSchema>
+
+export const diagnosisSeverities = ["healthy", "mild", "moderate", "severe", "critical"] as const
+export const causeTypes = ["pest", "disease", "deficiency", "environmental", "other"] as const
+
+/**
+ * Shape the model is prompted to return from a health diagnosis request.
+ */
+export const diagnosisSchema = z.object({
+  plantName: text,
+  summary: text,
+  severity: z.enum(diagnosisSeverities),
+  symptoms: z.array(
+    z.object({
+      symptom: text,
+      location: text.optional(),
+    })
+  ),
+  causes: z.array(
+    z.object({
+      name: text,
+      type: z.enum(causeTypes),
+      probability: z.number().min(0).max(100),
+      evidence: text,
+    })
+  ),
+  treatment: z.array(text),
+  prevention: z.array(text).min(1),
+})
+
+export type Diagnosis = z.infer<typeof diagnosisSchema>
+
+/**
+ * Shape of the short best guess returned for a live camera frame.
+ */
+export const liveIdentificationSchema = z.object({
+  plantName: text,
+  scientificName: text,
+  confidence: z.number().min(0).max(100),
+})
+
+export type LiveIdentification = z.infer<typeof liveIdentificationSchema>
+
+/**
+ * Schemas the browser can validate model output against, by name.
+ */
+export const responseSchemas = {
+  identification: identificationSchema,
+  diagnosis: diagnosisSchema,
+  live: liveIdentificationSchema,
+} as const
+
+export type ResponseSchemaName = keyof typeof responseSchemas
+
+export function isResponseSchemaName(name: unknown): name is ResponseSchemaName {
+  return typeof name === "string" && Object.prototype.hasOwnProperty.call(responseSchemas, name)
+}
+
+/**
+ * Flatten zod issues into "path: message" lines short enough to feed back
+ * to the model in a repair prompt.
+ */
+export function formatIssues(error: z.ZodError): string[] {
+  return error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+}
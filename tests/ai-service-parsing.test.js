@@ -0,0 +1,170 @@
+/**
+ * AIService text scraping and response normalization
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createBrowser, loadFixture, toPlain } = require('./support/browser-harness');
+
+const { aiService } = createBrowser();
+
+test('extractValue', async (t) => {
+    await t.test('prefers a labeled line over the keyword inside a sentence', () => {
+        const text = 'Water once the top of the soil is dry.\nSoil: Chunky aroid mix';
+        assert.equal(aiService.extractValue(text, ['soil']), 'Chunky aroid mix');
+    });
+
+    await t.test('allows list and bold markers around the label', () => {
+        assert.equal(aiService.extractValue('- **Family:** Araceae', ['family']), 'Araceae');
+    });
+
+    await t.test('tries keywords in order', () => {
+        const text = 'Common name: Swiss Cheese Plant\nLatin name: Monstera deliciosa';
+        assert.equal(aiService.extractValue(text, ['plant name', 'common name', 'name']), 'Swiss Cheese Plant');
+    });
+
+    await t.test('falls back to the keyword anywhere, up to the end of the sentence', () => {
+        assert.equal(aiService.extractValue('It belongs to the family Araceae. It climbs.', ['family']), 'Araceae');
+    });
+
+    await t.test('returns null when no keyword appears', () => {
+        assert.equal(aiService.extractValue('A green plant', ['family']), null);
+    });
+});
+
+test('extractConfidence', async (t) => {
+    await t.test('reads a labeled score', () => {
+        assert.equal(aiService.extractConfidence('Confidence: 72'), 72);
+    });
+
+    await t.test('falls back to the first percentage', () => {
+        assert.equal(aiService.extractConfidence('I am about 80% sure this is a pothos'), 80);
+    });
+
+    await t.test('returns null without a number', () => {
+        assert.equal(aiService.extractConfidence('Confidence: high'), null);
+    });
+});
+
+test('extractDescription', async (t) => {
+    await t.test('reads a description line whole', () => {
+        const text = 'Plant name: Pothos\nDescription: Trailing vine with heart-shaped leaves\n\nLight: Low';
+        assert.equal(aiService.extractDescription(text), 'Trailing vine with heart-shaped leaves');
+    });
+
+    await t.test('keeps continuation lines of the description', () => {
+        const text = 'Description: Trailing vine\nwith marbled leaves\n\nLight: Low';
+        assert.equal(aiService.extractDescription(text), 'Trailing vine\nwith marbled leaves');
+    });
+
+    await t.test('falls back to the first substantial sentence', () => {
+        const text = 'Nice photo. This trailing vine has glossy heart-shaped leaves marbled with yellow. It is easy to grow.';
+        assert.equal(aiService.extractDescription(text), 'This trailing vine has glossy heart-shaped leaves marbled with yellow');
+    });
+
+    await t.test('skips sentences about the JSON format', () => {
+        const text = 'I was unable to format this answer as JSON as requested, sorry about that';
+        assert.equal(aiService.extractDescription(text), null);
+    });
+});
+
+test('parseTextResponse', async (t) => {
+    await t.test('scrapes a prose answer', () => {
+        const parsed = toPlain(aiService.parseTextResponse(loadFixture('identification-prose')));
+
+        assert.deepEqual(parsed, {
+            plantName: 'Swiss Cheese Plant',
+            scientificName: 'Monstera deliciosa',
+            family: 'Araceae',
+            confidence: 85,
+            description: 'Large glossy heart-shaped leaves with deep splits and holes, growing from a thick stem with aerial roots',
+            careInstructions: {
+                light: 'Bright, indirect light',
+                water: 'Every 7-10 days, once the top of the soil is dry',
+                soil: 'Chunky aroid mix with bark and perlite',
+                temperature: '18-29 °C',
+                humidity: '60% or higher',
+                fertilizer: 'Monthly in spring and summer',
+                propagation: null,
+                commonIssues: null
+            }
+        });
+    });
+
+    await t.test('keeps the complete fields of a truncated JSON answer', () => {
+        const parsed = toPlain(aiService.parseTextResponse(loadFixture('identification-truncated')));
+
+        assert.deepEqual(parsed, {
+            plantName: 'Swiss Cheese Plant',
+            scientificName: 'Monstera deliciosa',
+            family: 'Araceae',
+            description: 'Large glossy heart-shaped leaves with deep splits and oval holes (fenestrations), growing from a thick climbing stem with aerial roots.',
+            confidence: 91
+        });
+    });
+
+    await t.test('finds no plant in a refusal', () => {
+        assert.equal(aiService.parseTextResponse(loadFixture('refusal')).plantName, null);
+    });
+});
+
+test('validateAndEnhanceResponse', async (t) => {
+    await t.test('leaves a complete answer untouched apart from normalization', () => {
+        const data = JSON.parse(loadFixture('identification-json'));
+        const enhanced = toPlain(aiService.validateAndEnhanceResponse(data));
+
+        assert.deepEqual(enhanced.defaultedFields, []);
+        assert.deepEqual(enhanced.careInstructions, data.careInstructions);
+        assert.deepEqual(enhanced.careParameters, data.careParameters);
+        assert.equal(enhanced.alternatives.length, 1);
+    });
+
+    await t.test('fills and records missing and blank fields', () => {
+        const enhanced = toPlain(aiService.validateAndEnhanceResponse({
+            plantName: 'Pothos',
+            description: '   ',
+            careInstructions: { light: 'Low to bright indirect light' }
+        }));
+
+        assert.equal(enhanced.plantName, 'Pothos');
+        assert.equal(enhanced.careInstructions.light, 'Low to bright indirect light');
+        assert.ok(enhanced.careInstructions.water.length > 0);
+        assert.ok(enhanced.description.length > 0);
+        assert.ok(enhanced.tips.length > 0);
+
+        for (const field of ['scientificName', 'family', 'confidence', 'description', 'careInstructions.water', 'characteristics.size', 'seasonalCare.winter', 'tips']) {
+            assert.ok(enhanced.defaultedFields.includes(field), `${field} should be marked as defaulted`);
+        }
+        assert.ok(!enhanced.defaultedFields.includes('plantName'));
+        assert.ok(!enhanced.defaultedFields.includes('careInstructions.light'));
+    });
+
+    await t.test('clamps confidence into 0-100', () => {
+        assert.equal(aiService.validateAndEnhanceResponse({ confidence: 130 }).confidence, 100);
+        assert.equal(aiService.validateAndEnhanceResponse({ confidence: -5 }).confidence, 0);
+    });
+
+    await t.test('replaces a non-numeric confidence with the default', () => {
+        const enhanced = aiService.validateAndEnhanceResponse({ confidence: 'high' });
+
+        assert.equal(enhanced.confidence, 50);
+        assert.ok(enhanced.defaultedFields.includes('confidence'));
+    });
+
+    await t.test('orders and clamps care parameter ranges and never invents them', () => {
+        const enhanced = toPlain(aiService.validateAndEnhanceResponse({
+            careParameters: {
+                temperatureC: { min: 30, max: 12 },
+                humidityPercent: { min: 40, max: 140 },
+                wateringIntervalDays: { min: 'often', max: 3 },
+                lightLevel: 'Bright_Indirect'
+            }
+        }));
+
+        assert.deepEqual(enhanced.careParameters, {
+            temperatureC: { min: 12, max: 30 },
+            humidityPercent: { min: 40, max: 100 },
+            lightLevel: 'bright_indirect'
+        });
+    });
+});
@@ -0,0 +1,319 @@
+/**
+ * Recorded model responses replayed through AIService end to end: prompt,
+ * proxy call, schema validation and repair, text fallback and defaults
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createBrowser, createPhoto, loadFixture, toPlain } = require('./support/browser-harness');
+
+/**
+ * Replay fixtures, in order, as the model's answers to one analysis
+ */
+async function replay(fixtures, { task = 'identifyPlant', options } = {}) {
+    const browser = createBrowser({ responses: fixtures.map(loadFixture) });
+    const result = await browser.aiService[task]([{ file: createPhoto(), label: 'habit' }], '', options);
+
+    return {
+        result,
+        data: toPlain(result.data),
+        modelCalls: browser.fetch.calls.filter(call => !call.url.endsWith('/api/validate')),
+        remaining: browser.fetch.remaining()
+    };
+}
+
+test('identification answered with valid JSON', async () => {
+    const { result, data, modelCalls } = await replay(['identification-json']);
+
+    assert.equal(result.success, true);
+    assert.equal(result.repairAttempts, 0);
+    assert.equal(modelCalls.length, 1);
+    assert.deepEqual(toPlain(result.prompt), { id: 'identification', version: 2 });
+    assert.equal(data.plantName, 'Swiss Cheese Plant');
+    assert.equal(data.scientificName, 'Monstera deliciosa');
+    assert.equal(data.confidence, 91);
+    assert.deepEqual(data.defaultedFields, []);
+    assert.equal(data.alternatives.length, 1);
+});
+
+test('identification wrapped in a code fence and prose', async () => {
+    const fenced = await replay(['identification-fenced']);
+    const plain = await replay(['identification-json']);
+
+    assert.equal(fenced.result.repairAttempts, 0);
+    assert.deepEqual(fenced.data, plain.data);
+});
+
+test('streamed identification reports partial fields before the result', async () => {
+    const partials = [];
+    const { result, data } = await replay(['identification-json'], {
+        options: { onPartial: partial => partials.push(toPlain(partial)) }
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(data.plantName, 'Swiss Cheese Plant');
+    assert.ok(partials.length > 1);
+    assert.equal(partials[partials.length - 1].plantName, 'Swiss Cheese Plant');
+});
+
+test('truncated identification is repaired by the next answer', async () => {
+    const { result, data, modelCalls } = await replay(['identification-truncated', 'identification-json']);
+
+    assert.equal(result.success, true);
+    assert.equal(result.repairAttempts, 1);
+    assert.equal(modelCalls.length, 2);
+    assert.match(modelCalls[1].messages.at(-1).content, /did not contain a JSON object/);
+    assert.deepEqual(data.defaultedFields, []);
+});
+
+test('identification that stays truncated keeps what arrived', async () => {
+    const { result, data, modelCalls } = await replay([
+        'identification-truncated',
+        'identification-truncated',
+        'identification-truncated'
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.repairAttempts, 2);
+    assert.equal(modelCalls.length, 3);
+    assert.equal(data.plantName, 'Swiss Cheese Plant');
+    assert.equal(data.family, 'Araceae');
+    assert.equal(data.confidence, 91);
+    assert.ok(data.defaultedFields.includes('careInstructions.light'));
+    assert.ok(!data.defaultedFields.includes('plantName'));
+});
+
+test('identification missing required fields is repaired by the next answer', async () => {
+    const { result, modelCalls } = await replay(['identification-incomplete', 'identification-json']);
+
+    assert.equal(result.repairAttempts, 1);
+    const repairPrompt = modelCalls[1].messages.at(-1).content;
+    assert.match(repairPrompt, /characteristics/);
+    assert.match(repairPrompt, /confidence/);
+});
+
+test('identification that stays incomplete is clamped and filled with defaults', async () => {
+    const { result, data } = await replay([
+        'identification-incomplete',
+        'identification-incomplete',
+        'identification-incomplete'
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(data.plantName, 'Swiss Cheese Plant');
+    assert.equal(data.confidence, 100);
+    assert.deepEqual(data.careParameters, {});
+    assert.ok(data.defaultedFields.includes('characteristics.size'));
+    assert.ok(data.defaultedFields.includes('tips'));
+});
+
+test('identification answered in prose is scraped', async () => {
+    const { result, data } = await replay([
+        'identification-prose',
+        'identification-prose',
+        'identification-prose'
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(data.plantName, 'Swiss Cheese Plant');
+    assert.equal(data.scientificName, 'Monstera deliciosa');
+    assert.equal(data.family, 'Araceae');
+    assert.equal(data.confidence, 85);
+    assert.equal(data.careInstructions.soil, 'Chunky aroid mix with bark and perlite');
+    assert.ok(data.defaultedFields.includes('careInstructions.propagation'));
+    assert.ok(!data.defaultedFields.includes('careInstructions.soil'));
+});
+
+test('refusal fails as unparseable with the offline fallback', async () => {
+    const { result, modelCalls } = await replay(['refusal', 'refusal', 'refusal']);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorKind, 'unparseable');
+    assert.equal(modelCalls.length, 3);
+    assert.ok(result.fallback);
+});
+
+test('photo without a plant fails without repair attempts', async () => {
+    const { result, modelCalls } = await replay(['not-a-plant']);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorKind, 'not_a_plant');
+    assert.match(result.error, /coffee mug/);
+    assert.equal(modelCalls.length, 1);
+});
+
+test('unreachable validation route fails instead of accepting the answer', async () => {
+    const browser = createBrowser({ responses: [loadFixture('identification-json')] });
+    browser.window.fetch = async (url, options) => {
+        if (String(url).endsWith('/api/validate')) throw new TypeError('Failed to fetch');
+        return browser.fetch(url, options);
+    };
+
+    const result = await browser.aiService.identifyPlant([{ file: createPhoto(), label: 'habit' }]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorKind, 'network');
+    assert.ok(result.fallback);
+});
+
+test('cancelling while the answer is validated stops the validation request', async () => {
+    const browser = createBrowser({ responses: [loadFixture('identification-json')] });
+    const controller = new AbortController();
+    browser.window.fetch = (url, options) => {
+        if (!String(url).endsWith('/api/validate')) return browser.fetch(url, options);
+
+        // Never answers: only the request's signal can end it
+        const pending = new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        });
+        controller.abort();
+        return pending;
+    };
+
+    const result = await browser.aiService.identifyPlant([{ file: createPhoto(), label: 'habit' }], '', { signal: controller.signal });
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+});
+
+test('a failed request counts once and live frames trip their own breaker', async () => {
+    const browser = createBrowser();
+    let attempts = 0;
+    browser.window.fetch = async () => {
+        attempts++;
+        return Response.json({ success: false, error: 'Upstream unavailable' }, { status: 503 });
+    };
+    const { aiService } = browser;
+
+    const result = await aiService.identifyPlant([{ file: createPhoto(), label: 'habit' }]);
+    assert.equal(result.errorKind, 'server');
+    assert.equal(attempts, aiService.retry.maxRetries + 1);
+    assert.equal(aiService.breaker.failures, 1);
+
+    for (let frame = 0; frame < 3; frame++) {
+        await aiService.identifyLive(createPhoto());
+    }
+    assert.equal(aiService.liveBreaker.state, 'open');
+    assert.equal(aiService.breaker.state, 'closed');
+    assert.equal((await aiService.identifyLive(createPhoto())).errorKind, 'circuit_open');
+});
+
+test('diagnosis answered with valid JSON', async () => {
+    const { result, data, modelCalls } = await replay(['diagnosis-json'], { task: 'diagnosePlant' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.type, 'diagnosis');
+    assert.equal(result.repairAttempts, 0);
+    assert.equal(modelCalls.length, 1);
+    assert.deepEqual(toPlain(result.prompt), { id: 'diagnosis', version: 1 });
+    assert.equal(data.plantName, 'Fiddle Leaf Fig');
+    assert.equal(data.severity, 'moderate');
+    assert.deepEqual(data.causes.map(cause => cause.name), ['Spider mites', 'Low humidity']);
+});
+
+test('diagnosis answered in prose keeps the text as its summary', async () => {
+    const { result, data } = await replay(['refusal', 'refusal', 'refusal'], { task: 'diagnosePlant' });
+
+    assert.equal(result.success, true);
+    assert.equal(data.summary, loadFixture('refusal').trim());
+});
+
+test('live frame answered with a short guess', async () => {
+    const browser = createBrowser({ responses: [loadFixture('live-guess')] });
+    const result = await browser.aiService.identifyLive(createPhoto());
+    const modelCalls = browser.fetch.calls.filter(call => !call.url.endsWith('/api/validate'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.type, 'live');
+    assert.equal(modelCalls.length, 1);
+    assert.deepEqual(toPlain(result.prompt), { id: 'live', version: 1 });
+    assert.deepEqual(toPlain(result.data), {
+        plantName: 'Common Foxglove',
+        scientificName: 'Digitalis purpurea',
+        confidence: 78
+    });
+});
+
+test('live frame without a plant succeeds with no guess', async () => {
+    const browser = createBrowser({ responses: [loadFixture('not-a-plant')] });
+    const result = await browser.aiService.identifyLive(createPhoto());
+
+    assert.equal(result.success, true);
+    assert.equal(result.data, null);
+});
+
+test('live frame answered in prose fails without repair attempts', async () => {
+    const browser = createBrowser({ responses: [loadFixture('refusal')] });
+    const result = await browser.aiService.identifyLive(createPhoto());
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorKind, 'unparseable');
+    assert.equal(browser.fetch.remaining(), 0);
+});
+
+test('cropped photo sends its uncropped original as context when asked', async () => {
+    const browser = createBrowser({ responses: [loadFixture('identification-json'), loadFixture('identification-json')] });
+    const cropped = { file: createPhoto('leaf-edited.jpg'), label: 'leaf', fullFile: createPhoto('leaf.jpg') };
+    const imageParts = call => call.messages[1].content.filter(part => part.type === 'image_url');
+
+    const withContext = await browser.aiService.identifyPlant([{ ...cropped, fullAsContext: true }], '', { forceRefresh: true });
+    const withoutContext = await browser.aiService.identifyPlant([cropped], '', { forceRefresh: true });
+    const [contextCall, plainCall] = browser.fetch.calls.filter(call => !call.url.endsWith('/api/validate'));
+
+    assert.equal(withContext.success, true);
+    assert.equal(imageParts(contextCall).length, 2);
+    assert.match(contextCall.messages[1].content[0].text, /photo 2: uncropped original of photo 1/);
+    assert.equal(imageParts(plainCall).length, 1);
+    assert.ok(withoutContext.images[0].fullImageData.startsWith('data:image/jpeg;base64,'));
+});
+
+test('uncropped originals are dropped once the request would pass five photos', async () => {
+    const browser = createBrowser({ responses: [loadFixture('identification-json')] });
+    const cropped = ['leaf', 'flower', 'bark'].map(label => ({
+        file: createPhoto(`${label}-edited.jpg`),
+        label,
+        fullFile: createPhoto(`${label}.jpg`),
+        fullAsContext: true
+    }));
+
+    const result = await browser.aiService.identifyPlant(cropped, '', { forceRefresh: true });
+    const [call] = browser.fetch.calls.filter(call => !call.url.endsWith('/api/validate'));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(call.body.images.map(image => image.originalOf), [undefined, 0, undefined, 1, undefined]);
+    assert.equal(call.messages[1].content.filter(part => part.type === 'image_url').length, 5);
+});
+
+test('mock provider answers by the task named on the request', async () => {
+    const browser = createBrowser();
+    browser.aiService.setProvider({ provider: 'mock', latency: 0 });
+    const photos = [{ file: createPhoto(), label: 'habit' }];
+
+    const identification = await browser.aiService.identifyPlant(photos);
+    const diagnosis = await browser.aiService.diagnosePlant(photos);
+    const followUp = await browser.aiService.askFollowUp(identification, [], 'Is it toxic to cats?');
+
+    assert.equal(identification.success, true);
+    assert.ok(identification.data.scientificName);
+    assert.equal(diagnosis.success, true);
+    assert.ok(browser.aiService.diagnosisSeverities.includes(diagnosis.data.severity));
+    assert.match(followUp.answer, /Is it toxic to cats\?/);
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+        browser.aiService.provider.complete({ task: 'identification', messages: [] }, { signal: controller.signal }),
+        { name: 'AbortError' }
+    );
+});
+
+test('invalid stored provider config falls back to the default provider', () => {
+    const browser = createBrowser();
+    const storage = browser.window.localStorage;
+
+    storage.setItem('plantid-ai-provider', '{"provider":"removed-adapter"}');
+    assert.deepEqual(toPlain(browser.aiService.loadProviderConfig()), { provider: 'proxy', endpoint: '/api/identify' });
+
+    storage.setItem('plantid-ai-provider', JSON.stringify({ provider: 'ollama', baseUrl: 42 }));
+    assert.equal(browser.aiService.loadProviderConfig().provider, 'proxy');
+});
@@ -0,0 +1,217 @@
+/**
+ * Browser Harness for AIService Tests
+ * Loads the public scripts into a sandboxed window and answers their fetch
+ * calls from recorded model responses
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const ts = require('typescript');
+
+const rootDir = path.join(__dirname, '..', '..');
+const scriptsDir = path.join(rootDir, 'public', 'scripts');
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'model-responses');
+
+// Everything AIService needs, in index.html order. The result cache and
+// usage ledger are left out so each replay is independent.
+const scripts = [
+    'i18n.js',
+    'locales/en.js',
+    'units.js',
+    'ai-providers.js',
+    'prompt-library.js',
+    'prompts/identification.js',
+    'prompts/diagnosis.js',
+    'prompts/follow-up.js',
+    'prompts/live.js',
+    'ai-service.js'
+];
+
+const serverModules = {};
+
+/**
+ * A module from src/lib, compiled from its TypeScript source so tests run
+ * the same code as the API routes
+ */
+function loadServerModule(name) {
+    if (serverModules[name]) return serverModules[name];
+
+    const source = fs.readFileSync(path.join(rootDir, 'src', 'lib', `${name}.ts`), 'utf8');
+    const { outputText } = ts.transpileModule(source, {
+        compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2017, esModuleInterop: true }
+    });
+
+    const module = { exports: {} };
+    const requireModule = id => (id.startsWith('./') ? loadServerModule(id.slice(2)) : require(id));
+    new Function('require', 'module', 'exports', outputText)(requireModule, module, module.exports);
+    serverModules[name] = module.exports;
+
+    return module.exports;
+}
+
+/**
+ * The app's zod response schemas, as used by the /api/validate route
+ */
+function loadPlantSchema() {
+    return loadServerModule('plant-schema');
+}
+
+/**
+ * Text of a recorded model response from tests/fixtures/model-responses
+ */
+function loadFixture(name) {
+    return fs.readFileSync(path.join(fixturesDir, `${name}.txt`), 'utf8');
+}
+
+/**
+ * Local stand-in for fetch. /api/identify checks the request and builds its
+ * messages the way the route does, then answers with the next queued model
+ * response (as a JSON envelope, or a server-sent event stream when the
+ * request asks for one); /api/validate runs the real schemas. Every call is
+ * kept in calls for assertions, identify calls with the messages the model
+ * would have been sent.
+ */
+function createFetchStandIn(responses) {
+    const queue = [...responses];
+    const calls = [];
+
+    const standIn = async (url, options = {}) => {
+        const body = options.body ? JSON.parse(options.body) : null;
+        calls.push({ url: String(url), body });
+
+        if (String(url).endsWith('/api/validate')) {
+            const { responseSchemas, isResponseSchemaName, formatIssues } = loadPlantSchema();
+            if (!isResponseSchemaName(body.schema)) {
+                return Response.json({ success: false, error: 'Unknown schema' }, { status: 400 });
+            }
+
+            const result = responseSchemas[body.schema].safeParse(body.value);
+            return Response.json({
+                success: true,
+                data: result.success
+                    ? { valid: true, value: result.data }
+                    : { valid: false, issues: formatIssues(result.error) }
+            });
+        }
+
+        const { parseIdentifyRequest, RequestError } = loadServerModule('identify-request');
+        try {
+            calls[calls.length - 1].messages = parseIdentifyRequest(body).messages;
+        } catch (error) {
+            if (!(error instanceof RequestError)) throw error;
+            return Response.json({ success: false, error: error.message }, { status: error.status });
+        }
+
+        if (queue.length === 0) {
+            throw new Error(`No recorded response left for ${url}`);
+        }
+
+        const content = queue.shift();
+        const usage = { prompt_tokens: 1200, completion_tokens: 600, total_tokens: 1800 };
+
+        if (body.stream) {
+            // Replay in small chunks the way the proxy route relays them
+            const chunks = content.match(/[\s\S]{1,40}/g) || [];
+            const events = chunks.map(text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+            events.push(`data: ${JSON.stringify({ choices: [], usage, model: 'recorded' })}\n\n`, 'data: [DONE]\n\n');
+
+            return new Response(events.join(''), { headers: { 'Content-Type': 'text/event-stream' } });
+        }
+
+        return Response.json({ success: true, data: { content, usage, model: 'recorded' } });
+    };
+
+    standIn.calls = calls;
+    standIn.remaining = () => queue.length;
+
+    return standIn;
+}
+
+/**
+ * FileReader subset used by AIService.imageToBase64
+ */
+class FileReaderStandIn {
+    readAsDataURL(blob) {
+        blob.arrayBuffer().then(buffer => {
+            this.result = `data:${blob.type};base64,${Buffer.from(buffer).toString('base64')}`;
+            this.onload();
+        }, error => this.onerror(error));
+    }
+}
+
+/**
+ * Minimal localStorage backed by a Map
+ */
+function createStorage() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * A fresh sandboxed window with the app scripts loaded and fetch answered
+ * from the given model responses. Returns { window, aiService, fetch }.
+ */
+function createBrowser({ responses = [], language = 'en-US' } = {}) {
+    const fetch = createFetchStandIn(responses);
+    const document = new EventTarget();
+    document.documentElement = {};
+    document.getElementById = () => null;
+    document.querySelectorAll = () => [];
+
+    const sandbox = {
+        console: { ...console, warn: () => {}, error: () => {} },
+        setTimeout,
+        clearTimeout,
+        fetch,
+        Response,
+        TextDecoder,
+        TextEncoder,
+        AbortController,
+        DOMException,
+        Blob,
+        File,
+        FileReader: FileReaderStandIn,
+        CustomEvent,
+        EventTarget,
+        Intl,
+        document,
+        localStorage: createStorage(),
+        navigator: { language, onLine: true }
+    };
+
+    const context = vm.createContext(sandbox);
+    context.window = context;
+
+    scripts.forEach(script => {
+        const file = path.join(scriptsDir, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    // Skip backoff waits so transient-failure fixtures replay instantly
+    context.aiService.sleep = () => Promise.resolve();
+
+    return { window: context, aiService: context.aiService, fetch };
+}
+
+/**
+ * A small JPEG-typed file to send as the plant photo
+ */
+function createPhoto(name = 'leaf.jpg') {
+    return new File([new Uint8Array(64).fill(7)], name, { type: 'image/jpeg' });
+}
+
+/**
+ * Copy a value out of the sandbox so deepStrictEqual doesn't trip over
+ * objects whose prototypes come from the other realm
+ */
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createBrowser, createPhoto, loadFixture, loadPlantSchema, loadServerModule, toPlain };
\ No newline at end of file